@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const { validateThresholds } = require('./utils/thresholds');
+const { LOG_LEVELS } = require('./utils/logger');
+
+const DEFAULT_CONFIG = {
+  port: 5000,
+  corsOrigins: ['https://posturerepo.vercel.app', 'http://localhost:5173'],
+  logLevel: 'info',
+  sessionDataDir: path.join(__dirname, 'data', 'sessions'),
+  profileDataDir: path.join(__dirname, 'data', 'profiles'),
+  userDataDir: path.join(__dirname, 'data', 'users'),
+  // Reject REST requests and sockets without a valid login token (except registering and logging in).
+  requireAuth: false,
+  // Per-exercise overrides of the thresholds exercises declare, e.g. { squat: { backAngle: 140 } }.
+  thresholds: {},
+  // Per-socket limit on keypointsData frames; bursts up to frameBurst are allowed.
+  maxFramesPerSecond: 30,
+  frameBurst: 30,
+  // Shared codes trainees (roomCode) and coaches (coachCode) present to enter coach rooms;
+  // rooms are off without them.
+  roomCode: null,
+  coachCode: null,
+  // Express's `trust proxy`: behind a reverse proxy (e.g. Render), set it so client IPs come from
+  // X-Forwarded-For and login attempts are limited per client, not for everyone at once.
+  trustProxy: false,
+};
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'config.json');
+
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function readConfigFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read config file ${file}: ${error.message}`);
+  }
+}
+
+// true/false, a number of proxy hops, or addresses and subnet names (see Express's `trust proxy`).
+function parseTrustProxy(value) {
+  if (typeof value === 'boolean') return value;
+  if (['true', 'false'].includes(value)) return value === 'true';
+  if (/^\d+$/.test(value)) return Number(value);
+  if (Number.isInteger(value) && value >= 0) return value;
+  if (typeof value === 'string' && value.trim() !== '') return splitList(value);
+  throw new Error('trustProxy must be true, false, a number of proxies or a list of addresses');
+}
+
+/*
+ * Fills in defaults and validates a configuration object. Used by createServer,
+ * so embedders and tests get the same checks as the config file and env vars.
+ */
+function resolveConfig(options = {}) {
+  const config = { ...DEFAULT_CONFIG, ...options };
+
+  const port = Number(config.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error(`Invalid port: ${config.port}`);
+  config.port = port;
+
+  const origins = typeof config.corsOrigins === 'string' ? splitList(config.corsOrigins) : config.corsOrigins;
+  if (!Array.isArray(origins)) throw new Error('corsOrigins must be a list of origins');
+  config.corsOrigins = origins;
+
+  ['maxFramesPerSecond', 'frameBurst'].forEach((key) => {
+    const value = Number(config[key]);
+    if (!Number.isFinite(value) || value <= 0) throw new Error(`${key} must be a positive number`);
+    config[key] = value;
+  });
+
+  if (!LOG_LEVELS.includes(config.logLevel)) {
+    throw new Error(`Invalid logLevel "${config.logLevel}". Use one of: ${LOG_LEVELS.join(', ')}`);
+  }
+  config.thresholds = validateThresholds(config.thresholds);
+
+  ['roomCode', 'coachCode'].forEach((key) => {
+    if (config[key] !== null && (typeof config[key] !== 'string' || config[key].length < 4)) {
+      throw new Error(`${key} must be a string of at least 4 characters`);
+    }
+  });
+  if ((config.roomCode === null) !== (config.coachCode === null)) throw new Error('roomCode and coachCode must be set together');
+  if (config.roomCode !== null && config.roomCode === config.coachCode) throw new Error('coachCode must differ from roomCode');
+
+  config.trustProxy = parseTrustProxy(config.trustProxy);
+
+  if (['true', 'false'].includes(config.requireAuth)) config.requireAuth = config.requireAuth === 'true';
+  if (typeof config.requireAuth !== 'boolean') throw new Error('requireAuth must be true or false');
+
+  return config;
+}
+
+/*
+ * Reads the configuration for `npm start`: defaults, then the JSON config file
+ * (POSTURE_CONFIG, or config.json next to this file if present), then env vars.
+ *
+ *   PORT, CORS_ORIGINS (comma-separated, or *), LOG_LEVEL, SESSION_DATA_DIR, PROFILE_DATA_DIR,
+ *   USER_DATA_DIR, REQUIRE_AUTH (true/false), MAX_FRAMES_PER_SECOND, FRAME_BURST, ROOM_CODE, COACH_CODE,
+ *   TRUST_PROXY (true/false, a number of proxies or comma-separated addresses)
+ */
+function loadConfig(env = process.env) {
+  const file = env.POSTURE_CONFIG || (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+  const fromFile = file ? readConfigFile(file) : {};
+
+  const fromEnv = {};
+  if (env.PORT) fromEnv.port = env.PORT;
+  if (env.CORS_ORIGINS) fromEnv.corsOrigins = splitList(env.CORS_ORIGINS);
+  if (env.LOG_LEVEL) fromEnv.logLevel = env.LOG_LEVEL;
+  if (env.SESSION_DATA_DIR) fromEnv.sessionDataDir = env.SESSION_DATA_DIR;
+  if (env.PROFILE_DATA_DIR) fromEnv.profileDataDir = env.PROFILE_DATA_DIR;
+  if (env.USER_DATA_DIR) fromEnv.userDataDir = env.USER_DATA_DIR;
+  if (env.REQUIRE_AUTH) fromEnv.requireAuth = env.REQUIRE_AUTH;
+  if (env.MAX_FRAMES_PER_SECOND) fromEnv.maxFramesPerSecond = env.MAX_FRAMES_PER_SECOND;
+  if (env.FRAME_BURST) fromEnv.frameBurst = env.FRAME_BURST;
+  if (env.ROOM_CODE) fromEnv.roomCode = env.ROOM_CODE;
+  if (env.COACH_CODE) fromEnv.coachCode = env.COACH_CODE;
+  if (env.TRUST_PROXY) fromEnv.trustProxy = env.TRUST_PROXY;
+
+  return resolveConfig({ ...fromFile, ...fromEnv });
+}
+
+module.exports = { DEFAULT_CONFIG, loadConfig, resolveConfig };
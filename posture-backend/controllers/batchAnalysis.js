@@ -0,0 +1,65 @@
+const { createAnalysisPipeline, summarizeTimeline } = require('posture-core');
+
+function issueCodes(issues) {
+  return [...new Set(issues.filter(issue => issue.severity !== 'info').map(issue => issue.code))].sort();
+}
+
+// Merges consecutive frames that report the same set of issue codes.
+function buildSegments(frames) {
+  const segments = [];
+
+  frames.forEach((frame, index) => {
+    const codes = issueCodes(frame.issues);
+    const last = segments[segments.length - 1];
+    if (last && last.issues.join() === codes.join()) {
+      last.endFrame = index;
+      last.endTime = frame.timestamp;
+      return;
+    }
+    segments.push({
+      startFrame: index,
+      endFrame: index,
+      startTime: frame.timestamp,
+      endTime: frame.timestamp,
+      good: codes.length === 0,
+      issues: codes,
+    });
+  });
+
+  return segments;
+}
+
+/*
+ * Runs a whole recorded keypoint track through the same pipeline as a live
+ * session. `track` is [{ timestamp, keypoints }], timestamps in ms (e.g. video time).
+ */
+function analyzeTrack({ postureType, track, settings }) {
+  const pipeline = createAnalysisPipeline(settings);
+  const reps = [];
+
+  const frames = track.map(({ timestamp, keypoints }, index) => {
+    const { issues, view, trackerState, symmetry } = pipeline.processFrame({ keypoints, postureType, timestamp });
+    // The tracker reports each rep once it is finished; rep numbers count up from 1.
+    if (trackerState.lastRep && trackerState.lastRep.rep > reps.length) reps.push(trackerState.lastRep);
+    return {
+      index,
+      timestamp,
+      issues,
+      view: view.view,
+      repCount: trackerState.repCount,
+      cleanRepCount: trackerState.cleanRepCount,
+      phase: trackerState.phase,
+      symmetry: symmetry ? symmetry.values : undefined,
+    };
+  });
+
+  return {
+    postureType,
+    frames,
+    segments: buildSegments(frames),
+    summary: summarizeTimeline(frames),
+    reps,
+  };
+}
+
+module.exports = { analyzeTrack, buildSegments };
@@ -0,0 +1,8 @@
+const path = require('path');
+const { registerExercise, getExercise, listExercises } = require('posture-core');
+const { loadRuleDirectory } = require('./ruleFiles');
+
+// Server-only rule files dropped into exercises/rules/ join the exercises bundled with posture-core.
+loadRuleDirectory(path.join(__dirname, 'rules')).forEach(registerExercise);
+
+module.exports = { registerExercise, getExercise, listExercises };
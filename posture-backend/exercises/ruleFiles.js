@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+const { compileRules } = require('posture-core');
+
+/*
+ * Loads JSON rule files from disk (see posture-core/exercises/ruleLoader.js for
+ * the format). Rules bundled with posture-core also run in the browser; files
+ * loaded here are server-only.
+ */
+function loadRuleFile(filePath) {
+  const definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return compileRules(definition, path.basename(filePath));
+}
+
+function loadRuleDirectory(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => loadRuleFile(path.join(dir, file)));
+}
+
+module.exports = { loadRuleFile, loadRuleDirectory };
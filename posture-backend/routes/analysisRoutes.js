@@ -0,0 +1,68 @@
+const express = require('express');
+const { analyzeTrack } = require('../controllers/batchAnalysis');
+const { getExercise } = require('../exercises');
+const { parseSessionSettings, adaptKeypoints, schemaOptionsProblem } = require('posture-core');
+const { keypointsProblem } = require('../utils/frameValidation');
+const { mergeThresholds } = require('../utils/thresholds');
+const { profileSettings } = require('../utils/profileSettings');
+
+/*
+ * POST /analysis/batch
+ * { postureType, track: [{ timestamp, keypoints }], settings?: { preset, filter, ... },
+ *   schema?, coordinates?, frameSize? }
+ * `schema`, `coordinates` and `frameSize` describe the keypoints as for `keypointsData`.
+ * Returns per-frame issues, merged segments, a summary and per-rep details.
+ * A logged-in user's own thresholds apply on top of the server's.
+ */
+function analysisRoutes({ thresholds, profileStore } = {}) {
+  const router = express.Router();
+
+  async function thresholdsFor(user) {
+    if (!user || !profileStore) return thresholds;
+    return mergeThresholds(thresholds, profileSettings(await profileStore.getProfile(user.id)).thresholds);
+  }
+
+  router.post('/batch', async (req, res, next) => {
+    const { postureType, track, settings, schema, coordinates, frameSize } = req.body || {};
+
+    if (!getExercise(postureType)) {
+      return res.status(400).json({ error: `Unknown posture type: ${postureType}` });
+    }
+    if (!Array.isArray(track) || track.length === 0) {
+      return res.status(400).json({ error: 'track must be a non-empty array of { timestamp, keypoints } frames' });
+    }
+    if (settings !== undefined && (!settings || typeof settings !== 'object' || Array.isArray(settings))) {
+      return res.status(400).json({ error: 'settings must be an object of session options' });
+    }
+    const schemaOptions = { schema, coordinates, frameSize };
+    const schemaProblem = schemaOptionsProblem(schemaOptions);
+    if (schemaProblem) return res.status(400).json({ error: schemaProblem });
+    for (let i = 0; i < track.length; i += 1) {
+      const frame = track[i];
+      if (!frame || !Number.isFinite(frame.timestamp)) {
+        return res.status(400).json({ error: `Frame ${i} must have a numeric timestamp` });
+      }
+      const problem = keypointsProblem(frame.keypoints);
+      if (problem) return res.status(400).json({ error: `Frame ${i}: ${problem}` });
+    }
+
+    let adapted;
+    try {
+      adapted = track.map(frame => ({ timestamp: frame.timestamp, keypoints: adaptKeypoints(frame.keypoints, schemaOptions) }));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const sorted = adapted.sort((a, b) => a.timestamp - b.timestamp);
+    try {
+      const sessionSettings = parseSessionSettings(settings, { thresholds: await thresholdsFor(req.user) });
+      res.json(analyzeTrack({ postureType, track: sorted, settings: sessionSettings }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = analysisRoutes;
@@ -0,0 +1,81 @@
+const express = require('express');
+const { requireUser } = require('../utils/auth');
+const { createRateLimiter } = require('../utils/rateLimiter');
+const { profileSettings } = require('../utils/profileSettings');
+
+// Login and registration attempts per client IP: bursts of 10, then one every 6 seconds.
+const ATTEMPT_LIMIT = { ratePerSecond: 1 / 6, burst: 10 };
+const MAX_TRACKED_CLIENTS = 10000;
+
+/*
+ * POST /auth/register { username, password } -> 201 { user, token, expiresAt }
+ * POST /auth/login { username, password }    -> { user, token, expiresAt }
+ * POST /auth/logout                           -> 204, revokes the request's token
+ * GET  /auth/me                               -> { user, profile }
+ * Clients send the token as `Authorization: Bearer <token>` and in the Socket.IO
+ * handshake's `auth.token`.
+ */
+function authRoutes({ userStore, profileStore }) {
+  const router = express.Router();
+  const limiters = new Map();
+
+  function limitAttempts(req, res, next) {
+    if (!limiters.has(req.ip)) {
+      if (limiters.size >= MAX_TRACKED_CLIENTS) limiters.delete(limiters.keys().next().value);
+      limiters.set(req.ip, createRateLimiter(ATTEMPT_LIMIT));
+    }
+    const attempt = limiters.get(req.ip).take();
+    if (attempt.ok) return next();
+    res.set('Retry-After', String(Math.ceil(attempt.retryAfterMs / 1000)));
+    res.status(429).json({ error: 'Too many attempts, try again later' });
+  }
+
+  async function respondWithToken(res, status, user) {
+    const { token, expiresAt } = await userStore.issueToken(user.id);
+    res.status(status).json({ user, token, expiresAt });
+  }
+
+  router.post('/register', limitAttempts, async (req, res, next) => {
+    const { username, password } = req.body || {};
+    try {
+      const user = await userStore.createUser(username, password);
+      await respondWithToken(res, 201, user);
+    } catch (error) {
+      if (error.code === 'INVALID_CREDENTIALS') return res.status(400).json({ error: error.message });
+      if (error.code === 'USERNAME_TAKEN') return res.status(409).json({ error: error.message });
+      next(error);
+    }
+  });
+
+  router.post('/login', limitAttempts, async (req, res, next) => {
+    const { username, password } = req.body || {};
+    try {
+      const user = await userStore.authenticate(username, password);
+      if (!user) return res.status(401).json({ error: 'Wrong username or password' });
+      await respondWithToken(res, 200, user);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/logout', requireUser, async (req, res, next) => {
+    try {
+      await userStore.revokeToken(req.token);
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/me', requireUser, async (req, res, next) => {
+    try {
+      res.json({ user: req.user, profile: profileSettings(await profileStore.getProfile(req.user.id)) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = authRoutes;
@@ -0,0 +1,10 @@
+const express = require('express');
+const { listExercises } = require('../exercises');
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  res.json(listExercises());
+});
+
+module.exports = router;
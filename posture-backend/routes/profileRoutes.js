@@ -0,0 +1,61 @@
+const express = require('express');
+const { isValidProfileId, isUserProfileId } = require('../store/profileStore');
+const { requireUser } = require('../utils/auth');
+const { validateProfileSettings, profileSettings } = require('../utils/profileSettings');
+
+/*
+ * GET   /profiles/me  -> the logged-in user's settings (height, preferredExercises, thresholds, notifications)
+ * PATCH /profiles/me  { ...some of those } -> the updated settings
+ * GET   /profiles/:profileId/calibrations, DELETE /profiles/:profileId/calibrations/:exerciseId
+ * Anonymous profile ids work without logging in; a user's profile id only with their own token.
+ */
+function profileRoutes(profileStore) {
+  const router = express.Router();
+
+  router.get('/me', requireUser, async (req, res, next) => {
+    try {
+      res.json(profileSettings(await profileStore.getProfile(req.user.id)));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.patch('/me', requireUser, async (req, res, next) => {
+    const validation = validateProfileSettings(req.body);
+    if (!validation.ok) return res.status(400).json({ error: validation.error });
+    try {
+      res.json(profileSettings(await profileStore.saveSettings(req.user.id, validation.settings)));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.param('profileId', (req, res, next, profileId) => {
+    if (!isValidProfileId(profileId)) return res.status(400).json({ error: 'Invalid profile id' });
+    if (isUserProfileId(profileId) && (!req.user || req.user.id !== profileId)) {
+      return res.status(403).json({ error: 'That profile belongs to another user' });
+    }
+    next();
+  });
+
+  router.get('/:profileId/calibrations', async (req, res, next) => {
+    try {
+      res.json(await profileStore.getCalibrations(req.params.profileId));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/:profileId/calibrations/:exerciseId', async (req, res, next) => {
+    try {
+      const profile = await profileStore.deleteCalibration(req.params.profileId, req.params.exerciseId);
+      res.json(profile.calibrations);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = profileRoutes;
@@ -0,0 +1,102 @@
+const express = require('express');
+const { summarizeDays, summarizeProgress, dayKey, isValidTimeZone } = require('posture-core');
+const { profileSettings } = require('../utils/profileSettings');
+
+// Logged-in users see only their own sessions; anonymous clients only anonymous ones.
+function visibleTo(req, session) {
+  return (session.userId || null) === (req.user ? req.user.id : null);
+}
+
+// The `tz` query parameter (an IANA zone such as Europe/Berlin) days are counted in; UTC by default.
+function timeZoneOf(req) {
+  return req.query.tz === undefined ? 'UTC' : req.query.tz;
+}
+
+function sessionRoutes(sessionStore, { profileStore } = {}) {
+  const router = express.Router();
+
+  // Rejects an unknown time zone before the routes that bucket sessions into days.
+  function checkTimeZone(req, res, next) {
+    if (!isValidTimeZone(timeZoneOf(req))) return res.status(400).json({ error: `Unknown time zone: ${req.query.tz}` });
+    next();
+  }
+
+  async function visibleSessions(req) {
+    return (await sessionStore.listSessions()).filter(session => visibleTo(req, session));
+  }
+
+  function summariesOf(sessions) {
+    return Promise.all(sessions.map(session => session.summary || sessionStore.getSummary(session.id)));
+  }
+
+  router.param('id', async (req, res, next, id) => {
+    try {
+      const meta = await sessionStore.getMeta(id);
+      if (!meta || !visibleTo(req, meta)) return res.status(404).json({ error: 'Session not found' });
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/', async (req, res, next) => {
+    try {
+      res.json(await visibleSessions(req));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Per-day aggregates over the last `days` days (default 30).
+  router.get('/daily', checkTimeZone, async (req, res, next) => {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+      const since = Date.now() - days * 24 * 60 * 60 * 1000;
+      const sessions = await visibleSessions(req);
+      const summaries = await summariesOf(sessions.filter(session => session.startedAt >= since));
+      res.json(summarizeDays(summaries, { timeZone: timeZoneOf(req) }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Daily scores and goal results for the last `days` days (default 30), with
+  // streaks and badges over all sessions. Goals are the user's, or the defaults.
+  router.get('/progress', checkTimeZone, async (req, res, next) => {
+    try {
+      const timeZone = timeZoneOf(req);
+      const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+      const since = dayKey(Date.now() - days * 24 * 60 * 60 * 1000, timeZone);
+      const profile = req.user && profileStore ? await profileStore.getProfile(req.user.id) : null;
+      const daily = summarizeDays(await summariesOf(await visibleSessions(req)), { timeZone });
+      const progress = summarizeProgress(daily, profileSettings(profile).goals, { timeZone });
+      res.json({ ...progress, days: progress.days.filter(day => day.date >= since) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:id', async (req, res, next) => {
+    try {
+      const session = await sessionStore.getSession(req.params.id);
+      if (!session) return res.status(404).json({ error: 'Session not found' });
+      res.json(session);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:id/summary', async (req, res, next) => {
+    try {
+      const summary = await sessionStore.getSummary(req.params.id);
+      if (!summary) return res.status(404).json({ error: 'Session not found' });
+      res.json(summary);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = sessionRoutes;
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/*
+ * Replays keypoint fixtures through an evaluator and diffs the result against
+ * their labelled issues.
+ *
+ *   npm run replay -- test/fixtures/squat-front-valgus.json [more.json] [--exercise squat] [--pipeline] [--preset raw] [--verbose]
+ *
+ * Exits with status 1 if any labelled frame doesn't match, and 2 for bad arguments,
+ * an unreadable fixture or an unknown exercise.
+ */
+const path = require('path');
+const { loadFixture, replayFixture } = require('../utils/fixtureReplay');
+
+function parseArgs(argv) {
+  const options = { files: [], pipeline: false, verbose: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--exercise') options.exercise = argv[++i];
+    else if (arg === '--preset') options.preset = argv[++i];
+    else if (arg === '--pipeline') options.pipeline = true;
+    else if (arg === '--verbose') options.verbose = true;
+    else options.files.push(arg);
+  }
+  return options;
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.files.length === 0) {
+    console.error('Usage: replay <fixture.json>... [--exercise <id>] [--pipeline] [--preset <name>] [--verbose]');
+    process.exit(2);
+  }
+
+  let failures = 0;
+  options.files.forEach(file => {
+    let results;
+    try {
+      results = replayFixture(loadFixture(path.resolve(file)), {
+        exercise: options.exercise,
+        pipeline: options.pipeline,
+        settings: options.preset ? { preset: options.preset } : undefined,
+      });
+    } catch (error) {
+      console.error(`${file}: ${error.message}`);
+      process.exit(2);
+    }
+
+    const failed = results.filter(result => result.missing.length > 0 || result.unexpected.length > 0);
+    const checked = results.filter(result => result.checked).length;
+    failures += failed.length;
+    console.log(`${failed.length === 0 ? 'PASS' : 'FAIL'} ${file} (${checked}/${results.length} frames labelled)`);
+
+    results.forEach(result => {
+      const isFailure = failed.includes(result);
+      if (!isFailure && !options.verbose) return;
+      const name = `  frame ${result.index}${result.label ? ` (${result.label})` : ''}`;
+      console.log(`${name}: ${result.actual.join(', ') || 'no issues'}`);
+      result.missing.forEach(code => console.log(`    - missing ${code}`));
+      result.unexpected.forEach(code => console.log(`    + unexpected ${code}`));
+    });
+  });
+
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+main();
@@ -1,170 +1,107 @@
 const express = require('express');
 const http = require('http');
-const socketIo = require('socket.io');
 const cors = require('cors');
-
-const app = express();
-const server = http.createServer(app);
-
-const io = socketIo(server, {
-  cors: {
-    origin: "https://posturerepo.vercel.app", 
-    methods: ["GET", "POST"]
-  }
-});
-
-app.use(cors());
-app.use(express.json({ limit: '50mb' })); 
-
-const PORT = process.env.PORT || 5000;
-
-
-function findKeypoint(keypoints, name) {
-  return keypoints.find(kp => kp.name === name) || null;
-}
-
-
-function calculateAngle(p1, p2, p3) {
-  if (!p1 || !p2 || !p3 || typeof p1.x === 'undefined' || typeof p1.y === 'undefined' ||
-      typeof p2.x === 'undefined' || typeof p2.y === 'undefined' ||
-      typeof p3.x === 'undefined' || typeof p3.y === 'undefined') {
-    return 0; 
-  }
-
-  const v1 = { x: p1.x - p2.x, y: p1.y - p2.y };
-  const v2 = { x: p3.x - p2.x, y: p3.y - p2.y };
-
-  const dotProduct = v1.x * v2.x + v1.y * v2.y;
-  const magnitude1 = Math.sqrt(v1.x * v1.x + v1.y * v1.y);
-  const magnitude2 = Math.sqrt(v2.x * v2.x + v2.y * v2.y);
-
-  if (magnitude1 === 0 || magnitude2 === 0) return 0; 
-
-  const angleRad = Math.acos(Math.min(Math.max(dotProduct / (magnitude1 * magnitude2), -1), 1)); 
-  return angleRad * (180 / Math.PI); 
-}
-
-function evaluateSquatPosture(rawKeypoints) {
-  const issues = [];
-  const minConfidence = 0.2; 
-
-  const nose = findKeypoint(rawKeypoints, 'nose');
-  const leftShoulder = findKeypoint(rawKeypoints, 'left_shoulder');
-  const rightShoulder = findKeypoint(rawKeypoints, 'right_shoulder');
-  const leftHip = findKeypoint(rawKeypoints, 'left_hip');
-  const rightHip = findKeypoint(rawKeypoints, 'right_hip');
-  const leftKnee = findKeypoint(rawKeypoints, 'left_knee');
-  const rightKnee = findKeypoint(rawKeypoints, 'right_knee');
-  const leftAnkle = findKeypoint(rawKeypoints, 'left_ankle');
-  const rightAnkle = findKeypoint(rawKeypoints, 'right_ankle');
-
-  const essentialSquatKPs = [leftShoulder, rightShoulder, leftHip, rightHip, leftKnee, rightKnee, leftAnkle, rightAnkle];
-  const allEssentialKPsPresent = essentialSquatKPs.every(kp => kp && kp.score > minConfidence);
-
-  if (!allEssentialKPsPresent) {
-    issues.push("Insufficient keypoints detected for squat evaluation. Ensure full body is visible.");
-    return issues;
-  }
-
- 
-  if (leftKnee.x < leftAnkle.x) { 
-    issues.push("Left knee over toe.");
-  }
-  if (rightKnee.x > rightAnkle.x) { 
-    issues.push("Right knee over toe.");
-  }
-
- 
-  const leftBackAngle = calculateAngle(leftShoulder, leftHip, leftKnee);
-  const rightBackAngle = calculateAngle(rightShoulder, rightHip, rightKnee);
-
-  if (leftBackAngle < 150 || rightBackAngle < 150) {
-    issues.push(`Hunched back detected (Back angle: ${leftBackAngle.toFixed(0)}° / ${rightBackAngle.toFixed(0)}°).`);
-  }
-
-  return issues;
+const { Server } = require('socket.io');
+const socketHandler = require('./socket/socketHandler');
+const exerciseRoutes = require('./routes/exerciseRoutes');
+const sessionRoutes = require('./routes/sessionRoutes');
+const analysisRoutes = require('./routes/analysisRoutes');
+const profileRoutes = require('./routes/profileRoutes');
+const authRoutes = require('./routes/authRoutes');
+const socketAuth = require('./socket/socketAuth');
+const { createSessionStore } = require('./store/sessionStore');
+const { createProfileStore } = require('./store/profileStore');
+const { createUserStore } = require('./store/userStore');
+const { authenticate, requireUser } = require('./utils/auth');
+const { createLogger } = require('./utils/logger');
+const { loadConfig, resolveConfig } = require('./config');
+
+// `*` in the origin list allows any origin.
+function corsOrigin(origins) {
+  return origins.includes('*') ? true : origins;
 }
 
+// Reachable without logging in when `requireAuth` is set, and with a stale token.
+const PUBLIC_PATHS = ['/', '/auth/register', '/auth/login', '/exercises'];
+
+/*
+ * Builds the HTTP + Socket.IO server without listening, so tests and embedders
+ * can run it in-process. Options are the config keys (see config.js); they are
+ * not read from the environment here.
+ */
+function createServer(options = {}) {
+  const config = resolveConfig(options);
+  const logger = options.logger || createLogger(config.logLevel);
+  const sessionStore = createSessionStore({ dir: config.sessionDataDir });
+  const profileStore = createProfileStore({ dir: config.profileDataDir });
+  const userStore = createUserStore({ dir: config.userDataDir });
+
+  const app = express();
+  app.set('trust proxy', config.trustProxy);
+  const server = http.createServer(app);
+  const origin = corsOrigin(config.corsOrigins);
+
+  const io = new Server(server, {
+    cors: {
+      origin,
+      methods: ['GET', 'POST']
+    }
+  });
 
-function evaluateDeskSittingPosture(rawKeypoints) {
-  const issues = [];
-  const minConfidence = 0.5;
-
-  const nose = findKeypoint(rawKeypoints, 'nose');
-  const leftEar = findKeypoint(rawKeypoints, 'left_ear');
-  const rightEar = findKeypoint(rawKeypoints, 'right_ear');
-  const leftShoulder = findKeypoint(rawKeypoints, 'left_shoulder');
-  const rightShoulder = findKeypoint(rawKeypoints, 'right_shoulder');
-  const leftHip = findKeypoint(rawKeypoints, 'left_hip');
-  const rightHip = findKeypoint(rawKeypoints, 'right_hip');
-
-  const essentialDeskKPs = [nose, leftShoulder, rightShoulder, leftHip, rightHip];
-  const allEssentialKPsPresent = essentialDeskKPs.every(kp => kp && kp.score > minConfidence);
-
-  if (!allEssentialKPsPresent) {
-    issues.push("Insufficient keypoints detected for desk posture evaluation. Ensure upper body is visible.");
-    
-    return issues;
+  app.use(cors({ origin }));
+  app.use(express.json({ limit: '50mb' }));
+  app.use(authenticate(userStore, { publicPaths: PUBLIC_PATHS }));
+  if (config.requireAuth) {
+    app.use((req, res, next) => (PUBLIC_PATHS.includes(req.path) ? next() : requireUser(req, res, next)));
   }
 
+  app.get('/', (req, res) => {
+    res.send('Posture Detection Backend is running!');
+  });
 
-  const neckAngleLeft = calculateAngle(leftEar || nose, leftShoulder, leftHip);
-  const neckAngleRight = calculateAngle(rightEar || nose, rightShoulder, rightHip);
+  app.use('/auth', authRoutes({ userStore, profileStore }));
+  app.use('/exercises', exerciseRoutes);
+  app.use('/sessions', sessionRoutes(sessionStore, { profileStore }));
+  app.use('/analysis', analysisRoutes({ thresholds: config.thresholds, profileStore }));
+  app.use('/profiles', profileRoutes(profileStore));
+
+  io.use(socketAuth({ userStore, profileStore, requireAuth: config.requireAuth, logger }));
+  socketHandler(io, {
+    sessionStore,
+    profileStore,
+    thresholds: config.thresholds,
+    frameLimit: { ratePerSecond: config.maxFramesPerSecond, burst: config.frameBurst },
+    roomCode: config.roomCode,
+    coachCode: config.coachCode,
+    logger,
+  });
 
-  if (neckAngleLeft < 150 || neckAngleRight < 150) {
-    issues.push(`Neck bent forward (>30° estimated). Angles: ${neckAngleLeft.toFixed(0)}° / ${neckAngleRight.toFixed(0)}°`);
+  // Resolves with the bound port (pass 0 for a random free port).
+  function listen(port = config.port) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, () => {
+        server.off('error', reject);
+        resolve(server.address().port);
+      });
+    });
   }
 
-
-  const leftSpineAngle = calculateAngle(leftShoulder, leftHip, leftHip.y + 0.1); 
-  const rightSpineAngle = calculateAngle(rightShoulder, rightHip, rightHip.y + 0.1); 
-
-
-  if (leftSpineAngle < 160 || rightSpineAngle < 160) {
-    issues.push(`Back isn't straight (slouching detected). Angles: ${leftSpineAngle.toFixed(0)}° / ${rightSpineAngle.toFixed(0)}°`);
+  function close() {
+    return new Promise(resolve => io.close(() => resolve()));
   }
 
-  return issues;
+  return { app, server, io, config, logger, userStore, listen, close };
 }
 
-
-io.on('connection', (socket) => {
-  console.log('A user connected:', socket.id);
-
-  socket.on('keypointsData', (data) => {
-    
-
-    const { keypoints, postureType } = data;
-
-    let postureIssues = [];
-    if (postureType === 'squat') {
-      postureIssues = evaluateSquatPosture(keypoints);
-    } else if (postureType === 'desk') {
-      postureIssues = evaluateDeskSittingPosture(keypoints);
-    } else {
-      postureIssues.push("Unknown posture type.");
-    }
-
-    socket.emit('postureFeedback', {
-      timestamp: Date.now(),
-      issues: postureIssues,
-      keypoints: keypoints 
-    });
+if (require.main === module) {
+  const posture = createServer(loadConfig());
+  posture.listen().then((port) => {
+    posture.logger.info(`Backend server listening on port ${port}`);
+  }).catch((error) => {
+    posture.logger.error('Failed to start server:', error);
+    process.exit(1);
   });
+}
 
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-
-  socket.on('error', (error) => {
-    console.error('Socket error:', error);
-  });
-});
-
-app.get('/', (req, res) => {
-  res.send('Posture Detection Backend is running!');
-});
-
-server.listen(PORT, () => {
-  console.log(`Backend server listening on port ${PORT}`);
-});
+module.exports = { createServer };
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { roundKeypoints } = require('../store/sessionStore');
+
+const ROOM_NAME = /^[\w-]{1,64}$/;
+const MAX_NAME_LENGTH = 40;
+const MAX_CUE_LENGTH = 200;
+// Coaches watch many trainees at once, so each trainee's frames are relayed at most this often.
+const RELAY_INTERVAL_MS = 100;
+
+function traineeRoom(room) {
+  return `trainees:${room}`;
+}
+
+function coachRoom(room) {
+  return `coaches:${room}`;
+}
+
+// Compares hashes, so the comparison takes the same time whatever the input.
+function codeMatches(expected, given) {
+  if (typeof given !== 'string') return false;
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(expected), hash(given));
+}
+
+/*
+ * Live coach monitoring over Socket.IO rooms, for one connected socket.
+ *
+ * A trainee sends `joinRoom({ room, code, name })`; a coach sends
+ * `watchRoom({ room, code })` and gets the room's trainees, then `traineeJoined`,
+ * `traineeLeft` and `traineeFrame` events (each trainee's people with keypoints and
+ * issues). A coach can send `coachCue({ room, traineeId, text })`, which the trainee
+ * receives as `coachCue`. Trainees present the server's shared `roomCode`, coaches
+ * its `coachCode`, so trainees can't watch each other.
+ * Problems are reported as `roomError` with { code, message }.
+ *
+ * Returns { publish(frame) }, which the socket handler calls after each analysed frame.
+ */
+function roomHandler(io, socket, { roomCode = null, coachCode = null, logger }) {
+  let trainee = null;
+  let lastRelay = -Infinity;
+  const watching = new Set();
+
+  function reject(code, message) {
+    socket.emit('roomError', { code, message, timestamp: Date.now() });
+  }
+
+  // The room name if the payload's code lets it in with `code`; otherwise reports why and returns null.
+  function admit(payload, code) {
+    if (!code) {
+      reject('ROOMS_DISABLED', 'Coach rooms are not enabled on this server.');
+      return null;
+    }
+    if (!payload || typeof payload !== 'object' || !ROOM_NAME.test(payload.room)) {
+      reject('INVALID_PAYLOAD', 'room must be 1-64 letters, digits, "-" or "_"');
+      return null;
+    }
+    if (!codeMatches(code, payload.code)) {
+      reject('ROOM_ACCESS_DENIED', 'Wrong room code.');
+      return null;
+    }
+    return payload.room;
+  }
+
+  function leaveAsTrainee() {
+    if (!trainee) return;
+    socket.leave(traineeRoom(trainee.room));
+    io.to(coachRoom(trainee.room)).emit('traineeLeft', { room: trainee.room, traineeId: socket.id });
+    trainee = null;
+    socket.data.trainee = null;
+  }
+
+  socket.on('joinRoom', (payload) => {
+    const room = admit(payload, roomCode);
+    if (!room) return;
+
+    leaveAsTrainee();
+    const name = typeof payload.name === 'string' && payload.name.trim()
+      ? payload.name.trim().slice(0, MAX_NAME_LENGTH)
+      : `Trainee ${socket.id.slice(0, 4)}`;
+    trainee = { room, name };
+    socket.data.trainee = trainee;
+    socket.join(traineeRoom(room));
+    socket.emit('roomJoined', { room, role: 'trainee', name });
+    io.to(coachRoom(room)).emit('traineeJoined', { room, traineeId: socket.id, name });
+    logger.info(`${name} joined room ${room}`);
+  });
+
+  socket.on('leaveRoom', () => {
+    leaveAsTrainee();
+    watching.forEach(room => socket.leave(coachRoom(room)));
+    watching.clear();
+  });
+
+  socket.on('watchRoom', async (payload) => {
+    const room = admit(payload, coachCode);
+    if (!room) return;
+
+    watching.add(room);
+    socket.join(coachRoom(room));
+    try {
+      const sockets = await io.in(traineeRoom(room)).fetchSockets();
+      const trainees = sockets.map(member => ({ traineeId: member.id, name: member.data.trainee.name }));
+      socket.emit('roomJoined', { room, role: 'coach', trainees });
+    } catch (error) {
+      logger.error('Failed to list room members:', error);
+      socket.emit('roomJoined', { room, role: 'coach', trainees: [] });
+    }
+  });
+
+  socket.on('coachCue', (payload) => {
+    if (!payload || !watching.has(payload.room)) {
+      reject('ROOM_ACCESS_DENIED', 'Watch the room before sending cues to its trainees.');
+      return;
+    }
+    const text = typeof payload.text === 'string' ? payload.text.trim() : '';
+    if (!text || text.length > MAX_CUE_LENGTH) {
+      reject('INVALID_PAYLOAD', `text must be 1-${MAX_CUE_LENGTH} characters`);
+      return;
+    }
+    const target = io.sockets.sockets.get(payload.traineeId);
+    if (!target || !target.data.trainee || target.data.trainee.room !== payload.room) {
+      reject('UNKNOWN_TRAINEE', 'That trainee is not in the room.');
+      return;
+    }
+    target.emit('coachCue', { room: payload.room, text, timestamp: Date.now() });
+  });
+
+  socket.on('disconnect', leaveAsTrainee);
+
+  // Relays an analysed frame to the coaches of this socket's room, if it has joined one.
+  function publish({ frameId, timestamp, postureType, frameSize, people }) {
+    if (!trainee || timestamp - lastRelay < RELAY_INTERVAL_MS) return;
+    lastRelay = timestamp;
+    io.to(coachRoom(trainee.room)).emit('traineeFrame', {
+      room: trainee.room,
+      traineeId: socket.id,
+      name: trainee.name,
+      frameId,
+      timestamp,
+      postureType,
+      frameSize,
+      people: people.map(({ trackId, keypoints, issues, angles, repCount, phase }) => ({
+        trackId,
+        keypoints: roundKeypoints(keypoints),
+        issues,
+        angles,
+        repCount,
+        phase,
+      })),
+    });
+  }
+
+  return { publish };
+}
+
+module.exports = roomHandler;
@@ -0,0 +1,38 @@
+// Handshake rejections reach the client as a `connect_error` whose `data` is { code }.
+function authError(code, message) {
+  return Object.assign(new Error(message), { data: { code } });
+}
+
+/*
+ * Socket.IO middleware: resolves the handshake's `auth.token` to `socket.data.user`
+ * and loads that user's profile into `socket.data.profile`. Without a token the
+ * socket is anonymous (both null), unless `requireAuth` is set.
+ * Codes: AUTH_REQUIRED, AUTH_INVALID, or AUTH_FAILED when the store can't be read.
+ */
+function socketAuth({ userStore, profileStore, requireAuth = false, logger }) {
+  return async (socket, next) => {
+    socket.data.user = null;
+    socket.data.profile = null;
+    const { token } = socket.handshake.auth || {};
+    if (!token) {
+      next(requireAuth ? authError('AUTH_REQUIRED', 'Log in to connect.') : undefined);
+      return;
+    }
+
+    try {
+      const user = await userStore.resolveToken(token);
+      if (!user) {
+        next(authError('AUTH_INVALID', 'Invalid or expired token.'));
+        return;
+      }
+      socket.data.user = user;
+      socket.data.profile = profileStore ? await profileStore.getProfile(user.id) : null;
+      next();
+    } catch (error) {
+      logger.error('Failed to authenticate socket:', error);
+      next(authError('AUTH_FAILED', 'Could not check the login.'));
+    }
+  };
+}
+
+module.exports = socketAuth;
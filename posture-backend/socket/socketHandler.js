@@ -1,33 +1,219 @@
-const { evaluateSquatPosture, evaluateDeskSittingPosture } = require('../controllers/postureController');
+const { createMultiPersonPipeline, createCalibration, parseSessionSettings } = require('posture-core');
+const { getExercise } = require('../exercises');
+const { isValidProfileId, isUserProfileId } = require('../store/profileStore');
+const { createLogger } = require('../utils/logger');
+const { validateFrame } = require('../utils/frameValidation');
+const { createRateLimiter } = require('../utils/rateLimiter');
+const { mergeThresholds } = require('../utils/thresholds');
+const { profileSettings, sessionDefaults } = require('../utils/profileSettings');
+const roomHandler = require('./roomHandler');
 
-function socketHandler(io) {
+// Rate-limit errors are reported at most this often; frames dropped in between are counted.
+const RATE_LIMIT_REPORT_MS = 1000;
+
+// Logged-in sockets use the user's profile; anonymous ones may name an anonymous profile.
+function socketProfileId(user, query) {
+  if (user) return user.id;
+  return isValidProfileId(query.profileId) && !isUserProfileId(query.profileId) ? query.profileId : null;
+}
+
+function socketHandler(io, {
+  sessionStore,
+  profileStore,
+  thresholds,
+  frameLimit = { ratePerSecond: 30, burst: 30 },
+  roomCode = null,
+  coachCode = null,
+  logger = createLogger(),
+} = {}) {
   io.on('connection', (socket) => {
-    console.log('A user connected:', socket.id);
+    // Set by socketAuth; both null for anonymous sockets.
+    const { user = null, profile = null } = socket.data;
+    logger.info('A user connected:', socket.id, user ? `(${user.username})` : '(anonymous)');
+
+    // The user's profile supplies defaults and thresholds; what the client sends still wins.
+    const { thresholds: userThresholds, notifications } = profileSettings(profile);
+    const sessionThresholds = mergeThresholds(thresholds, userThresholds);
+    let settings = parseSessionSettings({ ...sessionDefaults(profile), ...socket.handshake.query }, { thresholds: sessionThresholds });
+    const pipeline = createMultiPersonPipeline(settings);
+    const profileId = socketProfileId(user, socket.handshake.query);
+    let recorder = null;
+    let calibration = null;
+    const rateLimiter = createRateLimiter(frameLimit);
+    let droppedFrames = 0;
+    let lastRateLimitReport = -Infinity;
+    const rooms = roomHandler(io, socket, { roomCode, coachCode, logger });
+
+    socket.emit('sessionSettings', settings);
+
+    if (profileStore && profileId) {
+      profileStore.getCalibrations(profileId)
+        .then((calibrations) => {
+          Object.entries(calibrations).forEach(([exerciseId, saved]) => pipeline.setBaseline(exerciseId, saved.baseline));
+          socket.emit('calibrations', calibrations);
+        })
+        .catch(error => logger.error('Failed to load calibrations:', error));
+    }
+
+    // Structured rejection the client can show: { code, message, details?, retryAfterMs?, frameId, timestamp }.
+    function emitError(error, frameId = null) {
+      socket.emit('postureError', { ...error, frameId, timestamp: Date.now() });
+    }
+
+    function finishCalibration(result) {
+      const { exerciseId } = calibration;
+      calibration = null;
+      if (!result.ok) {
+        socket.emit('calibrationResult', { postureType: exerciseId, ok: false, error: result.error });
+        return;
+      }
 
-    socket.on('keypointsData', ({ keypoints, postureType }) => {
-      let issues = [];
+      pipeline.setBaseline(exerciseId, result.calibration.baseline);
+      socket.emit('calibrationResult', { postureType: exerciseId, ok: true, ...result.calibration });
+      if (profileStore && profileId) {
+        profileStore.saveCalibration(profileId, exerciseId, result.calibration)
+          .catch(error => logger.error('Failed to save calibration:', error));
+      }
+    }
 
-      if (postureType === 'squat') {
-        issues = evaluateSquatPosture(keypoints);
-      } else if (postureType === 'desk') {
-        issues = evaluateDeskSittingPosture(keypoints);
-      } else {
-        issues.push('Unknown posture type.');
+    // Handshake options sent again mid-session (e.g. new squat targets or preset).
+    // They apply on top of the handshake without resetting rep counts or the recording.
+    socket.on('updateSettings', (query) => {
+      if (!query || typeof query !== 'object' || Array.isArray(query)) {
+        emitError({ code: 'INVALID_PAYLOAD', message: 'updateSettings expects an object of session options' });
+        return;
       }
+      const next = parseSessionSettings({ ...sessionDefaults(profile), ...socket.handshake.query, ...query }, { thresholds: sessionThresholds });
+      // Whether and how the session is recorded is fixed at the handshake.
+      settings = { ...next, record: settings.record, recordKeypoints: settings.recordKeypoints };
+      pipeline.updateSettings(settings);
+      socket.emit('sessionSettings', settings);
+    });
+
+    socket.on('startCalibration', ({ postureType, durationMs } = {}) => {
+      const exercise = getExercise(postureType);
+      if (!exercise || !exercise.calibratable) {
+        socket.emit('calibrationResult', { postureType, ok: false, error: 'This exercise does not support calibration.' });
+        return;
+      }
+      calibration = createCalibration(exercise, { durationMs });
+      socket.emit('calibrationStarted', { postureType, durationMs: calibration.durationMs });
+    });
+
+    socket.on('clearCalibration', ({ postureType } = {}) => {
+      pipeline.setBaseline(postureType, null);
+      socket.emit('calibrationResult', { postureType, ok: true, baseline: null });
+      if (profileStore && profileId) {
+        profileStore.deleteCalibration(profileId, postureType)
+          .catch(error => logger.error('Failed to delete calibration:', error));
+      }
+    });
+
+    socket.on('keypointsData', (payload) => {
+      const timestamp = Date.now();
+      const clientFrameId = Number.isSafeInteger(payload && payload.frameId) ? payload.frameId : null;
 
+      // Frames over the limit are dropped; the error tells the client how long to back off.
+      const allowed = rateLimiter.take(timestamp);
+      if (!allowed.ok) {
+        droppedFrames += 1;
+        if (timestamp - lastRateLimitReport >= RATE_LIMIT_REPORT_MS) {
+          lastRateLimitReport = timestamp;
+          emitError({
+            code: 'RATE_LIMITED',
+            message: `Too many frames; at most ${frameLimit.ratePerSecond} per second are analysed.`,
+            retryAfterMs: allowed.retryAfterMs,
+            details: { droppedFrames },
+          }, clientFrameId);
+          droppedFrames = 0;
+        }
+        return;
+      }
+
+      const validation = validateFrame(payload);
+      if (!validation.ok) {
+        emitError(validation.error, clientFrameId);
+        return;
+      }
+      const { people, postureType, frameId, frameSize } = validation.frame;
+
+      let results;
+      try {
+        results = pipeline.processFrame({ people, postureType, timestamp });
+      } catch (error) {
+        logger.error('Failed to analyse frame:', error);
+        emitError({ code: 'PROCESSING_FAILED', message: 'The frame could not be analysed.' }, frameId);
+        return;
+      }
+
+      // The first person in the frame is the primary one: they are calibrated and
+      // recorded, and their feedback is also sent at the top level of the payload.
+      const [primary] = results;
+
+      if (calibration && calibration.exerciseId === postureType) {
+        const result = calibration.addFrame(primary.keypoints, timestamp);
+        if (result) finishCalibration(result);
+      }
+
+      if (sessionStore && settings.record) {
+        // Sessions are started on the first frame so idle connections leave no record.
+        if (!recorder) recorder = sessionStore.startSession({ socketId: socket.id, profileId, userId: user ? user.id : null, settings });
+        recorder.record({
+          timestamp,
+          postureType,
+          trackId: primary.trackId,
+          issues: primary.issues.map(({ code, severity, side, value }) => ({ code, severity, side, value })),
+          repCount: primary.trackerState.repCount,
+          cleanRepCount: primary.trackerState.cleanRepCount,
+          phase: primary.trackerState.phase,
+          symmetry: primary.symmetry ? primary.symmetry.values : undefined,
+          keypoints: settings.recordKeypoints ? primary.keypoints : undefined,
+        });
+      }
+
+      const alerts = [];
+      const feedback = results.map(({ trackId, view, issues, angles, symmetry, trackerState: { alerts: personAlerts = [], ...trackerState } }) => {
+        personAlerts.forEach(alert => alerts.push({ ...alert, trackId }));
+        return {
+          trackId,
+          issues,
+          issueMessages: issues.map(issue => issue.message),
+          angles,
+          view,
+          symmetry,
+          ...trackerState,
+        };
+      });
+
+      // The client draws its own keypoints; feedback refers back to them by frameId and trackId.
       socket.emit('postureFeedback', {
-        timestamp: Date.now(),
-        issues,
-        keypoints,
+        frameId,
+        timestamp,
+        sessionId: recorder ? recorder.id : null,
+        ...feedback[0],
+        people: feedback,
+      });
+
+      if (notifications.enabled) alerts.forEach(alert => socket.emit('postureAlert', alert));
+
+      rooms.publish({
+        frameId,
+        timestamp,
+        postureType,
+        frameSize,
+        people: feedback.map((person, index) => ({ ...person, keypoints: results[index].keypoints })),
       });
     });
 
     socket.on('disconnect', () => {
-      console.log('User disconnected:', socket.id);
+      logger.info('User disconnected:', socket.id);
+      if (recorder) {
+        recorder.end().catch(error => logger.error('Failed to finish session recording:', error));
+      }
     });
 
     socket.on('error', (error) => {
-      console.error('Socket error:', error);
+      logger.error('Socket error:', error);
     });
   });
 }
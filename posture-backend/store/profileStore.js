@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+
+const PROFILE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+function isValidProfileId(id) {
+  return typeof id === 'string' && PROFILE_ID_PATTERN.test(id);
+}
+
+// Logged-in users' profiles share their user id (see userStore); others are anonymous.
+function isUserProfileId(id) {
+  return typeof id === 'string' && id.startsWith('user-');
+}
+
+/*
+ * JSON file per profile in `dir`. Writes to the same profile are chained so
+ * concurrent updates don't overwrite each other.
+ */
+function createProfileStore({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const pending = new Map();
+  const profilePath = (id) => path.join(dir, `${id}.json`);
+
+  async function getProfile(id) {
+    if (!isValidProfileId(id)) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(profilePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  function updateProfile(id, updater) {
+    if (!isValidProfileId(id)) return Promise.reject(new Error(`Invalid profile id: ${id}`));
+
+    const previous = pending.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const current = (await getProfile(id)) || { id, createdAt: Date.now(), calibrations: {} };
+      const updated = updater(current) || current;
+      await fs.promises.writeFile(profilePath(id), JSON.stringify(updated, null, 2));
+      return updated;
+    });
+    pending.set(id, next);
+    next.finally(() => {
+      if (pending.get(id) === next) pending.delete(id);
+    }).catch(() => {});
+    return next;
+  }
+
+  async function getCalibrations(id) {
+    const profile = await getProfile(id);
+    return profile ? profile.calibrations || {} : {};
+  }
+
+  function saveCalibration(id, exerciseId, calibration) {
+    return updateProfile(id, (profile) => {
+      profile.calibrations = { ...profile.calibrations, [exerciseId]: calibration };
+    });
+  }
+
+  function deleteCalibration(id, exerciseId) {
+    return updateProfile(id, (profile) => {
+      const calibrations = { ...profile.calibrations };
+      delete calibrations[exerciseId];
+      profile.calibrations = calibrations;
+    });
+  }
+
+  // Replaces the given profile settings (see utils/profileSettings), keeping the rest.
+  function saveSettings(id, settings) {
+    return updateProfile(id, (profile) => {
+      Object.assign(profile, settings);
+    });
+  }
+
+  return { getProfile, updateProfile, getCalibrations, saveCalibration, deleteCalibration, saveSettings };
+}
+
+module.exports = { createProfileStore, isValidProfileId, isUserProfileId };
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { createTimelineSummary } = require('posture-core');
+
+const SESSION_ID_PATTERN = /^[0-9a-f-]{36}$/;
+// Timelines keep at most one frame per interval, plus every frame that changes the
+// exercise, phase, rep counts or issues. Summaries are kept from every frame.
+const RECORD_INTERVAL_MS = 200;
+
+// What a recorded frame shows, besides its measurements; frames that change it are always kept.
+function frameState({ postureType, trackId, phase, repCount, cleanRepCount, issues = [] }) {
+  return JSON.stringify([postureType, trackId, phase, repCount, cleanRepCount, issues.map(issue => issue.code)]);
+}
+
+function roundKeypoints(keypoints) {
+  return keypoints.map(({ name, x, y, score }) => ({
+    name,
+    x: Math.round(x * 10) / 10,
+    y: Math.round(y * 10) / 10,
+    score: Math.round(score * 100) / 100,
+  }));
+}
+
+/*
+ * JSON-lines session store. Each session is two files in `dir`:
+ * - <id>.jsonl: recorded frames, one per line (see RECORD_INTERVAL_MS)
+ * - <id>.meta.json: start/end times and, once the session ends, its summary
+ * Summaries are kept up to date while recording. Sessions that were never ended
+ * (e.g. the server stopped) are summarised from their timeline once, when first asked for.
+ */
+function createSessionStore({ dir, recordKeypoints = true }) {
+  fs.mkdirSync(dir, { recursive: true });
+  // Running summaries of the sessions being recorded, by id.
+  const recording = new Map();
+  // Summaries being computed for abandoned sessions, by id, so concurrent requests share one.
+  const closing = new Map();
+
+  const timelinePath = (id) => path.join(dir, `${id}.jsonl`);
+  const metaPath = (id) => path.join(dir, `${id}.meta.json`);
+
+  function writeMeta(meta) {
+    return fs.promises.writeFile(metaPath(meta.id), JSON.stringify(meta, null, 2));
+  }
+
+  async function readMeta(id) {
+    if (!SESSION_ID_PATTERN.test(id)) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(metaPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function readTimeline(id) {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(timelinePath(id), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return contents.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  // Summarises a session's timeline line by line, without reading the whole file at once.
+  async function summarizeTimelineFile(id) {
+    const timeline = createTimelineSummary();
+    let file;
+    try {
+      file = await fs.promises.open(timelinePath(id));
+    } catch (error) {
+      if (error.code === 'ENOENT') return timeline.summary();
+      throw error;
+    }
+    try {
+      const input = file.createReadStream({ encoding: 'utf8', autoClose: false });
+      for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+        if (line) timeline.add(JSON.parse(line));
+      }
+    } finally {
+      await file.close();
+    }
+    return timeline.summary();
+  }
+
+  // Ends a session that was never ended: it's summarised and its end set to its last frame.
+  function closeAbandoned(meta) {
+    if (!closing.has(meta.id)) {
+      closing.set(meta.id, summarizeTimelineFile(meta.id)
+        .then(async (summary) => {
+          const closed = { ...meta, endedAt: summary.endedAt !== null ? summary.endedAt : meta.startedAt, summary };
+          await writeMeta(closed);
+          return closed;
+        })
+        .finally(() => closing.delete(meta.id)));
+    }
+    return closing.get(meta.id);
+  }
+
+  // A session's meta with its summary, closing it first if it was abandoned.
+  function withSummary(meta) {
+    return (meta.summary || recording.has(meta.id)) ? meta : closeAbandoned(meta);
+  }
+
+  // Starts recording a session. Frames are appended in order through a write stream.
+  function startSession(details = {}) {
+    const meta = { id: crypto.randomUUID(), startedAt: Date.now(), endedAt: null, ...details, summary: null };
+    const stream = fs.createWriteStream(timelinePath(meta.id), { flags: 'a' });
+    const metaWritten = writeMeta(meta);
+    const timeline = createTimelineSummary();
+    recording.set(meta.id, timeline);
+    let lastWritten = null;
+    let ended = false;
+
+    function record(frame) {
+      if (ended) return;
+      timeline.add(frame);
+      const state = frameState(frame);
+      if (lastWritten && state === lastWritten.state && frame.timestamp - lastWritten.timestamp < RECORD_INTERVAL_MS) return;
+      lastWritten = { state, timestamp: frame.timestamp };
+
+      const entry = { ...frame };
+      if (recordKeypoints && frame.keypoints) entry.keypoints = roundKeypoints(frame.keypoints);
+      else delete entry.keypoints;
+      stream.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    async function end(extra = {}) {
+      if (ended) return meta;
+      ended = true;
+      await new Promise((resolve) => stream.end(resolve));
+      await metaWritten;
+      Object.assign(meta, extra, { endedAt: Date.now(), summary: timeline.summary() });
+      await writeMeta(meta);
+      recording.delete(meta.id);
+      return meta;
+    }
+
+    return { id: meta.id, record, end };
+  }
+
+  async function listSessions() {
+    const files = (await fs.promises.readdir(dir)).filter(file => file.endsWith('.meta.json'));
+    const sessions = await Promise.all(files.map(async (file) => {
+      const meta = await readMeta(file.replace('.meta.json', ''));
+      return meta && withSummary(meta);
+    }));
+    return sessions.filter(Boolean).sort((a, b) => b.startedAt - a.startedAt);
+  }
+
+  async function getSession(id) {
+    const meta = await readMeta(id);
+    if (!meta) return null;
+    return { ...meta, frames: await readTimeline(id) };
+  }
+
+  // Summary of a session; the running one while it is being recorded.
+  async function getSummary(id) {
+    const meta = await readMeta(id);
+    if (!meta) return null;
+    if (recording.has(id)) return recording.get(id).summary();
+    return (await withSummary(meta)).summary;
+  }
+
+  return { startSession, listSessions, getSession, getSummary, getMeta: readMeta };
+}
+
+module.exports = { createSessionStore, roundKeypoints };
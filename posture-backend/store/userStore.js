@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { hashPassword, verifyPassword } = require('../utils/passwords');
+
+const USERNAME_PATTERN = /^[a-z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 256;
+const DEFAULT_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Usernames are case-insensitive.
+function normalizeUsername(username) {
+  return typeof username === 'string' ? username.trim().toLowerCase() : '';
+}
+
+// The first problem with a username and password for a new account, or null.
+function credentialsProblem(username, password) {
+  if (!USERNAME_PATTERN.test(normalizeUsername(username))) {
+    return 'username must be 3-32 letters, digits, ".", "-" or "_"';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    return `password must be ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Checked instead of a real hash for unknown usernames, so they take as long to reject as wrong passwords.
+let dummyPassword = null;
+
+function dummyHash() {
+  if (!dummyPassword) dummyPassword = hashPassword(crypto.randomBytes(16).toString('hex'));
+  return dummyPassword;
+}
+
+function storeError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// What clients may see of an account.
+function publicUser({ id, username, createdAt }) {
+  return { id, username, createdAt };
+}
+
+/*
+ * Local accounts in one JSON file (`dir`/users.json), kept in memory once read:
+ * { users: { <id>: { id, username, password, createdAt } }, tokens: { <sha256>: { userId, expiresAt } } }.
+ * Only hashes of passwords and tokens are stored. Writes are chained so they never interleave.
+ * User ids start with "user-", so they can double as profile ids without clashing
+ * with the frontend's anonymous ones.
+ */
+function createUserStore({ dir, tokenTtlMs = DEFAULT_TOKEN_TTL_MS }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const file = path.join(dir, 'users.json');
+  let loading = null;
+  let writing = Promise.resolve();
+
+  function load() {
+    if (!loading) {
+      loading = fs.promises.readFile(file, 'utf8')
+        .then(contents => JSON.parse(contents))
+        .catch((error) => {
+          if (error.code === 'ENOENT') return { users: {}, tokens: {} };
+          loading = null;
+          throw error;
+        });
+    }
+    return loading;
+  }
+
+  // Applies `change` to the data and persists it; resolves with what `change` returns.
+  function update(change) {
+    const next = writing.catch(() => {}).then(async () => {
+      const data = await load();
+      const result = await change(data);
+      const temporary = `${file}.tmp`;
+      await fs.promises.writeFile(temporary, JSON.stringify(data, null, 2));
+      await fs.promises.rename(temporary, file);
+      return result;
+    });
+    writing = next;
+    return next;
+  }
+
+  function findByUsername(data, username) {
+    const wanted = normalizeUsername(username);
+    return Object.values(data.users).find(user => user.username === wanted) || null;
+  }
+
+  // Rejects with code 'INVALID_CREDENTIALS' or 'USERNAME_TAKEN'.
+  async function createUser(username, password) {
+    const problem = credentialsProblem(username, password);
+    if (problem) throw storeError('INVALID_CREDENTIALS', problem);
+    const passwordHash = await hashPassword(password);
+
+    return update((data) => {
+      if (findByUsername(data, username)) throw storeError('USERNAME_TAKEN', 'That username is taken.');
+      const user = { id: `user-${crypto.randomUUID()}`, username: normalizeUsername(username), password: passwordHash, createdAt: Date.now() };
+      data.users[user.id] = user;
+      return publicUser(user);
+    });
+  }
+
+  // The account if the password matches, otherwise null.
+  async function authenticate(username, password) {
+    const user = findByUsername(await load(), username);
+    if (!user) {
+      await verifyPassword(password, await dummyHash());
+      return null;
+    }
+    if (!(await verifyPassword(password, user.password))) return null;
+    return publicUser(user);
+  }
+
+  async function getUser(id) {
+    const user = (await load()).users[id];
+    return user ? publicUser(user) : null;
+  }
+
+  // A new bearer token for the user; expired tokens are dropped on the way.
+  function issueToken(userId, now = Date.now()) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    return update((data) => {
+      Object.entries(data.tokens).forEach(([hash, { expiresAt }]) => {
+        if (expiresAt <= now) delete data.tokens[hash];
+      });
+      data.tokens[hashToken(token)] = { userId, expiresAt: now + tokenTtlMs };
+      return { token, expiresAt: now + tokenTtlMs };
+    });
+  }
+
+  // The token's user, or null if it is unknown or expired.
+  async function resolveToken(token, now = Date.now()) {
+    if (typeof token !== 'string' || token === '') return null;
+    const data = await load();
+    const entry = data.tokens[hashToken(token)];
+    if (!entry || entry.expiresAt <= now || !data.users[entry.userId]) return null;
+    return publicUser(data.users[entry.userId]);
+  }
+
+  function revokeToken(token) {
+    return update((data) => {
+      delete data.tokens[hashToken(token)];
+    });
+  }
+
+  return { createUser, authenticate, getUser, issueToken, resolveToken, revokeToken };
+}
+
+module.exports = { createUserStore, credentialsProblem, normalizeUsername };
@@ -0,0 +1,229 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io: connect } = require('socket.io-client');
+const { DEFAULT_GOALS } = require('posture-core');
+const { createServer } = require('../server');
+const { keypoints } = require('posture-core/test/helpers/keypoints');
+
+const HUNCHED_FRONT = keypoints({
+  left_shoulder: [440, 190], right_shoulder: [340, 190],
+  left_hip: [355, 250], right_hip: [285, 250],
+  left_knee: [375, 360], right_knee: [265, 360],
+  left_ankle: [370, 460], right_ankle: [270, 460],
+});
+
+async function withServer(options, run) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'posture-auth-'));
+  const posture = createServer({
+    logLevel: 'silent',
+    sessionDataDir: path.join(dataDir, 'sessions'),
+    profileDataDir: path.join(dataDir, 'profiles'),
+    userDataDir: path.join(dataDir, 'users'),
+    ...options,
+  });
+  const port = await posture.listen(0);
+  const clients = [];
+  // Opens a socket and resolves with it and the session settings the server sends on connecting,
+  // or rejects with the connect_error.
+  function connectClient(clientOptions = {}) {
+    const client = connect(`http://localhost:${port}`, { transports: ['websocket'], reconnection: false, ...clientOptions });
+    clients.push(client);
+    return new Promise((resolve, reject) => {
+      client.once('sessionSettings', settings => resolve({ client, settings }));
+      client.once('connect_error', reject);
+    });
+  }
+  try {
+    await run(`http://localhost:${port}`, connectClient);
+  } finally {
+    clients.forEach(client => client.close());
+    await posture.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+async function request(baseUrl, method, url, { token, body } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const response = await fetch(`${baseUrl}${url}`, { method, headers, body: body && JSON.stringify(body) });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+function register(baseUrl, username, password = 'correct horse') {
+  return request(baseUrl, 'POST', '/auth/register', { body: { username, password } });
+}
+
+function nextEvent(client, name) {
+  return new Promise(resolve => client.once(name, resolve));
+}
+
+test('users register, log in, read themselves and log out', async () => {
+  await withServer({}, async (baseUrl) => {
+    const registered = await register(baseUrl, 'Alice');
+    assert.equal(registered.status, 201);
+    assert.equal(registered.body.user.username, 'alice');
+    assert.match(registered.body.user.id, /^user-/);
+    assert.equal(registered.body.user.password, undefined);
+
+    assert.equal((await register(baseUrl, 'alice')).status, 409);
+    assert.equal((await register(baseUrl, 'bob', 'short')).status, 400);
+
+    const wrong = await request(baseUrl, 'POST', '/auth/login', { body: { username: 'alice', password: 'wrong password' } });
+    assert.equal(wrong.status, 401);
+    const unknown = await request(baseUrl, 'POST', '/auth/login', { body: { username: 'nobody', password: 'correct horse' } });
+    assert.deepEqual(unknown, wrong);
+    const login = await request(baseUrl, 'POST', '/auth/login', { body: { username: 'ALICE', password: 'correct horse' } });
+    assert.equal(login.status, 200);
+    const { token } = login.body;
+
+    const me = await request(baseUrl, 'GET', '/auth/me', { token });
+    assert.equal(me.body.user.username, 'alice');
+    assert.deepEqual(me.body.profile, {
+      height: null, preferredExercises: [], thresholds: {}, notifications: { enabled: true }, goals: DEFAULT_GOALS,
+    });
+    assert.equal((await request(baseUrl, 'GET', '/auth/me')).status, 401);
+
+    assert.equal((await request(baseUrl, 'POST', '/auth/logout', { token })).status, 204);
+    assert.equal((await request(baseUrl, 'GET', '/auth/me', { token })).status, 401);
+    // A stale token doesn't stand in the way of logging in again.
+    const again = await request(baseUrl, 'POST', '/auth/login', { token, body: { username: 'alice', password: 'correct horse' } });
+    assert.equal(again.status, 200);
+    assert.equal((await request(baseUrl, 'GET', '/exercises', { token })).status, 200);
+    // The registration token is still valid.
+    assert.equal((await request(baseUrl, 'GET', '/auth/me', { token: registered.body.token })).status, 200);
+  });
+});
+
+test('behind a trusted proxy, login attempts are limited per forwarded client', async () => {
+  await withServer({ trustProxy: 1 }, async (baseUrl) => {
+    const login = forwardedFor => fetch(`${baseUrl}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': forwardedFor },
+      body: JSON.stringify({ username: 'nobody', password: 'wrong password' }),
+    });
+    const statuses = [];
+    for (let attempt = 0; attempt < 11; attempt += 1) statuses.push((await login('203.0.113.1')).status);
+    assert.deepEqual(statuses, [...Array(10).fill(401), 429]);
+    assert.equal((await login('203.0.113.2')).status, 401);
+  });
+});
+
+test('profile settings are validated and a user\'s thresholds apply to their analyses', async () => {
+  await withServer({}, async (baseUrl) => {
+    const { body: { token, user } } = await register(baseUrl, 'alice');
+    const { body: { token: otherToken } } = await register(baseUrl, 'bob');
+
+    assert.equal((await request(baseUrl, 'PATCH', '/profiles/me', { token, body: { height: 20 } })).status, 400);
+    assert.equal((await request(baseUrl, 'PATCH', '/profiles/me', { token, body: { thresholds: { squat: { depth: 1 } } } })).status, 400);
+    assert.equal((await request(baseUrl, 'PATCH', '/profiles/me', { token, body: { preferredExercises: ['handstand'] } })).status, 400);
+
+    const saved = await request(baseUrl, 'PATCH', '/profiles/me', {
+      token,
+      body: { height: 172, preferredExercises: ['squat'], thresholds: { squat: { backAngle: 90 } } },
+    });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.height, 172);
+    assert.deepEqual((await request(baseUrl, 'GET', '/profiles/me', { token })).body.thresholds, { squat: { backAngle: 90 } });
+
+    // Notification timings alone leave alerts enabled.
+    const timings = await request(baseUrl, 'PATCH', '/profiles/me', { token, body: { notifications: { slouchAlertMinutes: 5 } } });
+    assert.equal(timings.status, 200);
+    assert.deepEqual(timings.body.notifications, { enabled: true, slouchAlertMinutes: 5 });
+    assert.deepEqual((await request(baseUrl, 'GET', '/profiles/me', { token })).body.notifications, { enabled: true, slouchAlertMinutes: 5 });
+
+    const track = { postureType: 'squat', track: [{ timestamp: 0, keypoints: HUNCHED_FRONT }], settings: { preset: 'raw' } };
+    const hunched = frames => frames[0].issues.some(issue => issue.code === 'SQUAT_BACK_HUNCHED');
+    assert.ok(hunched((await request(baseUrl, 'POST', '/analysis/batch', { body: track })).body.frames));
+    assert.ok(hunched((await request(baseUrl, 'POST', '/analysis/batch', { token: otherToken, body: track })).body.frames));
+    assert.ok(!hunched((await request(baseUrl, 'POST', '/analysis/batch', { token, body: track })).body.frames));
+
+    // A user's profile id isn't reachable anonymously or by other users.
+    assert.equal((await request(baseUrl, 'GET', `/profiles/${user.id}/calibrations`)).status, 403);
+    assert.equal((await request(baseUrl, 'GET', `/profiles/${user.id}/calibrations`, { token: otherToken })).status, 403);
+    assert.equal((await request(baseUrl, 'GET', `/profiles/${user.id}/calibrations`, { token })).status, 200);
+  });
+});
+
+test('sockets authenticate with the handshake token and use the user\'s profile', async () => {
+  await withServer({}, async (baseUrl, connectClient) => {
+    const { body: { token, user } } = await register(baseUrl, 'alice');
+    await request(baseUrl, 'PATCH', '/profiles/me', {
+      token,
+      body: { thresholds: { squat: { backAngle: 90 } }, notifications: { enabled: true, slouchAlertMinutes: 2 } },
+    });
+
+    await assert.rejects(connectClient({ auth: { token: 'not-a-token' } }), error => error.data.code === 'AUTH_INVALID');
+
+    const { client, settings } = await connectClient({ auth: { token } });
+    assert.equal(settings.thresholds.squat.backAngle, 90);
+    assert.equal(settings.desk.slouchAlertMinutes, 2);
+
+    // Sessions are recorded against the user and listed only for them.
+    const feedback = nextEvent(client, 'postureFeedback');
+    client.emit('keypointsData', { keypoints: HUNCHED_FRONT, postureType: 'squat', timestamp: 0 });
+    const { sessionId } = await feedback;
+    assert.ok(sessionId);
+
+    const mine = await request(baseUrl, 'GET', '/sessions', { token });
+    assert.deepEqual(mine.body.map(session => session.id), [sessionId]);
+    assert.equal(mine.body[0].userId, user.id);
+    assert.deepEqual((await request(baseUrl, 'GET', '/sessions')).body, []);
+    assert.equal((await request(baseUrl, 'GET', `/sessions/${sessionId}/summary`)).status, 404);
+    assert.equal((await request(baseUrl, 'GET', `/sessions/${sessionId}/summary`, { token })).status, 200);
+  });
+});
+
+test('progress scores a user\'s sessions against their own goals', async () => {
+  await withServer({}, async (baseUrl, connectClient) => {
+    const { body: { token } } = await register(baseUrl, 'alice');
+    const goals = [{ id: 'squat-score', type: 'score', score: 90, minutes: 1 }];
+    assert.equal((await request(baseUrl, 'PATCH', '/profiles/me', { token, body: { goals: [{ id: 'x', type: 'steps' }] } })).status, 400);
+    assert.equal((await request(baseUrl, 'PATCH', '/profiles/me', { token, body: { goals } })).status, 200);
+
+    const { client } = await connectClient({ auth: { token }, query: { preset: 'raw' } });
+    for (const timestamp of [0, 1000, 2000]) {
+      const feedback = nextEvent(client, 'postureFeedback');
+      client.emit('keypointsData', { keypoints: HUNCHED_FRONT, postureType: 'squat', timestamp });
+      await feedback;
+    }
+    client.close();
+    // The summary is stored once the server has seen the disconnect.
+    for (let attempt = 0; attempt < 50; attempt += 1) {
+      const [session] = (await request(baseUrl, 'GET', '/sessions', { token })).body;
+      if (session && session.summary) break;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    const { body: progress } = await request(baseUrl, 'GET', '/sessions/progress', { token });
+    assert.deepEqual(progress.goals, goals);
+    assert.equal(progress.days.length, 1);
+    // Days and today follow the client's time zone (here UTC+14).
+    const { body: local } = await request(baseUrl, 'GET', '/sessions/progress?tz=Pacific/Kiritimati', { token });
+    assert.equal(local.days[0].date, local.today.date);
+    assert.equal((await request(baseUrl, 'GET', '/sessions/progress?tz=Mars/Olympus', { token })).status, 400);
+    assert.ok(progress.days[0].score < 100);
+    assert.equal(progress.days[0].goals[0].met, false);
+    assert.deepEqual(progress.streak, { current: 0, longest: 0 });
+    assert.equal(progress.badges.find(badge => badge.id === 'first-session').earnedOn, progress.today.date);
+
+    const anonymous = (await request(baseUrl, 'GET', '/sessions/progress')).body;
+    assert.deepEqual(anonymous.goals, DEFAULT_GOALS);
+    assert.deepEqual(anonymous.days, []);
+  });
+});
+
+test('requireAuth rejects anonymous requests and sockets', async () => {
+  await withServer({ requireAuth: true }, async (baseUrl, connectClient) => {
+    assert.equal((await request(baseUrl, 'GET', '/exercises')).status, 200);
+    assert.equal((await request(baseUrl, 'GET', '/sessions')).status, 401);
+    await assert.rejects(connectClient(), error => error.data.code === 'AUTH_REQUIRED');
+
+    const { body: { token } } = await register(baseUrl, 'alice');
+    assert.equal((await request(baseUrl, 'GET', '/sessions', { token })).status, 200);
+    await connectClient({ auth: { token } });
+  });
+});
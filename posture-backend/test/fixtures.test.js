@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { loadFixture, replayFixture } = require('../utils/fixtureReplay');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+fs.readdirSync(FIXTURE_DIR).filter(file => file.endsWith('.json')).sort().forEach(file => {
+  test(`fixture ${file} produces its labelled issues`, () => {
+    const results = replayFixture(loadFixture(path.join(FIXTURE_DIR, file)));
+    const mismatches = results
+      .filter(frame => frame.missing.length > 0 || frame.unexpected.length > 0)
+      .map(({ index, label, missing, unexpected }) => ({ index, label, missing, unexpected }));
+    assert.deepEqual(mismatches, []);
+  });
+});
+
+test('replaying against an unknown exercise fails instead of passing', () => {
+  const file = path.join(FIXTURE_DIR, fs.readdirSync(FIXTURE_DIR).find(name => name.endsWith('.json')));
+  assert.throws(() => replayFixture(loadFixture(file), { exercise: 'sqaut' }), /Unknown exercise: sqaut/);
+
+  const replay = spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'replay.js'), file, '--exercise', 'sqaut'], { encoding: 'utf8' });
+  assert.equal(replay.status, 2);
+  assert.match(replay.stderr, /Unknown exercise: sqaut/);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer } = require('../server');
+const { loadConfig, resolveConfig } = require('../config');
+const { loadRuleDirectory } = require('../exercises/ruleFiles');
+const { keypoints } = require('posture-core/test/helpers/keypoints');
+
+const HUNCHED_FRONT = keypoints({
+  left_shoulder: [440, 190], right_shoulder: [340, 190],
+  left_hip: [355, 250], right_hip: [285, 250],
+  left_knee: [375, 360], right_knee: [265, 360],
+  left_ankle: [370, 460], right_ankle: [270, 460],
+});
+
+async function withServer(options, run) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'posture-'));
+  const posture = createServer({
+    logLevel: 'silent',
+    sessionDataDir: path.join(dataDir, 'sessions'),
+    profileDataDir: path.join(dataDir, 'profiles'),
+    userDataDir: path.join(dataDir, 'users'),
+    ...options,
+  });
+  const port = await posture.listen(0);
+  try {
+    await run(`http://localhost:${port}`);
+  } finally {
+    await posture.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+function postBatch(baseUrl, settings = { preset: 'raw' }) {
+  return fetch(`${baseUrl}/analysis/batch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ postureType: 'squat', track: [{ timestamp: 0, keypoints: HUNCHED_FRONT }], settings }),
+  });
+}
+
+function batch(baseUrl) {
+  return postBatch(baseUrl).then(response => response.json());
+}
+
+test('createServer serves the REST API in-process and only allows configured origins', async () => {
+  await withServer({ corsOrigins: ['http://localhost:5173'] }, async (baseUrl) => {
+    const allowed = await fetch(`${baseUrl}/exercises`, { headers: { Origin: 'http://localhost:5173' } });
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'http://localhost:5173');
+    assert.ok((await allowed.json()).some(exercise => exercise.id === 'squat'));
+
+    const other = await fetch(`${baseUrl}/exercises`, { headers: { Origin: 'https://example.com' } });
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+  });
+});
+
+test('configured thresholds override the exercise defaults', async () => {
+  await withServer({}, async (baseUrl) => {
+    const { frames } = await batch(baseUrl);
+    assert.ok(frames[0].issues.some(issue => issue.code === 'SQUAT_BACK_HUNCHED'));
+  });
+  await withServer({ thresholds: { squat: { backAngle: 90 } } }, async (baseUrl) => {
+    const { frames } = await batch(baseUrl);
+    assert.ok(!frames[0].issues.some(issue => issue.code === 'SQUAT_BACK_HUNCHED'));
+  });
+});
+
+test('batch settings must be an object when given', async () => {
+  await withServer({}, async (baseUrl) => {
+    for (const settings of [null, 'raw', ['raw']]) {
+      const response = await postBatch(baseUrl, settings);
+      assert.equal(response.status, 400);
+      assert.match((await response.json()).error, /settings must be an object/);
+    }
+    assert.equal((await postBatch(baseUrl, undefined)).status, 200);
+  });
+});
+
+test('loadConfig layers env vars over the config file', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'posture-config-'));
+  const file = path.join(dir, 'config.json');
+  fs.writeFileSync(file, JSON.stringify({ port: 4000, logLevel: 'debug', thresholds: { desk: { neckAngle: 140 } } }));
+
+  const config = loadConfig({ POSTURE_CONFIG: file, PORT: '4100', CORS_ORIGINS: 'https://a.example, https://b.example', TRUST_PROXY: '1' });
+  assert.equal(config.trustProxy, 1);
+  assert.equal(loadConfig({ POSTURE_CONFIG: file }).trustProxy, false);
+  assert.deepEqual(loadConfig({ POSTURE_CONFIG: file, TRUST_PROXY: 'loopback, 10.0.0.0/8' }).trustProxy, ['loopback', '10.0.0.0/8']);
+  assert.equal(config.port, 4100);
+  assert.equal(config.logLevel, 'debug');
+  assert.deepEqual(config.corsOrigins, ['https://a.example', 'https://b.example']);
+  assert.deepEqual(config.thresholds, { desk: { neckAngle: 140 } });
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('invalid configuration is rejected', () => {
+  assert.throws(() => resolveConfig({ port: 'abc' }), /Invalid port/);
+  assert.throws(() => resolveConfig({ logLevel: 'loud' }), /Invalid logLevel/);
+  assert.throws(() => resolveConfig({ thresholds: { squat: { depth: 1 } } }), /thresholds\.squat\.depth is unknown/);
+  assert.throws(() => resolveConfig({ thresholds: { plank: { hip: 1 } } }), /no configurable thresholds/);
+  assert.throws(() => resolveConfig({ requireAuth: 'yes' }), /requireAuth must be true or false/);
+  assert.throws(() => resolveConfig({ roomCode: 'gym-42' }), /must be set together/);
+  assert.throws(() => resolveConfig({ roomCode: 'gym-42', coachCode: 'gym-42' }), /must differ/);
+  assert.throws(() => resolveConfig({ trustProxy: -1 }), /trustProxy must be/);
+});
+
+test('rule files dropped into a directory are loaded in name order', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'posture-rules-'));
+  try {
+    const plank = JSON.parse(fs.readFileSync(require.resolve('posture-core/exercises/rules/plank.json'), 'utf8'));
+    fs.writeFileSync(path.join(dir, 'side-plank.json'), JSON.stringify({ ...plank, id: 'side-plank', label: 'Side plank' }));
+    fs.writeFileSync(path.join(dir, 'a-plank.json'), JSON.stringify({ ...plank, id: 'a-plank' }));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a rule file');
+    assert.deepEqual(loadRuleDirectory(dir).map(exercise => exercise.id), ['a-plank', 'side-plank']);
+    assert.deepEqual(loadRuleDirectory(path.join(dir, 'missing')), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { summarizeTimeline } = require('posture-core');
+const { createSessionStore } = require('../store/sessionStore');
+const { keypoints } = require('posture-core/test/helpers/keypoints');
+
+const SLOUCHING = [{ code: 'DESK_SLOUCHING', severity: 'warning' }];
+const NOSE = keypoints({ nose: [320, 100] });
+
+async function withStore(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'posture-sessions-'));
+  try {
+    await run(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Two seconds at 30 fps: good posture, then slouching from frame 40.
+function deskFrames() {
+  return Array.from({ length: 60 }, (_, index) => ({
+    timestamp: 1000 + Math.round(index * (1000 / 30)),
+    postureType: 'desk',
+    issues: index >= 40 ? SLOUCHING : [],
+  }));
+}
+
+test('recording keeps a running summary and a thinned-out timeline', async () => {
+  await withStore(async (dir) => {
+    const store = createSessionStore({ dir });
+    const frames = deskFrames();
+    const recorder = store.startSession({ profileId: 'anon-1' });
+    frames.forEach((frame, index) => recorder.record(index === 0 ? { ...frame, keypoints: NOSE } : frame));
+
+    const live = await store.getSummary(recorder.id);
+    assert.equal(live.frameCount, 60);
+    assert.deepEqual(live, summarizeTimeline(frames));
+
+    const meta = await recorder.end();
+    assert.deepEqual(meta.summary, live);
+    const { frames: timeline } = await store.getSession(recorder.id);
+    // At most 5 frames a second, plus the frame where slouching started.
+    assert.ok(timeline.length <= 12, `${timeline.length} frames recorded`);
+    assert.ok(timeline.some(frame => frame.timestamp === frames[40].timestamp));
+    assert.equal(timeline[0].keypoints[0].name, 'nose');
+    assert.equal(timeline[1].keypoints, undefined);
+  });
+});
+
+test('a session that was never ended is summarised once, from its timeline', async () => {
+  await withStore(async (dir) => {
+    const id = crypto.randomUUID();
+    const frames = deskFrames();
+    fs.writeFileSync(path.join(dir, `${id}.meta.json`), JSON.stringify({ id, startedAt: 1000, endedAt: null, summary: null }));
+    fs.writeFileSync(path.join(dir, `${id}.jsonl`), frames.map(frame => `${JSON.stringify(frame)}\n`).join(''));
+
+    const store = createSessionStore({ dir });
+    const [listed] = await store.listSessions();
+    assert.deepEqual(listed.summary, summarizeTimeline(frames));
+    assert.equal(listed.endedAt, frames[frames.length - 1].timestamp);
+
+    // The summary is stored: it's there even once the timeline is gone.
+    fs.rmSync(path.join(dir, `${id}.jsonl`));
+    assert.deepEqual(await store.getSummary(id), listed.summary);
+    assert.deepEqual((await store.getMeta(id)).summary, listed.summary);
+  });
+});
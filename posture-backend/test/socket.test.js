@@ -0,0 +1,234 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io: connect } = require('socket.io-client');
+const { createServer } = require('../server');
+const { keypoints } = require('posture-core/test/helpers/keypoints');
+
+const STANDING = keypoints({
+  left_shoulder: [370, 120], right_shoulder: [270, 120],
+  left_hip: [355, 250], right_hip: [285, 250],
+  left_knee: [375, 360], right_knee: [265, 360],
+  left_ankle: [370, 460], right_ankle: [270, 460],
+});
+
+async function withClient(options, run) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'posture-socket-'));
+  const posture = createServer({
+    logLevel: 'silent',
+    sessionDataDir: path.join(dataDir, 'sessions'),
+    profileDataDir: path.join(dataDir, 'profiles'),
+    userDataDir: path.join(dataDir, 'users'),
+    ...options,
+  });
+  const port = await posture.listen(0);
+  const clients = [];
+  // Further clients for tests with several participants; closed with the first.
+  async function connectClient() {
+    const client = connect(`http://localhost:${port}`, { query: { record: 'false' }, transports: ['websocket'] });
+    clients.push(client);
+    await new Promise((resolve, reject) => {
+      client.once('connect', resolve);
+      client.once('connect_error', reject);
+    });
+    return client;
+  }
+  try {
+    await run(await connectClient(), connectClient);
+  } finally {
+    clients.forEach(client => client.close());
+    await posture.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+}
+
+function nextEvent(client, name) {
+  return new Promise(resolve => client.once(name, resolve));
+}
+
+test('malformed frames are rejected with a postureError', async () => {
+  await withClient({}, async (client) => {
+    const cases = [
+      [null, 'INVALID_PAYLOAD'],
+      [{ keypoints: 'nope', postureType: 'squat' }, 'INVALID_KEYPOINTS'],
+      [{ keypoints: [{ name: 'nose', x: '1', y: 2, score: 0.9 }], postureType: 'squat' }, 'INVALID_KEYPOINTS'],
+      [{ keypoints: STANDING, postureType: 'handstand' }, 'UNKNOWN_POSTURE_TYPE'],
+    ];
+    for (const [payload, code] of cases) {
+      const error = nextEvent(client, 'postureError');
+      client.emit('keypointsData', payload);
+      assert.equal((await error).code, code);
+    }
+
+    const feedback = nextEvent(client, 'postureFeedback');
+    client.emit('keypointsData', { keypoints: STANDING, postureType: 'squat', frameId: 7 });
+    const data = await feedback;
+    assert.deepEqual(data.issues, []);
+    assert.equal(data.frameId, 7);
+    assert.equal(data.keypoints, undefined);
+    assert.deepEqual(data.angles.map(angle => angle.id), ['backLeft', 'backRight', 'kneeLeft', 'kneeRight']);
+    assert.deepEqual(data.symmetry.values, { shoulderTilt: 0, hipDrop: 0, hipShift: 0, kneeDifference: null });
+    assert.equal(data.symmetry.session.shoulderTilt.samples, 1);
+
+    const invalidId = nextEvent(client, 'postureError');
+    client.emit('keypointsData', { keypoints: STANDING, postureType: 'squat', frameId: -1 });
+    assert.equal((await invalidId).code, 'INVALID_PAYLOAD');
+  });
+});
+
+test('frames over the rate limit are dropped and reported once', async () => {
+  await withClient({ maxFramesPerSecond: 1, frameBurst: 2 }, async (client) => {
+    const feedback = [];
+    const errors = [];
+    client.on('postureFeedback', data => feedback.push(data));
+    client.on('postureError', error => errors.push(error));
+
+    for (let i = 0; i < 6; i += 1) client.emit('keypointsData', { keypoints: STANDING, postureType: 'squat' });
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    assert.equal(feedback.length, 2);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].code, 'RATE_LIMITED');
+    assert.ok(errors[0].retryAfterMs > 0);
+  });
+});
+
+test('session settings can be updated without reconnecting', async () => {
+  await withClient({}, async (client) => {
+    const updated = nextEvent(client, 'sessionSettings');
+    client.emit('updateSettings', { preset: 'video', eccentricSeconds: 3, record: 'true' });
+    const settings = await updated;
+    assert.equal(settings.preset, 'video');
+    assert.equal(settings.squat.eccentricSeconds, 3);
+    // Recording was turned off in the handshake and stays off.
+    assert.equal(settings.record, false);
+
+    const error = nextEvent(client, 'postureError');
+    client.emit('updateSettings', 'video');
+    assert.equal((await error).code, 'INVALID_PAYLOAD');
+  });
+});
+
+test('each tracked person gets their own feedback', async () => {
+  await withClient({}, async (client) => {
+    const single = nextEvent(client, 'postureFeedback');
+    client.emit('keypointsData', { keypoints: STANDING, postureType: 'squat', frameId: 1 });
+    assert.deepEqual((await single).people.map(person => person.trackId), [0]);
+
+    const feedback = nextEvent(client, 'postureFeedback');
+    client.emit('keypointsData', {
+      people: [{ trackId: 4, keypoints: STANDING }, { trackId: 2, keypoints: STANDING }],
+      postureType: 'squat',
+      frameId: 2,
+    });
+    const data = await feedback;
+    assert.deepEqual(data.people.map(person => person.trackId), [4, 2]);
+    assert.equal(data.trackId, 4);
+    assert.deepEqual(data.people[1].issues, []);
+    assert.equal(data.people[1].angles.length, 4);
+
+    const duplicate = nextEvent(client, 'postureError');
+    client.emit('keypointsData', {
+      people: [{ trackId: 1, keypoints: STANDING }, { trackId: 1, keypoints: STANDING }],
+      postureType: 'squat',
+    });
+    assert.equal((await duplicate).code, 'INVALID_PAYLOAD');
+
+    const badKeypoints = nextEvent(client, 'postureError');
+    client.emit('keypointsData', { people: [{ trackId: 1, keypoints: [] }], postureType: 'squat' });
+    const error = await badKeypoints;
+    assert.equal(error.code, 'INVALID_KEYPOINTS');
+    assert.match(error.message, /^people\[0\]\.keypoints/);
+  });
+});
+
+test('normalized and unnamed keypoints are converted to the canonical skeleton', async () => {
+  await withClient({}, async (client) => {
+    const pixels = nextEvent(client, 'postureFeedback');
+    client.emit('keypointsData', { keypoints: STANDING, postureType: 'squat' });
+    const expected = (await pixels).angles;
+
+    // The same pose as unnamed, normalized BlazePose output: 33 points in BlazePose order.
+    const blazePoseOrder = { 11: 'left_shoulder', 12: 'right_shoulder', 23: 'left_hip', 24: 'right_hip', 25: 'left_knee', 26: 'right_knee', 27: 'left_ankle', 28: 'right_ankle' };
+    const normalized = Array.from({ length: 33 }, (_, index) => {
+      const kp = STANDING.find(point => point.name === blazePoseOrder[index]);
+      return kp ? { x: kp.x / 640, y: kp.y / 480, visibility: kp.score } : { x: 0, y: 0, visibility: 0 };
+    });
+    const converted = nextEvent(client, 'postureFeedback');
+    client.emit('keypointsData', {
+      keypoints: normalized,
+      postureType: 'squat',
+      coordinates: 'normalized',
+      frameSize: { width: 640, height: 480 },
+    });
+    assert.deepEqual((await converted).angles, expected);
+
+    const missingSize = nextEvent(client, 'postureError');
+    client.emit('keypointsData', { keypoints: normalized, postureType: 'squat', coordinates: 'normalized' });
+    assert.equal((await missingSize).code, 'INVALID_PAYLOAD');
+
+    const unknownCount = nextEvent(client, 'postureError');
+    client.emit('keypointsData', { keypoints: normalized.slice(1), postureType: 'squat' });
+    assert.equal((await unknownCount).code, 'INVALID_KEYPOINTS');
+  });
+});
+
+test('coaches watch trainees in a room and send them cues', async () => {
+  await withClient({ roomCode: 'gym-42', coachCode: 'coach-42' }, async (trainee, connectClient) => {
+    const coach = await connectClient();
+
+    const denied = nextEvent(coach, 'roomError');
+    coach.emit('watchRoom', { room: 'monday', code: 'wrong' });
+    assert.equal((await denied).code, 'ROOM_ACCESS_DENIED');
+
+    const watching = nextEvent(coach, 'roomJoined');
+    coach.emit('watchRoom', { room: 'monday', code: 'coach-42' });
+    assert.deepEqual((await watching).trainees, []);
+
+    const joined = nextEvent(coach, 'traineeJoined');
+    const traineeJoined = nextEvent(trainee, 'roomJoined');
+    trainee.emit('joinRoom', { room: 'monday', code: 'gym-42', name: 'Sam' });
+    assert.equal((await traineeJoined).role, 'trainee');
+    const { traineeId, name } = await joined;
+    assert.equal(name, 'Sam');
+
+    const frame = nextEvent(coach, 'traineeFrame');
+    trainee.emit('keypointsData', { keypoints: STANDING, postureType: 'squat', frameId: 3, frameSize: { width: 640, height: 480 } });
+    const relayed = await frame;
+    assert.equal(relayed.traineeId, traineeId);
+    assert.equal(relayed.frameId, 3);
+    assert.deepEqual(relayed.frameSize, { width: 640, height: 480 });
+    assert.equal(relayed.people[0].keypoints.length, STANDING.length);
+    assert.deepEqual(relayed.people[0].issues, []);
+
+    const cue = nextEvent(trainee, 'coachCue');
+    coach.emit('coachCue', { room: 'monday', traineeId, text: 'Slow down' });
+    assert.equal((await cue).text, 'Slow down');
+
+    const left = nextEvent(coach, 'traineeLeft');
+    trainee.emit('leaveRoom');
+    assert.equal((await left).traineeId, traineeId);
+  });
+});
+
+test('the trainee room code does not let anyone watch a room', async () => {
+  await withClient({ roomCode: 'gym-42', coachCode: 'coach-42' }, async (client) => {
+    const denied = nextEvent(client, 'roomError');
+    client.emit('watchRoom', { room: 'monday', code: 'gym-42' });
+    assert.equal((await denied).code, 'ROOM_ACCESS_DENIED');
+
+    const cue = nextEvent(client, 'roomError');
+    client.emit('coachCue', { room: 'monday', traineeId: 'someone', text: 'Hi' });
+    assert.equal((await cue).code, 'ROOM_ACCESS_DENIED');
+  });
+});
+
+test('rooms are disabled without a room code', async () => {
+  await withClient({}, async (client) => {
+    const error = nextEvent(client, 'roomError');
+    client.emit('joinRoom', { room: 'monday', code: 'anything' });
+    assert.equal((await error).code, 'ROOMS_DISABLED');
+  });
+});
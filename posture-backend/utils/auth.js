@@ -0,0 +1,37 @@
+// The token of an `Authorization: Bearer <token>` header, or null.
+function bearerToken(header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  return match ? match[1] : null;
+}
+
+/*
+ * Express middleware: sets `req.user` (and `req.token`) from a bearer token, or
+ * null without one. Requests with an unknown or expired token are rejected with
+ * 401, so a stale login is noticed rather than silently treated as anonymous.
+ * On `publicPaths` (e.g. logging in) a bad token is ignored instead, so a client
+ * holding a stale one can still log in again.
+ */
+function authenticate(userStore, { publicPaths = [] } = {}) {
+  return async (req, res, next) => {
+    req.user = null;
+    req.token = bearerToken(req.get('authorization'));
+    if (!req.token) return next();
+    try {
+      req.user = await userStore.resolveToken(req.token);
+      if (!req.user) {
+        if (!publicPaths.includes(req.path)) return res.status(401).json({ error: 'Invalid or expired token' });
+        req.token = null;
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+function requireUser(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'Log in first' });
+  next();
+}
+
+module.exports = { bearerToken, authenticate, requireUser };
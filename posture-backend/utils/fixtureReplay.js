@@ -0,0 +1,87 @@
+const fs = require('fs');
+const { evaluatePosture, createAnalysisPipeline, parseSessionSettings, adaptKeypoints } = require('posture-core');
+// Includes server-only rule files, so fixtures can target them too.
+const { getExercise } = require('../exercises');
+
+/*
+ * Keypoint fixture format (JSON):
+ *
+ * {
+ *   "description": "Front-view squat with the left knee caving in",
+ *   "exercise": "squat",
+ *   "frames": [
+ *     {
+ *       "label": "bottom",
+ *       "timestamp": 0,
+ *       "keypoints": [{ "name": "left_hip", "x": 230, "y": 250, "score": 0.9 }, ...],
+ *       "expectedIssues": ["SQUAT_KNEE_VALGUS"]
+ *     }
+ *   ]
+ * }
+ *
+ * `keypoints` may be a recorded MoveNet array as above, or the compact form
+ * { "left_hip": [230, 250, 0.9], ... }. `expectedIssues` lists issue codes,
+ * optionally with a side ("SQUAT_KNEE_VALGUS:left"); frames without it aren't checked.
+ * Recordings from other models or in normalized coordinates declare top-level
+ * "schema", "coordinates" and "frameSize", as `keypointsData` frames do.
+ */
+
+function normalizeKeypoints(keypoints, schemaOptions) {
+  const array = Array.isArray(keypoints)
+    ? keypoints
+    : Object.entries(keypoints).map(([name, [x, y, score = 1]]) => ({ name, x, y, score }));
+  return adaptKeypoints(array, schemaOptions);
+}
+
+function loadFixture(filePath) {
+  const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!fixture.exercise || !Array.isArray(fixture.frames)) {
+    throw new Error(`Fixture ${filePath} must have an exercise and a frames array`);
+  }
+  return {
+    ...fixture,
+    frames: fixture.frames.map((frame, index) => ({
+      ...frame,
+      timestamp: frame.timestamp != null ? frame.timestamp : index * 100,
+      keypoints: normalizeKeypoints(frame.keypoints, fixture),
+    })),
+  };
+}
+
+function matches(expected, issue) {
+  const [code, side] = expected.split(':');
+  return issue.code === code && (!side || issue.side === side || issue.side === 'both');
+}
+
+/*
+ * Replays a fixture and compares the reported issues with its labels.
+ * By default each frame is evaluated on its own; with `pipeline` the frames go
+ * through the full session pipeline (smoothing, debouncing, trackers) using `settings`.
+ * 'info' issues are only compared when a frame expects them.
+ * Throws for an unknown exercise, whose frames would only report UNKNOWN_POSTURE_TYPE.
+ */
+function replayFixture(fixture, { exercise = fixture.exercise, pipeline = false, settings } = {}) {
+  if (!getExercise(exercise)) throw new Error(`Unknown exercise: ${exercise}`);
+  const session = pipeline ? createAnalysisPipeline(parseSessionSettings(settings || fixture.settings)) : null;
+
+  return fixture.frames.map((frame, index) => {
+    const issues = session
+      ? session.processFrame({ keypoints: frame.keypoints, postureType: exercise, timestamp: frame.timestamp }).issues
+      : evaluatePosture(exercise, frame.keypoints);
+    const actual = issues.map(issue => (issue.side ? `${issue.code}:${issue.side}` : issue.code));
+
+    if (!Array.isArray(frame.expectedIssues)) {
+      return { index, label: frame.label, actual, checked: false, missing: [], unexpected: [] };
+    }
+
+    const missing = frame.expectedIssues.filter(expected => !issues.some(issue => matches(expected, issue)));
+    const unexpected = issues
+      .filter(issue => issue.severity !== 'info')
+      .filter(issue => !frame.expectedIssues.some(expected => matches(expected, issue)))
+      .map(issue => (issue.side ? `${issue.code}:${issue.side}` : issue.code));
+
+    return { index, label: frame.label, actual, checked: true, missing, unexpected };
+  });
+}
+
+module.exports = { loadFixture, normalizeKeypoints, replayFixture };
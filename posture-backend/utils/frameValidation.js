@@ -0,0 +1,129 @@
+const { adaptKeypoints, schemaOptionsProblem } = require('posture-core');
+const { getExercise } = require('../exercises');
+
+// Generous enough for every supported pose model (MoveNet 17, BlazePose 33).
+const MAX_KEYPOINTS = 64;
+// MoveNet MultiPose detects up to six people.
+const MAX_PEOPLE = 6;
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function error(code, message, details) {
+  return { ok: false, error: { code, message, ...(details ? { details } : {}) } };
+}
+
+// The first problem with a keypoint array, as a message, or null if it is valid.
+// Names are optional (then the schema's order names them); `visibility` may stand in for `score`.
+function keypointsProblem(keypoints) {
+  if (!Array.isArray(keypoints)) return 'keypoints must be an array';
+  if (keypoints.length === 0) return 'keypoints must not be empty';
+  if (keypoints.length > MAX_KEYPOINTS) return `keypoints must have at most ${MAX_KEYPOINTS} entries`;
+
+  for (let i = 0; i < keypoints.length; i += 1) {
+    const kp = keypoints[i];
+    if (!kp || typeof kp !== 'object') return `keypoints[${i}] must be an object`;
+    if (kp.name !== undefined && (typeof kp.name !== 'string' || kp.name === '')) {
+      return `keypoints[${i}].name must be a non-empty string`;
+    }
+    const score = kp.score !== undefined ? 'score' : 'visibility';
+    const field = ['x', 'y', score].find(key => !isFiniteNumber(kp[key]))
+      || (kp.z != null && !isFiniteNumber(kp.z) ? 'z' : null);
+    if (field) return `keypoints[${i}].${field === 'visibility' ? 'score' : field} must be a finite number`;
+  }
+  return null;
+}
+
+// The first problem with a `people` array, as { code, message }, or null if it is valid.
+function peopleProblem(people) {
+  if (!Array.isArray(people)) return { code: 'INVALID_PAYLOAD', message: 'people must be an array' };
+  if (people.length === 0) return { code: 'INVALID_PAYLOAD', message: 'people must not be empty' };
+  if (people.length > MAX_PEOPLE) return { code: 'INVALID_PAYLOAD', message: `people must have at most ${MAX_PEOPLE} entries` };
+
+  const trackIds = new Set();
+  for (let i = 0; i < people.length; i += 1) {
+    const person = people[i];
+    if (!person || typeof person !== 'object') return { code: 'INVALID_PAYLOAD', message: `people[${i}] must be an object` };
+    if (!(Number.isSafeInteger(person.trackId) && person.trackId >= 0)) {
+      return { code: 'INVALID_PAYLOAD', message: `people[${i}].trackId must be a non-negative integer` };
+    }
+    if (trackIds.has(person.trackId)) return { code: 'INVALID_PAYLOAD', message: `people[${i}].trackId is a duplicate` };
+    trackIds.add(person.trackId);
+
+    const problem = keypointsProblem(person.keypoints);
+    if (problem) return { code: 'INVALID_KEYPOINTS', message: `people[${i}].${problem}` };
+  }
+  return null;
+}
+
+/*
+ * Checks an incoming `keypointsData` payload:
+ * { people: [{ trackId, keypoints: [{ name, x, y, score, z? }] }], postureType, frameId? },
+ * or { keypoints, postureType, frameId? } for a single person, who gets track id 0.
+ * `frameId` is the client's own frame counter, echoed back with the feedback.
+ * `frameSize` ({ width, height } of the video) is relayed to coaches.
+ * `schema` ('coco17' or 'blazepose33', detected when left out) and `coordinates`
+ * ('pixels' by default, or 'normalized', which needs `frameSize`) describe the
+ * keypoints, which are converted to posture-core's canonical skeleton.
+ * Returns { ok: true, frame: { people, postureType, frameId, frameSize } } or
+ * { ok: false, error: { code, message, details? } }, where the error is what the
+ * client receives as a `postureError`.
+ */
+function validateFrame(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return error('INVALID_PAYLOAD', 'keypointsData must be an object with keypoints and postureType');
+  }
+
+  let { people } = payload;
+  if (people === undefined) {
+    const problem = keypointsProblem(payload.keypoints);
+    if (problem) return error('INVALID_KEYPOINTS', problem);
+    people = [{ trackId: 0, keypoints: payload.keypoints }];
+  } else {
+    if (payload.keypoints !== undefined) return error('INVALID_PAYLOAD', 'Send either keypoints or people, not both');
+    const problem = peopleProblem(people);
+    if (problem) return error(problem.code, problem.message);
+  }
+
+  if (!getExercise(payload.postureType)) {
+    return error('UNKNOWN_POSTURE_TYPE', `Unknown posture type: ${payload.postureType}`, { postureType: payload.postureType });
+  }
+
+  const { frameId = null } = payload;
+  if (frameId !== null && !(Number.isSafeInteger(frameId) && frameId >= 0)) {
+    return error('INVALID_PAYLOAD', 'frameId must be a non-negative integer');
+  }
+
+  const { frameSize = null } = payload;
+  const isSize = value => isFiniteNumber(value) && value > 0;
+  if (frameSize !== null && !(frameSize && isSize(frameSize.width) && isSize(frameSize.height))) {
+    return error('INVALID_PAYLOAD', 'frameSize must be { width, height } with positive numbers');
+  }
+
+  const schema = { schema: payload.schema, coordinates: payload.coordinates, frameSize };
+  const schemaProblem = schemaOptionsProblem(schema);
+  if (schemaProblem) return error('INVALID_PAYLOAD', schemaProblem);
+
+  let adapted;
+  try {
+    adapted = people.map(({ trackId, keypoints }) => ({ trackId, keypoints: adaptKeypoints(keypoints, schema) }));
+  } catch (adaptError) {
+    return error('INVALID_KEYPOINTS', adaptError.message);
+  }
+  if (adapted.some(person => person.keypoints.length === 0)) {
+    return error('INVALID_KEYPOINTS', 'keypoints must include some of the 17 COCO body keypoints');
+  }
+
+  return {
+    ok: true,
+    frame: {
+      people: adapted,
+      postureType: payload.postureType,
+      frameId,
+      frameSize: frameSize && { width: frameSize.width, height: frameSize.height },
+    },
+  };
+}
+
+module.exports = { validateFrame, keypointsProblem, MAX_KEYPOINTS, MAX_PEOPLE };
@@ -0,0 +1,24 @@
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+/*
+ * Minimal leveled logger over the console. Messages above `level` are dropped;
+ * 'silent' drops everything (useful for tests and embedders).
+ */
+function createLogger(level = 'info', output = console) {
+  const threshold = LOG_LEVELS.indexOf(level);
+  if (threshold === -1) throw new Error(`Unknown log level "${level}". Use one of: ${LOG_LEVELS.join(', ')}`);
+
+  const logAt = (name, method) => (...args) => {
+    if (LOG_LEVELS.indexOf(name) <= threshold) output[method](...args);
+  };
+
+  return {
+    level,
+    error: logAt('error', 'error'),
+    warn: logAt('warn', 'warn'),
+    info: logAt('info', 'log'),
+    debug: logAt('debug', 'log'),
+  };
+}
+
+module.exports = { createLogger, LOG_LEVELS };
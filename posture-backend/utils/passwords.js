@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+// Node's defaults (N = 16384, r = 8, p = 1), recorded with each hash so they can be raised later.
+const PARAMS = { N: 16384, r: 8, p: 1 };
+
+// A salted scrypt hash of `password`: { algorithm, params, salt, hash }, salt and hash in hex.
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, PARAMS);
+  return { algorithm: 'scrypt', params: PARAMS, salt: salt.toString('hex'), hash: hash.toString('hex') };
+}
+
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || !stored || stored.algorithm !== 'scrypt') return false;
+  const expected = Buffer.from(stored.hash, 'hex');
+  const actual = await scrypt(password, Buffer.from(stored.salt, 'hex'), expected.length, stored.params);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { hashPassword, verifyPassword };
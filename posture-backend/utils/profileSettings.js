@@ -0,0 +1,93 @@
+const { DEFAULT_GOALS, validateGoals } = require('posture-core');
+const { getExercise } = require('../exercises');
+const { validateThresholds } = require('./thresholds');
+
+// Desk alert timings a user can set for themselves; they become their sessions' defaults.
+const NOTIFICATION_TIMINGS = ['slouchAlertMinutes', 'sittingAlertMinutes', 'sittingRepeatMinutes'];
+const MAX_PREFERRED_EXERCISES = 20;
+
+const DEFAULT_PROFILE_SETTINGS = {
+  // Centimetres, or null when not given.
+  height: null,
+  preferredExercises: [],
+  thresholds: {},
+  notifications: { enabled: true },
+  // Daily targets for the progress view; see posture-core's progress goals.
+  goals: DEFAULT_GOALS,
+};
+
+const FIELDS = {
+  height(value) {
+    if (value === null) return null;
+    if (!Number.isFinite(value) || value < 50 || value > 272) throw new Error('height must be in centimetres (50-272) or null');
+    return value;
+  },
+  preferredExercises(value) {
+    if (!Array.isArray(value) || value.length > MAX_PREFERRED_EXERCISES) {
+      throw new Error(`preferredExercises must be a list of at most ${MAX_PREFERRED_EXERCISES} exercise ids`);
+    }
+    const unknown = value.find(id => !getExercise(id));
+    if (unknown !== undefined) throw new Error(`preferredExercises: unknown exercise ${unknown}`);
+    return [...new Set(value)];
+  },
+  thresholds(value) {
+    return validateThresholds(value);
+  },
+  goals(value) {
+    return validateGoals(value);
+  },
+  notifications(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error('notifications must be an object');
+    const notifications = {};
+    Object.entries(value).forEach(([key, option]) => {
+      if (key === 'enabled') {
+        if (typeof option !== 'boolean') throw new Error('notifications.enabled must be true or false');
+      } else if (!NOTIFICATION_TIMINGS.includes(key)) {
+        throw new Error(`notifications.${key} is unknown (known: enabled, ${NOTIFICATION_TIMINGS.join(', ')})`);
+      } else if (!Number.isFinite(option) || option <= 0) {
+        throw new Error(`notifications.${key} must be a positive number`);
+      }
+      notifications[key] = option;
+    });
+    // Options left out keep their defaults, so a timing-only update doesn't turn alerts off.
+    return { ...DEFAULT_PROFILE_SETTINGS.notifications, ...notifications };
+  },
+};
+
+/*
+ * Checks a partial profile settings update ({ height?, preferredExercises?,
+ * thresholds?, notifications?, goals? }). Returns { ok: true, settings } with only the
+ * given fields, or { ok: false, error }.
+ */
+function validateProfileSettings(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { ok: false, error: 'Profile settings must be an object' };
+  const settings = {};
+  try {
+    Object.entries(body).forEach(([field, value]) => {
+      if (!FIELDS[field]) throw new Error(`${field} is not a profile setting (known: ${Object.keys(FIELDS).join(', ')})`);
+      settings[field] = FIELDS[field](value);
+    });
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+  return { ok: true, settings };
+}
+
+// A profile's settings with defaults for what it doesn't set.
+function profileSettings(profile) {
+  const settings = { ...DEFAULT_PROFILE_SETTINGS };
+  Object.keys(DEFAULT_PROFILE_SETTINGS).forEach((field) => {
+    if (profile && profile[field] !== undefined) settings[field] = profile[field];
+  });
+  // Stored notifications may predate a default, e.g. `enabled`.
+  settings.notifications = { ...DEFAULT_PROFILE_SETTINGS.notifications, ...settings.notifications };
+  return settings;
+}
+
+// Handshake-style session options from a profile, overridden by what the client sends.
+function sessionDefaults(profile) {
+  const { notifications } = profileSettings(profile);
+  return Object.fromEntries(NOTIFICATION_TIMINGS.filter(key => notifications[key] !== undefined).map(key => [key, notifications[key]]));
+}
+
+module.exports = { DEFAULT_PROFILE_SETTINGS, validateProfileSettings, profileSettings, sessionDefaults };
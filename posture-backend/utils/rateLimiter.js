@@ -0,0 +1,26 @@
+/*
+ * Token bucket: `ratePerSecond` tokens refill continuously up to `burst`.
+ * take() spends one token, or returns how long to wait for the next one.
+ */
+function createRateLimiter({ ratePerSecond, burst = ratePerSecond }) {
+  let tokens = burst;
+  let lastRefill = null;
+
+  function refill(now) {
+    if (lastRefill !== null) tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * ratePerSecond);
+    lastRefill = now;
+  }
+
+  function take(now = Date.now()) {
+    refill(now);
+    if (tokens >= 1) {
+      tokens -= 1;
+      return { ok: true };
+    }
+    return { ok: false, retryAfterMs: Math.ceil(((1 - tokens) / ratePerSecond) * 1000) };
+  }
+
+  return { take };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,33 @@
+const { listExercises, getExercise } = require('../exercises');
+
+// Checks per-exercise threshold overrides ({ squat: { backAngle: 140 } }) and returns them; throws on the first problem.
+function validateThresholds(thresholds) {
+  if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    throw new Error('thresholds must be an object keyed by exercise id');
+  }
+  Object.entries(thresholds).forEach(([exerciseId, overrides]) => {
+    const exercise = getExercise(exerciseId);
+    if (!exercise || !exercise.thresholds) {
+      const configurable = listExercises().map(({ id }) => id).filter(id => getExercise(id).thresholds);
+      throw new Error(`thresholds.${exerciseId}: exercise has no configurable thresholds (configurable: ${configurable.join(', ')})`);
+    }
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+      if (!(key in exercise.thresholds)) {
+        throw new Error(`thresholds.${exerciseId}.${key} is unknown (known: ${Object.keys(exercise.thresholds).join(', ')})`);
+      }
+      if (!Number.isFinite(value)) throw new Error(`thresholds.${exerciseId}.${key} must be a number`);
+    });
+  });
+  return thresholds;
+}
+
+// Server overrides with a user's own on top, per exercise and key.
+function mergeThresholds(server = {}, user = {}) {
+  const merged = { ...server };
+  Object.entries(user).forEach(([exerciseId, overrides]) => {
+    merged[exerciseId] = { ...merged[exerciseId], ...overrides };
+  });
+  return merged;
+}
+
+module.exports = { validateThresholds, mergeThresholds };
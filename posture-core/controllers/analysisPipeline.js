@@ -0,0 +1,148 @@
+const { evaluateExercise, measureAngles, unknownPostureIssue } = require('./postureController');
+const { getExercise } = require('../exercises');
+const { createKeypointFilter } = require('../utils/keypointFilter');
+const { createIssueDebouncer } = require('../utils/issueDebouncer');
+const { createViewTracker } = require('../utils/viewDetection');
+const { measureSymmetry, createSymmetryTrend } = require('../utils/symmetry');
+
+// A tracked person missing from the frames for this long is forgotten.
+const TRACK_IDLE_MS = 3000;
+
+// The session means of a symmetry trend, without the per-minute trend.
+function sessionMeans(summary) {
+  return Object.fromEntries(Object.entries(summary).map(([metric, { trend, ...means }]) => [metric, means]));
+}
+
+/*
+ * The per-frame analysis shared by live sockets and batch analysis:
+ * smooth keypoints -> evaluate the exercise -> update its tracker -> debounce issues.
+ * Exercises that declare `symmetry` metrics also get them measured from the front
+ * and averaged over the session: `symmetry` is { values, session } or null.
+ * One pipeline holds the state of one session. `baselines` maps exercise ids
+ * to the user's calibrated baselines; `settings.thresholds` maps them to
+ * server-configured threshold overrides. `updateSettings` swaps in new
+ * settings mid-session (see below).
+ */
+function createAnalysisPipeline(initialSettings, { baselines = {} } = {}) {
+  let settings = initialSettings;
+  let keypointFilter = createKeypointFilter(settings.filter);
+  let debouncer = createIssueDebouncer(settings.debounce);
+  const viewTracker = createViewTracker();
+  const symmetryTrend = createSymmetryTrend();
+  const trackers = new Map();
+  const currentBaselines = new Map(Object.entries(baselines));
+  let lastPostureType = null;
+
+  // Per-exercise trackers (e.g. the squat rep counter), created on first use.
+  function trackerFor(exercise) {
+    if (!exercise.createTracker) return null;
+    if (!trackers.has(exercise.id)) trackers.set(exercise.id, exercise.createTracker(settings));
+    return trackers.get(exercise.id);
+  }
+
+  function processFrame({ keypoints: rawKeypoints, postureType, timestamp }) {
+    const exercise = getExercise(postureType);
+    const keypoints = keypointFilter.apply(rawKeypoints, timestamp);
+    const view = viewTracker.update(keypoints);
+    let frameIssues = [];
+    let issues = [];
+    let angles = [];
+    let trackerState = {};
+    let symmetry = null;
+
+    if (postureType !== lastPostureType) {
+      debouncer.reset();
+      lastPostureType = postureType;
+    }
+
+    if (exercise) {
+      frameIssues = evaluateExercise(exercise, keypoints, {
+        baseline: currentBaselines.get(exercise.id) || null,
+        view,
+        thresholds: (settings.thresholds || {})[exercise.id],
+      });
+      const tracker = trackerFor(exercise);
+      if (tracker) trackerState = tracker.update(keypoints, frameIssues, timestamp);
+      issues = debouncer.update(frameIssues);
+      angles = measureAngles(exercise, keypoints, issues);
+      if (exercise.symmetry && view.view === 'frontal') {
+        const values = measureSymmetry(keypoints, exercise.symmetry);
+        symmetryTrend.add(values, timestamp);
+        symmetry = { values, session: sessionMeans(symmetryTrend.summary()) };
+      }
+    } else {
+      issues = [unknownPostureIssue()];
+    }
+
+    return { keypoints, view, frameIssues, issues, angles, trackerState, symmetry };
+  }
+
+  function setBaseline(exerciseId, baseline) {
+    if (baseline) currentBaselines.set(exerciseId, baseline);
+    else currentBaselines.delete(exerciseId);
+  }
+
+  /*
+   * Applies new session settings without starting over: trackers keep their
+   * counts and take the new targets, and smoothing and debouncing only restart
+   * if their own settings changed.
+   */
+  function updateSettings(next) {
+    if (JSON.stringify(next.filter) !== JSON.stringify(settings.filter)) keypointFilter = createKeypointFilter(next.filter);
+    if (JSON.stringify(next.debounce) !== JSON.stringify(settings.debounce)) debouncer = createIssueDebouncer(next.debounce);
+    settings = next;
+    trackers.forEach((tracker) => {
+      if (tracker.configure) tracker.configure(settings);
+    });
+  }
+
+  return { processFrame, setBaseline, updateSettings };
+}
+
+/*
+ * One analysis pipeline per person in frame, keyed by the pose model's track id,
+ * so smoothing, debouncing and rep counting never mix two people up.
+ * `processFrame({ people: [{ trackId, keypoints }], postureType, timestamp })`
+ * returns the pipeline results in the same order, each with its `trackId`.
+ * Baselines and settings updates apply to every track.
+ */
+function createMultiPersonPipeline(initialSettings, { baselines = {}, idleMs = TRACK_IDLE_MS } = {}) {
+  let settings = initialSettings;
+  const tracks = new Map();
+  const currentBaselines = { ...baselines };
+
+  function trackFor(trackId) {
+    if (!tracks.has(trackId)) {
+      tracks.set(trackId, { pipeline: createAnalysisPipeline(settings, { baselines: currentBaselines }), lastSeen: null });
+    }
+    return tracks.get(trackId);
+  }
+
+  function processFrame({ people, postureType, timestamp }) {
+    const results = people.map(({ trackId, keypoints }) => {
+      const track = trackFor(trackId);
+      track.lastSeen = timestamp;
+      return { trackId, ...track.pipeline.processFrame({ keypoints, postureType, timestamp }) };
+    });
+
+    tracks.forEach((track, trackId) => {
+      if (timestamp - track.lastSeen > idleMs) tracks.delete(trackId);
+    });
+    return results;
+  }
+
+  function setBaseline(exerciseId, baseline) {
+    if (baseline) currentBaselines[exerciseId] = baseline;
+    else delete currentBaselines[exerciseId];
+    tracks.forEach(({ pipeline }) => pipeline.setBaseline(exerciseId, baseline));
+  }
+
+  function updateSettings(next) {
+    settings = next;
+    tracks.forEach(({ pipeline }) => pipeline.updateSettings(next));
+  }
+
+  return { processFrame, setBaseline, updateSettings, trackIds: () => [...tracks.keys()] };
+}
+
+module.exports = { createAnalysisPipeline, createMultiPersonPipeline };
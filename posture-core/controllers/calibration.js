@@ -0,0 +1,35 @@
+const { measureExercise } = require('./postureController');
+const { computeBaseline } = require('../utils/calibration');
+
+const DEFAULT_DURATION_MS = 5000;
+const MIN_DURATION_MS = 2000;
+const MAX_DURATION_MS = 30000;
+const MIN_SAMPLES = 3;
+
+/*
+ * Collects measurements while the user holds a good posture, then reduces them
+ * to a baseline (median per measurement). Frames where the exercise can't be
+ * measured are skipped; too few usable frames fails the calibration.
+ */
+function createCalibration(exercise, { durationMs = DEFAULT_DURATION_MS, startedAt = Date.now() } = {}) {
+  const duration = Math.min(Math.max(Number(durationMs) || DEFAULT_DURATION_MS, MIN_DURATION_MS), MAX_DURATION_MS);
+  const samples = [];
+
+  function addFrame(keypoints, timestamp) {
+    const measurements = measureExercise(exercise, keypoints);
+    if (measurements) samples.push(measurements);
+
+    if (timestamp - startedAt < duration) return null;
+    if (samples.length < MIN_SAMPLES) {
+      return { ok: false, error: 'Not enough clear frames to calibrate. Make sure you are fully in view and try again.' };
+    }
+    return {
+      ok: true,
+      calibration: { baseline: computeBaseline(samples), sampleCount: samples.length, calibratedAt: timestamp },
+    };
+  }
+
+  return { exerciseId: exercise.id, durationMs: duration, addFrame };
+}
+
+module.exports = { createCalibration };
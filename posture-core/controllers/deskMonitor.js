@@ -0,0 +1,143 @@
+const { findKeypoint } = require('../utils/postureUtils');
+
+const MIN_CONFIDENCE = 0.5;
+// Background tabs throttle frame capture, so allow long gaps between frames
+// before treating them as time the monitor didn't observe.
+const MAX_FRAME_GAP_MS = 120000;
+const MINUTE_MS = 60000;
+
+const DEFAULT_OPTIONS = {
+  slouchAlertMinutes: 5,
+  sittingAlertMinutes: 50,
+  sittingRepeatMinutes: 10,
+  minBreakSeconds: 60,
+  slouchGraceSeconds: 10,
+};
+
+const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+
+function isVisible(kp) {
+  return Boolean(kp && kp.score > MIN_CONFIDENCE);
+}
+
+/*
+ * Classifies a frame from keypoint presence:
+ * - 'absent': no head or shoulders in view, or too few keypoints to judge the
+ *   posture (INSUFFICIENT_KEYPOINTS, e.g. the hips out of frame), so unobserved
+ * - 'standing': shoulders in view but the head has left the top of the frame,
+ *   or the thighs are visible and vertical
+ * - 'slouching' / 'good': seated, with or without form issues
+ */
+function classifyFrame(keypoints, issues) {
+  const kp = (name) => findKeypoint(keypoints, name);
+  const head = ['nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear'].some(name => isVisible(kp(name)));
+  const shoulders = ['left_shoulder', 'right_shoulder'].filter(name => isVisible(kp(name)));
+
+  if (!head && shoulders.length === 0) return 'absent';
+  if (!head && shoulders.length > 0) return 'standing';
+
+  const thighsVertical = ['left', 'right'].some(side => {
+    const shoulder = kp(`${side}_shoulder`);
+    const hip = kp(`${side}_hip`);
+    const knee = kp(`${side}_knee`);
+    if (![shoulder, hip, knee].every(isVisible)) return false;
+    const torso = Math.abs(hip.y - shoulder.y);
+    return torso > 0 && knee.y - hip.y > 0.6 * torso && Math.abs(knee.x - hip.x) < 0.3 * torso;
+  });
+  if (thighsVertical) return 'standing';
+  if (issues.some(issue => issue.code === 'INSUFFICIENT_KEYPOINTS')) return 'absent';
+
+  return issues.some(issue => issue.severity !== 'info') ? 'slouching' : 'good';
+}
+
+function createAlert(type, level, durationMs, timestamp) {
+  const minutes = Math.round(durationMs / MINUTE_MS);
+  const messages = {
+    SUSTAINED_SLOUCH: `You have been slouching for ${minutes} minutes. Sit up straight and relax your shoulders.`,
+    SITTING_TOO_LONG: `You have been sitting for ${minutes} minutes. Time to stand up and move around.`,
+  };
+  return {
+    type,
+    level,
+    severity: ALERT_SEVERITIES[Math.min(level, ALERT_SEVERITIES.length) - 1],
+    durationMs,
+    message: messages[type],
+    timestamp,
+  };
+}
+
+/*
+ * Desk session monitor: accumulates time in each state and raises escalating
+ * alerts for sustained slouching and for sitting without a break.
+ * Alert level n fires once the streak reaches the threshold plus (n - 1) repeats.
+ */
+function createDeskMonitor(settings = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...settings.desk };
+  const totals = { good: 0, slouching: 0, standing: 0, absent: 0 };
+  let state = null;
+  let lastTimestamp = null;
+  let sittingMs = 0;
+  let slouchingMs = 0;
+  let breakMs = 0;
+  let slouchGraceMs = 0;
+  let sittingLevel = 0;
+  let slouchLevel = 0;
+
+  function dueLevel(streakMs, thresholdMinutes, repeatMinutes) {
+    if (streakMs < thresholdMinutes * MINUTE_MS) return 0;
+    return 1 + Math.floor((streakMs - thresholdMinutes * MINUTE_MS) / (repeatMinutes * MINUTE_MS));
+  }
+
+  function update(keypoints, issues, timestamp = Date.now()) {
+    const elapsed = lastTimestamp === null ? 0 : Math.max(0, Math.min(timestamp - lastTimestamp, MAX_FRAME_GAP_MS));
+    lastTimestamp = timestamp;
+    state = classifyFrame(keypoints, issues);
+    totals[state] += elapsed;
+
+    const seated = state === 'good' || state === 'slouching';
+    if (seated) {
+      sittingMs += elapsed;
+      breakMs = 0;
+    } else {
+      breakMs += elapsed;
+      if (breakMs >= options.minBreakSeconds * 1000) {
+        sittingMs = 0;
+        sittingLevel = 0;
+      }
+    }
+
+    if (state === 'slouching') {
+      slouchingMs += elapsed;
+      slouchGraceMs = 0;
+    } else {
+      slouchGraceMs += elapsed;
+      if (slouchGraceMs >= options.slouchGraceSeconds * 1000) {
+        slouchingMs = 0;
+        slouchLevel = 0;
+      }
+    }
+
+    const alerts = [];
+    const slouchDue = dueLevel(slouchingMs, options.slouchAlertMinutes, options.slouchAlertMinutes);
+    if (slouchDue > slouchLevel) {
+      slouchLevel = slouchDue;
+      alerts.push(createAlert('SUSTAINED_SLOUCH', slouchLevel, slouchingMs, timestamp));
+    }
+    const sittingDue = dueLevel(sittingMs, options.sittingAlertMinutes, options.sittingRepeatMinutes);
+    if (sittingDue > sittingLevel) {
+      sittingLevel = sittingDue;
+      alerts.push(createAlert('SITTING_TOO_LONG', sittingLevel, sittingMs, timestamp));
+    }
+
+    return { deskSession: { state, totals: { ...totals }, sittingMs, slouchingMs }, alerts };
+  }
+
+  // New alert timings apply from the next frame on; the running totals are kept.
+  function configure(next = {}) {
+    Object.assign(options, DEFAULT_OPTIONS, next.desk);
+  }
+
+  return { update, configure };
+}
+
+module.exports = { createDeskMonitor, classifyFrame, DEFAULT_OPTIONS };
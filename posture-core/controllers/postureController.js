@@ -0,0 +1,103 @@
+const { collectKeypoints, toCamelCase, findKeypoint, calculateAngle } = require('../utils/postureUtils');
+const { createIssue } = require('../utils/issues');
+const { getExercise } = require('../exercises');
+const { detectView } = require('../utils/viewDetection');
+
+// The exercise's keypoints keyed by camelCase name, or null if a required one isn't confident enough.
+function prepareKeypoints(exercise, keypoints) {
+  const kps = collectKeypoints(keypoints, [...exercise.requiredKeypoints, ...(exercise.optionalKeypoints || [])]);
+  const allPresent = exercise.requiredKeypoints
+    .map(name => kps[toCamelCase(name)])
+    .every(kp => kp && kp.score > exercise.minConfidence);
+  return allPresent ? kps : null;
+}
+
+// The exercise's calibratable measurements for one frame, or null if it can't be measured.
+function measureExercise(exercise, keypoints) {
+  if (!exercise.measure) return null;
+  const kps = prepareKeypoints(exercise, keypoints);
+  return kps ? exercise.measure(kps) : null;
+}
+
+/*
+ * Runs an exercise's checks over one frame. Checks receive the keypoints keyed
+ * by camelCase name plus a context of { measurements, baseline, view, thresholds }, where
+ * `baseline` is the user's calibration for this exercise, if any, `view`
+ * the detected camera orientation and `thresholds` the exercise's defaults with
+ * any server overrides applied. A check returns an issue, a list of issues or nothing.
+ */
+function evaluateExercise(exercise, keypoints, { baseline = null, view = detectView(keypoints), thresholds = {} } = {}) {
+  const issues = [];
+  const issueTypes = exercise.issueTypes || {};
+  const kps = prepareKeypoints(exercise, keypoints);
+
+  if (!kps) {
+    issues.push(createIssue(issueTypes, { code: 'INSUFFICIENT_KEYPOINTS', message: exercise.insufficientMessage }));
+    return issues;
+  }
+
+  const context = {
+    measurements: exercise.measure ? exercise.measure(kps) : {},
+    baseline,
+    view,
+    thresholds: { ...exercise.thresholds, ...thresholds },
+  };
+  exercise.checks.forEach(check => {
+    const result = check(kps, context);
+    [].concat(result || []).forEach(issue => issues.push(createIssue(issueTypes, issue)));
+  });
+
+  return issues;
+}
+
+// In an exercise's `angles`, a point straight below the vertex (angle from vertical).
+const VERTICAL = 'vertical';
+
+function issueMatchesAngle(issue, angle) {
+  if (issue.code !== angle.issue) return false;
+  return !angle.side || !issue.side || issue.side === 'both' || issue.side === angle.side;
+}
+
+/*
+ * The joint angles an exercise declares in `angles` ({ id, label, points, issue?, side? }),
+ * measured on one frame for display: { id, label, points, value, ok }. `ok` is false
+ * when `issues` contain the angle's linked issue, true when they don't, and null for
+ * angles without one. Angles whose points aren't confidently visible are left out.
+ */
+function measureAngles(exercise, keypoints, issues = []) {
+  return (exercise.angles || []).map((angle) => {
+    const vertical = angle.points[2] === VERTICAL;
+    const [from, vertex, to] = angle.points.map(name => findKeypoint(keypoints, name));
+    const required = vertical ? [from, vertex] : [from, vertex, to];
+    if (!required.every(kp => kp && kp.score > exercise.minConfidence)) return null;
+
+    const end = vertical ? { x: vertex.x, y: vertex.y + 1 } : to;
+    return {
+      id: angle.id,
+      label: angle.label,
+      points: angle.points,
+      value: Math.round(calculateAngle(from, vertex, end)),
+      ok: angle.issue ? !issues.some(issue => issueMatchesAngle(issue, angle)) : null,
+    };
+  }).filter(Boolean);
+}
+
+function unknownPostureIssue() {
+  return createIssue({}, { code: 'UNKNOWN_POSTURE_TYPE', message: 'Unknown posture type.' });
+}
+
+function evaluatePosture(postureType, keypoints) {
+  const exercise = getExercise(postureType);
+  if (!exercise) return [unknownPostureIssue()];
+  return evaluateExercise(exercise, keypoints);
+}
+
+function evaluateSquatPosture(keypoints) {
+  return evaluatePosture('squat', keypoints);
+}
+
+function evaluateDeskSittingPosture(keypoints) {
+  return evaluatePosture('desk', keypoints);
+}
+
+module.exports = { evaluateExercise, measureExercise, measureAngles, VERTICAL, evaluatePosture, evaluateSquatPosture, evaluateDeskSittingPosture, unknownPostureIssue };
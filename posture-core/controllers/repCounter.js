@@ -0,0 +1,270 @@
+const { findKeypoint, calculateAngle } = require('../utils/postureUtils');
+
+const STANDING_KNEE_ANGLE = 160;
+const DESCENT_KNEE_ANGLE = 150;
+const DEPTH_KNEE_ANGLE = 100;
+const TURN_MARGIN = 8;
+const MIN_CONFIDENCE = 0.2;
+// Frames within this many degrees of the deepest knee angle count as the bottom of the rep.
+const BOTTOM_BAND = 5;
+// Knee angle speeds into and out of the bottom are measured over this window.
+const SPEED_WINDOW_MS = 200;
+
+const DEPTHS = ['above_parallel', 'parallel', 'below_parallel'];
+
+// Per-session targets, overridable through the handshake query (see utils/sessionSettings.js).
+const DEFAULT_OPTIONS = {
+  // Depth every rep should reach: 0 above parallel, 1 parallel, 2 below parallel.
+  targetDepth: 1,
+  // Target tempo in seconds (e.g. 3-1-1); 0 leaves that part of the rep untimed.
+  eccentricSeconds: 0,
+  pauseSeconds: 0,
+  concentricSeconds: 0,
+  tempoToleranceSeconds: 0.5,
+  // Hip within this fraction of thigh length above or below the knee counts as parallel.
+  parallelTolerance: 0.1,
+  // Hips can only be at parallel or deeper once the knees bend past this angle.
+  parallelKneeAngle: 110,
+  // A bottom shorter than bounceMaxPauseMs, entered and left faster than bounceMinSpeed (°/s), is a bounce.
+  bounceMaxPauseMs: 150,
+  bounceMinSpeed: 150,
+};
+
+// Average knee angle (hip-knee-ankle) over both legs, or null when the legs aren't visible.
+function kneeAngle(keypoints) {
+  const sides = ['left', 'right'].map(side => {
+    const hip = findKeypoint(keypoints, `${side}_hip`);
+    const knee = findKeypoint(keypoints, `${side}_knee`);
+    const ankle = findKeypoint(keypoints, `${side}_ankle`);
+    if (![hip, knee, ankle].every(kp => kp && kp.score > MIN_CONFIDENCE)) return null;
+    return calculateAngle(hip, knee, ankle);
+  }).filter(angle => angle !== null);
+
+  if (sides.length === 0) return null;
+  return sides.reduce((sum, angle) => sum + angle, 0) / sides.length;
+}
+
+/*
+ * How far the hips are below the knees, as a fraction of thigh length
+ * (positive when the hip is lower than the knee), averaged over visible legs.
+ */
+function hipDepthRatio(keypoints) {
+  const sides = ['left', 'right'].map(side => {
+    const hip = findKeypoint(keypoints, `${side}_hip`);
+    const knee = findKeypoint(keypoints, `${side}_knee`);
+    if (![hip, knee].every(kp => kp && kp.score > MIN_CONFIDENCE)) return null;
+    const thigh = Math.hypot(hip.x - knee.x, hip.y - knee.y);
+    return thigh > 0 ? (hip.y - knee.y) / thigh : null;
+  }).filter(ratio => ratio !== null);
+
+  if (sides.length === 0) return null;
+  return sides.reduce((sum, ratio) => sum + ratio, 0) / sides.length;
+}
+
+// 'above_parallel', 'parallel' or 'below_parallel' from hip height, gated by the knee angle.
+function classifyDepth(angle, ratio, options = DEFAULT_OPTIONS) {
+  if (angle === null || ratio === null || angle > options.parallelKneeAngle) return 'above_parallel';
+  if (ratio > options.parallelTolerance) return 'below_parallel';
+  if (ratio >= -options.parallelTolerance) return 'parallel';
+  return 'above_parallel';
+}
+
+// Knee angle change in °/s between the sample at `index` and the one SPEED_WINDOW_MS away in `direction`.
+function angleSpeed(samples, index, direction) {
+  const at = samples[index];
+  let other = index;
+  while (samples[other + direction] && Math.abs(samples[other + direction].t - at.t) <= SPEED_WINDOW_MS) other += direction;
+  const dt = Math.abs(samples[other].t - at.t);
+  return dt > 0 ? (Math.abs(samples[other].angle - at.angle) / dt) * 1000 : 0;
+}
+
+/*
+ * Tempo of a finished rep from its samples: eccentric (descent start to the
+ * bottom), pause (time within BOTTOM_BAND of the deepest angle) and concentric
+ * (leaving the bottom to standing), plus whether the bottom was a bounce.
+ */
+function measureTempo(samples, finishedAt, options) {
+  const deepest = samples.reduce((best, sample, index) => (sample.angle < samples[best].angle ? index : best), 0);
+  const limit = samples[deepest].angle + BOTTOM_BAND;
+  let enter = deepest;
+  let leave = deepest;
+  while (enter > 0 && samples[enter - 1].angle <= limit) enter -= 1;
+  while (leave < samples.length - 1 && samples[leave + 1].angle <= limit) leave += 1;
+
+  const tempo = {
+    eccentricMs: samples[enter].t - samples[0].t,
+    pauseMs: samples[leave].t - samples[enter].t,
+    concentricMs: finishedAt - samples[leave].t,
+  };
+  const bounce = tempo.pauseMs <= options.bounceMaxPauseMs
+    && angleSpeed(samples, enter, -1) >= options.bounceMinSpeed
+    && angleSpeed(samples, leave, 1) >= options.bounceMinSpeed;
+  return { tempo, bounce };
+}
+
+// null without tempo targets; otherwise whether every targeted part is within tolerance.
+function tempoOnTarget(tempo, options) {
+  const parts = [
+    [tempo.eccentricMs, options.eccentricSeconds],
+    [tempo.pauseMs, options.pauseSeconds],
+    [tempo.concentricMs, options.concentricSeconds],
+  ].filter(([, target]) => target > 0);
+  if (parts.length === 0) return null;
+  return parts.every(([ms, target]) => Math.abs(ms / 1000 - target) <= options.tempoToleranceSeconds);
+}
+
+// Depth is judged against the session's target depth, like depthOk.
+function summarizeRep(rep) {
+  const depth = rep.depthOk ? 'depth OK' : 'partial depth';
+  const parts = [`Rep ${rep.rep}: ${depth}`];
+  rep.bottomIssues.forEach(issue => {
+    parts.push(`${issue.label} at bottom`);
+  });
+  return parts.join(', ');
+}
+
+/*
+ * Issues that say nothing about a rep's form: the shoulder-hip-knee angle of
+ * SQUAT_BACK_HUNCHED closes at the bottom of every full squat, however upright the torso.
+ */
+const NOT_REP_FORM = ['SQUAT_BACK_HUNCHED'];
+
+// Keeps the first occurrence of each form issue code, without per-frame measurements.
+function addUnique(list, issues) {
+  issues.forEach(({ code, label, side, severity }) => {
+    if (severity === 'info' || NOT_REP_FORM.includes(code)) return;
+    if (!list.some(item => item.code === code)) list.push({ code, label, side });
+  });
+}
+
+// Reps reaching the target depth without any form issue; they count towards clean-rep goals.
+function isCleanRep(rep) {
+  return rep.depthOk && rep.issues.length === 0;
+}
+
+/*
+ * Per-session squat state machine: standing -> descent -> bottom -> ascent -> standing.
+ * A rep is counted on the return to standing; reps that turn around before the
+ * knee angle reaches DEPTH_KNEE_ANGLE are flagged as partial. Each rep also
+ * reports its depth class, tempo, time under tension and whether it bounced
+ * out of the bottom, checked against the targets in `settings.squat`.
+ */
+function createSquatRepCounter(settings = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...settings.squat };
+  let phase = 'standing';
+  let repCount = 0;
+  let cleanRepCount = 0;
+  let current = null;
+  let depth = null;
+  let completedTensionMs = 0;
+  let lastTimestamp = null;
+  let lastRep = null;
+
+  function startRep(angle, timestamp) {
+    current = {
+      startedAt: timestamp,
+      minKneeAngle: angle,
+      reachedDepth: false,
+      deepest: 0,
+      samples: [],
+      issues: [],
+      bottomIssues: [],
+    };
+  }
+
+  function finishRep(timestamp) {
+    repCount += 1;
+    const { tempo, bounce } = measureTempo(current.samples, timestamp, options);
+    const rep = {
+      rep: repCount,
+      partial: !current.reachedDepth,
+      minKneeAngle: Math.round(current.minKneeAngle),
+      depth: DEPTHS[current.deepest],
+      depthOk: current.deepest >= options.targetDepth,
+      durationMs: timestamp - current.startedAt,
+      timeUnderTensionMs: tempo.eccentricMs + tempo.pauseMs + tempo.concentricMs,
+      tempo,
+      tempoOk: tempoOnTarget(tempo, options),
+      bounce,
+      issues: current.issues,
+      bottomIssues: current.bottomIssues,
+    };
+    rep.summary = summarizeRep(rep);
+    lastRep = rep;
+    if (isCleanRep(rep)) cleanRepCount += 1;
+    completedTensionMs += rep.timeUnderTensionMs;
+    current = null;
+  }
+
+  function update(keypoints, issues, timestamp = Date.now()) {
+    const angle = kneeAngle(keypoints);
+    if (angle === null) return state();
+    lastTimestamp = timestamp;
+    depth = classifyDepth(angle, hipDepthRatio(keypoints), options);
+
+    if (current) {
+      current.minKneeAngle = Math.min(current.minKneeAngle, angle);
+      if (angle <= DEPTH_KNEE_ANGLE) current.reachedDepth = true;
+      current.deepest = Math.max(current.deepest, DEPTHS.indexOf(depth));
+      current.samples.push({ t: timestamp, angle });
+    }
+
+    switch (phase) {
+      case 'standing':
+        if (angle < DESCENT_KNEE_ANGLE) {
+          startRep(angle, timestamp);
+          current.deepest = DEPTHS.indexOf(depth);
+          current.samples.push({ t: timestamp, angle });
+          phase = 'descent';
+        }
+        break;
+      case 'descent':
+        if (angle <= DEPTH_KNEE_ANGLE) phase = 'bottom';
+        else if (angle > current.minKneeAngle + TURN_MARGIN) {
+          // Turned around above depth: this frame is the bottom of a partial rep.
+          addUnique(current.bottomIssues, issues);
+          phase = 'ascent';
+        }
+        break;
+      case 'bottom':
+        if (angle > current.minKneeAngle + TURN_MARGIN) phase = 'ascent';
+        break;
+      case 'ascent':
+        if (angle >= STANDING_KNEE_ANGLE) {
+          finishRep(timestamp);
+          phase = 'standing';
+        }
+        break;
+      default:
+        break;
+    }
+
+    if (current) {
+      addUnique(current.issues, issues);
+      if (phase === 'bottom') addUnique(current.bottomIssues, issues);
+    }
+
+    return state();
+  }
+
+  // New targets apply from the next frame on; counts and the rep in progress are kept.
+  function configure(next = {}) {
+    Object.assign(options, DEFAULT_OPTIONS, next.squat);
+  }
+
+  // Only the latest rep is reported; callers keep the ones they need. Time under tension includes the rep in progress.
+  function state() {
+    return {
+      repCount,
+      cleanRepCount,
+      phase,
+      lastRep,
+      depth,
+      timeUnderTensionMs: completedTensionMs + (current ? lastTimestamp - current.startedAt : 0),
+    };
+  }
+
+  return { update, state, configure };
+}
+
+module.exports = { createSquatRepCounter, isCleanRep, kneeAngle, hipDepthRatio, classifyDepth, DEFAULT_OPTIONS };
@@ -0,0 +1,108 @@
+const { calculateAngle } = require('../utils/postureUtils');
+const { belowThreshold, sideJoints } = require('../utils/issues');
+const { calibratedMinimum } = require('../utils/calibration');
+const { createDeskMonitor } = require('../controllers/deskMonitor');
+const { shoulderTilt, headTilt, imbalanceIssue } = require('../utils/symmetry');
+
+const THRESHOLDS = {
+  neckAngle: 150,
+  spineAngle: 160,
+  // Allowed drop below a calibrated angle before an issue is raised.
+  neckTolerance: 15,
+  spineTolerance: 12,
+  // Left/right imbalance from the front, in degrees from level.
+  shoulderTilt: 6,
+  headTilt: 10,
+};
+
+function angleThresholds(baseline, key, fixedThreshold, tolerance) {
+  return {
+    left: calibratedMinimum(baseline, `${key}Left`, fixedThreshold, tolerance),
+    right: calibratedMinimum(baseline, `${key}Right`, fixedThreshold, tolerance),
+  };
+}
+
+function baselineFor(baseline, key, side) {
+  if (!baseline) return undefined;
+  return baseline[`${key}${side === 'right' ? 'Right' : 'Left'}`];
+}
+
+module.exports = {
+  id: 'desk',
+  label: 'Desk Sitting Posture',
+  description: 'Neck and spine alignment while seated.',
+  minConfidence: 0.5,
+  requiredKeypoints: ['nose', 'left_shoulder', 'right_shoulder', 'left_hip', 'right_hip'],
+  optionalKeypoints: ['left_ear', 'right_ear'],
+  insufficientMessage: 'Insufficient keypoints detected for desk posture evaluation. Ensure upper body is visible.',
+  issueTypes: {
+    DESK_NECK_FORWARD: { severity: 'warning', label: 'neck bent forward', cue: 'chin back' },
+    DESK_SLOUCHING: { severity: 'warning', label: 'slouching', cue: 'sit up straight' },
+    DESK_SHOULDER_TILT: { severity: 'warning', label: 'shoulders uneven', cue: 'relax your shoulders level' },
+    DESK_HEAD_TILT: { severity: 'warning', label: 'head tilted sideways', cue: 'head straight' },
+  },
+  thresholds: THRESHOLDS,
+  angles: [
+    { id: 'neckLeft', label: 'neck', points: ['left_ear', 'left_shoulder', 'left_hip'], issue: 'DESK_NECK_FORWARD', side: 'left' },
+    { id: 'neckRight', label: 'neck', points: ['right_ear', 'right_shoulder', 'right_hip'], issue: 'DESK_NECK_FORWARD', side: 'right' },
+    { id: 'spineLeft', label: 'spine', points: ['left_shoulder', 'left_hip', 'vertical'], issue: 'DESK_SLOUCHING', side: 'left' },
+    { id: 'spineRight', label: 'spine', points: ['right_shoulder', 'right_hip', 'vertical'], issue: 'DESK_SLOUCHING', side: 'right' },
+  ],
+  calibratable: true,
+  measure: (kps) => ({
+    neckLeft: calculateAngle(kps.leftEar || kps.nose, kps.leftShoulder, kps.leftHip),
+    neckRight: calculateAngle(kps.rightEar || kps.nose, kps.rightShoulder, kps.rightHip),
+    spineLeft: calculateAngle(kps.leftShoulder, kps.leftHip, { x: kps.leftHip.x, y: kps.leftHip.y + 0.1 }),
+    spineRight: calculateAngle(kps.rightShoulder, kps.rightHip, { x: kps.rightHip.x, y: kps.rightHip.y + 0.1 }),
+  }),
+  checks: [
+    (kps, { measurements: m, baseline, thresholds }) => {
+      const failure = belowThreshold(
+        { left: m.neckLeft, right: m.neckRight },
+        angleThresholds(baseline, 'neck', thresholds.neckAngle, thresholds.neckTolerance),
+      );
+      if (!failure) return null;
+      const reference = baselineFor(baseline, 'neck', failure.worstSide);
+      const estimate = reference != null ? `${Math.round(reference - failure.value)}° past your baseline` : '>30° estimated';
+      return {
+        code: 'DESK_NECK_FORWARD',
+        ...failure,
+        values: { left: Math.round(m.neckLeft), right: Math.round(m.neckRight) },
+        joints: ['nose', ...sideJoints(failure.side, ['ear', 'shoulder'])],
+        baseline: reference,
+        message: `Neck bent forward (${estimate}). Angles: ${m.neckLeft.toFixed(0)}° / ${m.neckRight.toFixed(0)}°`,
+      };
+    },
+    (kps, { measurements: m, baseline, thresholds }) => {
+      const failure = belowThreshold(
+        { left: m.spineLeft, right: m.spineRight },
+        angleThresholds(baseline, 'spine', thresholds.spineAngle, thresholds.spineTolerance),
+      );
+      if (!failure) return null;
+      return {
+        code: 'DESK_SLOUCHING',
+        ...failure,
+        values: { left: Math.round(m.spineLeft), right: Math.round(m.spineRight) },
+        joints: sideJoints(failure.side, ['shoulder', 'hip']),
+        baseline: baselineFor(baseline, 'spine', failure.worstSide),
+        message: `Back isn't straight (slouching detected). Angles: ${m.spineLeft.toFixed(0)}° / ${m.spineRight.toFixed(0)}°`,
+      };
+    },
+    (kps, { view, thresholds }) => {
+      if (view.view !== 'frontal') return null;
+      return [
+        imbalanceIssue('DESK_SHOULDER_TILT', shoulderTilt(kps), thresholds.shoulderTilt, {
+          joints: sideJoints('both', ['shoulder']),
+          message: (side, value) => `${side === 'left' ? 'Left' : 'Right'} shoulder lower than the other (${value.toFixed(0)}° tilt).`,
+        }),
+        imbalanceIssue('DESK_HEAD_TILT', headTilt(kps), thresholds.headTilt, {
+          joints: sideJoints('both', ['ear']),
+          message: (side, value) => `Head tilted to the ${side} (${value.toFixed(0)}°).`,
+        }),
+      ].filter(Boolean);
+    },
+  ],
+  // Left/right measurements tracked over the session (see utils/symmetry).
+  symmetry: ['shoulderTilt', 'headTilt'],
+  createTracker: createDeskMonitor,
+};
@@ -0,0 +1,39 @@
+const squat = require('./squat');
+const desk = require('./desk');
+const { compileRules } = require('./ruleLoader');
+const bundledRules = require('./rules');
+
+const registry = new Map();
+
+function registerExercise(exercise) {
+  if (!exercise || !exercise.id) throw new Error('Exercise must have an id');
+  if (!Array.isArray(exercise.requiredKeypoints) || !Array.isArray(exercise.checks)) {
+    throw new Error(`Exercise "${exercise.id}" must declare requiredKeypoints and checks`);
+  }
+  registry.set(exercise.id, exercise);
+  return exercise;
+}
+
+function getExercise(id) {
+  return registry.get(id) || null;
+}
+
+// Public description of each exercise, safe to send to clients.
+// `thresholds` are the defaults users and servers may override, or null if there are none.
+function listExercises() {
+  return [...registry.values()].map(({ id, label, description, requiredKeypoints, issueTypes = {}, calibratable = false, thresholds = null }) => ({
+    id,
+    label,
+    description,
+    requiredKeypoints,
+    issueTypes,
+    calibratable,
+    thresholds,
+  }));
+}
+
+registerExercise(squat);
+registerExercise(desk);
+bundledRules.forEach(({ file, definition }) => registerExercise(compileRules(definition, file)));
+
+module.exports = { registerExercise, getExercise, listExercises };
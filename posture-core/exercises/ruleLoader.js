@@ -0,0 +1,175 @@
+const { calculateAngle, calculateDistance, toCamelCase } = require('../utils/postureUtils');
+const { CANONICAL_KEYPOINTS } = require('../utils/keypointSchema');
+
+/*
+ * Compiles declarative JSON rule files into exercise definitions.
+ *
+ * Each predicate describes the *correct* posture; when it does not hold, an
+ * issue with the rule's code, severity, label, side and message is reported.
+ * `{value}` in a message is replaced by the measured value. An optional `cue`
+ * is the short phrase spoken by audio coaching (the label is used without one).
+ *
+ *   { "type": "angle", "points": ["left_shoulder", "left_hip", "left_ankle"], "min": 160, "max": 180 }
+ *   { "type": "position", "point": "left_hip", "reference": "left_shoulder", "axis": "y", "relation": "greater", "offset": 0 }
+ *   { "type": "ratio", "numerator": ["left_shoulder", "left_elbow"], "denominator": ["left_shoulder", "left_elbow"], "axis": "x", "max": 0.5 }
+ *
+ * Angle and ratio predicates with a `tolerance` are calibratable: once the user
+ * has a baseline, min/max become the baseline value -/+ tolerance.
+ */
+
+function inRange(value, { min = -Infinity, max = Infinity }) {
+  return value >= min && value <= max;
+}
+
+// The bound that was crossed.
+function rangeThreshold(rule, value) {
+  return rule.min != null && value < rule.min ? rule.min : rule.max;
+}
+
+function axisDistance(p1, p2, axis) {
+  if (!axis) return calculateDistance(p1, p2);
+  return Math.abs(p1[axis] - p2[axis]);
+}
+
+const predicates = {
+  angle: {
+    keypoints: (rule) => rule.points,
+    measure: (rule, kps) => calculateAngle(...rule.points.map(name => kps[toCamelCase(name)])),
+    passes: (rule, value) => inRange(value, rule),
+    threshold: rangeThreshold,
+  },
+  position: {
+    keypoints: (rule) => [rule.point, rule.reference],
+    measure: (rule, kps) => {
+      const axis = rule.axis || 'y';
+      return kps[toCamelCase(rule.point)][axis] - kps[toCamelCase(rule.reference)][axis];
+    },
+    passes: (rule, value) => {
+      const offset = rule.offset || 0;
+      return rule.relation === 'less' ? value < offset : value > offset;
+    },
+    threshold: (rule) => rule.offset || 0,
+  },
+  ratio: {
+    keypoints: (rule) => [...rule.numerator, ...rule.denominator],
+    measure: (rule, kps) => {
+      const [n1, n2] = rule.numerator.map(name => kps[toCamelCase(name)]);
+      const [d1, d2] = rule.denominator.map(name => kps[toCamelCase(name)]);
+      const denominator = calculateDistance(d1, d2);
+      return denominator === 0 ? 0 : axisDistance(n1, n2, rule.axis) / denominator;
+    },
+    passes: (rule, value) => inRange(value, rule),
+    threshold: rangeThreshold,
+  },
+};
+
+function formatMessage(message, value) {
+  return message.replace(/\{value\}/g, Math.abs(value) < 10 ? value.toFixed(2) : value.toFixed(0));
+}
+
+function ruleCode(definition, rule, index) {
+  return rule.code || `${definition.id}_${rule.type}_${index + 1}`.toUpperCase();
+}
+
+function measurementKey(rule, code) {
+  return rule.side ? `${code}.${rule.side}` : code;
+}
+
+function isCalibratable(rule) {
+  return rule.tolerance != null && (rule.type === 'angle' || rule.type === 'ratio');
+}
+
+// The rule with its bounds moved relative to the user's baseline, if there is one.
+function calibratedRule(rule, key, baseline) {
+  if (!isCalibratable(rule) || !baseline || !Number.isFinite(baseline[key])) return rule;
+  return {
+    ...rule,
+    min: rule.min != null ? baseline[key] - rule.tolerance : undefined,
+    max: rule.max != null ? baseline[key] + rule.tolerance : undefined,
+  };
+}
+
+function compileCheck(rule, code, source) {
+  const predicate = predicates[rule.type];
+  if (!predicate) throw new Error(`Unknown rule type "${rule.type}" in ${source}`);
+  if (typeof rule.message !== 'string') throw new Error(`Rule of type "${rule.type}" in ${source} is missing a message`);
+  const key = measurementKey(rule, code);
+
+  return (kps, { baseline } = {}) => {
+    const effectiveRule = calibratedRule(rule, key, baseline);
+    const value = predicate.measure(rule, kps);
+    if (predicate.passes(effectiveRule, value)) return null;
+    return {
+      code,
+      side: rule.side || null,
+      value,
+      threshold: predicate.threshold(effectiveRule, value),
+      baseline: effectiveRule !== rule ? baseline[key] : undefined,
+      joints: [...new Set(predicate.keypoints(rule))],
+      message: formatMessage(rule.message, value),
+    };
+  };
+}
+
+// Measures every calibratable rule, keyed by code (and side).
+function compileMeasure(rules, codes) {
+  const calibratable = rules
+    .map((rule, index) => ({ rule, key: measurementKey(rule, codes[index]) }))
+    .filter(({ rule }) => isCalibratable(rule));
+  if (calibratable.length === 0) return null;
+
+  return (kps) => calibratable.reduce((measurements, { rule, key }) => {
+    measurements[key] = predicates[rule.type].measure(rule, kps);
+    return measurements;
+  }, {});
+}
+
+function compileRules(definition, source = definition.id) {
+  if (!definition.id || !Array.isArray(definition.checks)) {
+    throw new Error(`Rule file ${source} must declare an id and a checks array`);
+  }
+
+  const checkKeypoints = definition.checks.flatMap(rule => predicates[rule.type] ? predicates[rule.type].keypoints(rule) : []);
+  const requiredKeypoints = definition.requiredKeypoints || [...new Set(checkKeypoints)];
+  const codes = definition.checks.map((rule, index) => ruleCode(definition, rule, index));
+
+  const issueTypes = {};
+  definition.checks.forEach((rule, index) => {
+    const label = rule.label || rule.message;
+    issueTypes[codes[index]] = { severity: rule.severity || 'warning', label, cue: rule.cue || label };
+  });
+
+  const checks = definition.checks.map((rule, index) => compileCheck(rule, codes[index], source));
+  // Evaluators only ever see the canonical skeleton (see utils/keypointSchema).
+  const unknown = [...requiredKeypoints, ...checkKeypoints].find(name => !CANONICAL_KEYPOINTS.includes(name));
+  if (unknown) throw new Error(`Rule file ${source} uses keypoint "${unknown}", which is not one of the 17 COCO keypoints`);
+
+  const measure = compileMeasure(definition.checks, codes);
+  const angles = definition.checks
+    .map((rule, index) => rule.type === 'angle' && {
+      id: measurementKey(rule, codes[index]),
+      label: rule.label || codes[index].toLowerCase().replace(/_/g, ' '),
+      points: rule.points,
+      issue: codes[index],
+      side: rule.side || null,
+    })
+    .filter(Boolean);
+
+  return {
+    id: definition.id,
+    label: definition.label || definition.id,
+    description: definition.description || '',
+    minConfidence: definition.minConfidence != null ? definition.minConfidence : 0.3,
+    requiredKeypoints,
+    optionalKeypoints: definition.optionalKeypoints || [],
+    insufficientMessage: definition.insufficientMessage
+      || `Insufficient keypoints detected for ${definition.label || definition.id} evaluation.`,
+    issueTypes,
+    calibratable: Boolean(measure),
+    measure: measure || undefined,
+    angles,
+    checks,
+  };
+}
+
+module.exports = { compileRules };
@@ -0,0 +1,4 @@
+// Rule files bundled with the core, so the browser gets them too. List new files here.
+module.exports = [
+  { file: 'plank.json', definition: require('./plank.json') },
+];
@@ -0,0 +1,179 @@
+const { calculateAngle, calculateDistance } = require('../utils/postureUtils');
+const { belowThreshold, sideJoints } = require('../utils/issues');
+const { createSquatRepCounter } = require('../controllers/repCounter');
+const { shoulderTilt, hipDrop, hipShift, kneeDifference, imbalanceIssue } = require('../utils/symmetry');
+
+// Defaults; a server can override any of them per exercise (see posture-backend/config.js).
+const THRESHOLDS = {
+  backAngle: 150,
+  // Knee drift towards the midline, as a fraction of hip width (front view).
+  valgusRatio: 0.2,
+  // Knee travel past the ankle along the facing direction, as a fraction of shin length (side view).
+  kneeTravelRatio: 0.4,
+  // Torso angle from vertical (side view).
+  torsoLean: 50,
+  // View-specific knee checks only apply once the knees are bending.
+  bentKneeAngle: 160,
+  // Left/right imbalance (front view): line tilts in degrees, hip shift as a
+  // fraction of hip width, knee angle difference in degrees.
+  shoulderTilt: 6,
+  hipDrop: 6,
+  hipShift: 0.15,
+  kneeDifference: 15,
+};
+
+const SIDES = ['left', 'right'];
+
+function leg(kps, side) {
+  return { hip: kps[`${side}Hip`], knee: kps[`${side}Knee`], ankle: kps[`${side}Ankle`], shoulder: kps[`${side}Shoulder`] };
+}
+
+function isBent({ hip, knee, ankle }, thresholds) {
+  return calculateAngle(hip, knee, ankle) < thresholds.bentKneeAngle;
+}
+
+// The leg nearest the camera in a profile view.
+function nearSide(kps, view) {
+  if (view.view === 'left_profile') return 'left';
+  if (view.view === 'right_profile') return 'right';
+  const score = (side) => kps[`${side}Knee`].score + kps[`${side}Ankle`].score;
+  return score('left') >= score('right') ? 'left' : 'right';
+}
+
+function capitalize(side) {
+  return side === 'left' ? 'Left' : 'Right';
+}
+
+function kneeValgus(kps, side, thresholds) {
+  const { hip, knee, ankle } = leg(kps, side);
+  if (!isBent({ hip, knee, ankle }, thresholds) || ankle.y === hip.y) return null;
+
+  const midX = (kps.leftHip.x + kps.rightHip.x) / 2;
+  const hipWidth = Math.abs(kps.leftHip.x - kps.rightHip.x);
+  if (hipWidth === 0) return null;
+
+  const lineX = hip.x + (ankle.x - hip.x) * ((knee.y - hip.y) / (ankle.y - hip.y));
+  const inward = (knee.x - lineX) * Math.sign(midX - hip.x);
+  const ratio = inward / hipWidth;
+  if (ratio <= thresholds.valgusRatio) return null;
+
+  return {
+    code: 'SQUAT_KNEE_VALGUS',
+    side,
+    value: ratio,
+    threshold: thresholds.valgusRatio,
+    joints: sideJoints(side, ['hip', 'knee', 'ankle']),
+    message: `${side === 'left' ? 'Left' : 'Right'} knee caving inward.`,
+  };
+}
+
+module.exports = {
+  id: 'squat',
+  label: 'Squat Posture',
+  description: 'Knee tracking, torso lean and back angle during squats. Works from the front or the side.',
+  minConfidence: 0.2,
+  requiredKeypoints: [
+    'left_shoulder', 'right_shoulder',
+    'left_hip', 'right_hip',
+    'left_knee', 'right_knee',
+    'left_ankle', 'right_ankle',
+  ],
+  insufficientMessage: 'Insufficient keypoints detected for squat evaluation. Ensure full body is visible.',
+  issueTypes: {
+    SQUAT_KNEE_OVER_TOE: { severity: 'warning', label: 'knee over toe', cue: 'knees back' },
+    SQUAT_KNEE_VALGUS: { severity: 'critical', label: 'knees caving in', cue: 'push your knees out' },
+    SQUAT_TORSO_LEAN: { severity: 'warning', label: 'leaning forward', cue: 'chest up' },
+    SQUAT_BACK_HUNCHED: { severity: 'critical', label: 'back rounded', cue: 'keep your back straight' },
+    SQUAT_SHOULDER_TILT: { severity: 'warning', label: 'shoulders uneven', cue: 'level your shoulders' },
+    SQUAT_HIP_DROP: { severity: 'warning', label: 'hip dropping', cue: 'level your hips' },
+    SQUAT_HIP_SHIFT: { severity: 'warning', label: 'hips shifting sideways', cue: 'keep your weight centred' },
+    SQUAT_KNEE_ASYMMETRY: { severity: 'warning', label: 'knees bending unevenly', cue: 'bend both knees evenly' },
+  },
+  thresholds: THRESHOLDS,
+  angles: [
+    { id: 'backLeft', label: 'back', points: ['left_shoulder', 'left_hip', 'left_knee'], issue: 'SQUAT_BACK_HUNCHED', side: 'left' },
+    { id: 'backRight', label: 'back', points: ['right_shoulder', 'right_hip', 'right_knee'], issue: 'SQUAT_BACK_HUNCHED', side: 'right' },
+    { id: 'kneeLeft', label: 'knee', points: ['left_hip', 'left_knee', 'left_ankle'] },
+    { id: 'kneeRight', label: 'knee', points: ['right_hip', 'right_knee', 'right_ankle'] },
+  ],
+  checks: [
+    (kps, { view, thresholds }) => {
+      if (view.view !== 'frontal') return null;
+      return SIDES.map(side => kneeValgus(kps, side, thresholds)).filter(Boolean);
+    },
+    (kps, { view, thresholds }) => {
+      if (!view.view.endsWith('_profile') || !view.facing) return null;
+      const side = nearSide(kps, view);
+      const { hip, knee, ankle } = leg(kps, side);
+      const shin = calculateDistance(knee, ankle);
+      if (!isBent({ hip, knee, ankle }, thresholds) || shin === 0) return null;
+
+      const forward = (knee.x - ankle.x) * (view.facing === 'right' ? 1 : -1);
+      const ratio = forward / shin;
+      if (ratio <= thresholds.kneeTravelRatio) return null;
+      return {
+        code: 'SQUAT_KNEE_OVER_TOE',
+        side,
+        value: ratio,
+        threshold: thresholds.kneeTravelRatio,
+        joints: sideJoints(side, ['knee', 'ankle']),
+        message: `${side === 'left' ? 'Left' : 'Right'} knee over toe.`,
+      };
+    },
+    (kps, { view, thresholds }) => {
+      if (!view.view.endsWith('_profile')) return null;
+      const side = nearSide(kps, view);
+      const { hip, shoulder } = leg(kps, side);
+      const lean = Math.atan2(Math.abs(shoulder.x - hip.x), hip.y - shoulder.y) * (180 / Math.PI);
+      if (lean <= thresholds.torsoLean) return null;
+      return {
+        code: 'SQUAT_TORSO_LEAN',
+        side,
+        value: lean,
+        threshold: thresholds.torsoLean,
+        joints: sideJoints(side, ['shoulder', 'hip']),
+        message: `Leaning too far forward (torso ${lean.toFixed(0)}° from vertical). Keep your chest up.`,
+      };
+    },
+    (kps, { thresholds }) => {
+      const leftAngle = calculateAngle(kps.leftShoulder, kps.leftHip, kps.leftKnee);
+      const rightAngle = calculateAngle(kps.rightShoulder, kps.rightHip, kps.rightKnee);
+      const failure = belowThreshold(
+        { left: leftAngle, right: rightAngle },
+        { left: thresholds.backAngle, right: thresholds.backAngle },
+      );
+      if (!failure) return null;
+      return {
+        code: 'SQUAT_BACK_HUNCHED',
+        ...failure,
+        values: { left: Math.round(leftAngle), right: Math.round(rightAngle) },
+        joints: sideJoints(failure.side, ['shoulder', 'hip', 'knee']),
+        message: `Hunched back detected (Back angle: ${leftAngle.toFixed(0)}° / ${rightAngle.toFixed(0)}°).`,
+      };
+    },
+    (kps, { view, thresholds }) => {
+      if (view.view !== 'frontal') return null;
+      return [
+        imbalanceIssue('SQUAT_SHOULDER_TILT', shoulderTilt(kps), thresholds.shoulderTilt, {
+          joints: sideJoints('both', ['shoulder']),
+          message: (side, value) => `${capitalize(side)} shoulder lower than the other (${value.toFixed(0)}° tilt).`,
+        }),
+        imbalanceIssue('SQUAT_HIP_DROP', hipDrop(kps), thresholds.hipDrop, {
+          joints: sideJoints('both', ['hip']),
+          message: (side, value) => `${capitalize(side)} hip dropping (${value.toFixed(0)}° tilt).`,
+        }),
+        imbalanceIssue('SQUAT_HIP_SHIFT', hipShift(kps), thresholds.hipShift, {
+          joints: sideJoints('both', ['hip', 'ankle']),
+          message: (side, value) => `Hips shifting to the ${side} (${Math.round(value * 100)}% of hip width).`,
+        }),
+        imbalanceIssue('SQUAT_KNEE_ASYMMETRY', kneeDifference(kps, thresholds), thresholds.kneeDifference, {
+          joints: sideJoints('both', ['hip', 'knee', 'ankle']),
+          message: (side, value) => `${capitalize(side)} knee bending ${value.toFixed(0)}° less than the other.`,
+        }),
+      ].filter(Boolean);
+    },
+  ],
+  // Left/right measurements tracked over the session (see utils/symmetry).
+  symmetry: ['shoulderTilt', 'hipDrop', 'hipShift', 'kneeDifference'],
+  createTracker: createSquatRepCounter,
+};
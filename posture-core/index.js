@@ -0,0 +1,97 @@
+/*
+ * Posture evaluation shared by the backend (Node) and the frontend's offline
+ * mode (bundled by Vite). Everything here is pure JavaScript: no Node built-ins,
+ * no DOM, so it runs unchanged in both.
+ */
+const { findKeypoint, calculateAngle, calculateDistance, toCamelCase, collectKeypoints } = require('./utils/postureUtils');
+const {
+  CANONICAL_KEYPOINTS,
+  KEYPOINT_SCHEMAS,
+  COORDINATE_SYSTEMS,
+  detectSchema,
+  schemaOptionsProblem,
+  adaptKeypoints,
+} = require('./utils/keypointSchema');
+const { SEVERITIES, COMMON_ISSUE_TYPES, createIssue } = require('./utils/issues');
+const { registerExercise, getExercise, listExercises } = require('./exercises');
+const { compileRules } = require('./exercises/ruleLoader');
+const {
+  evaluateExercise,
+  measureExercise,
+  measureAngles,
+  VERTICAL,
+  evaluatePosture,
+  evaluateSquatPosture,
+  evaluateDeskSittingPosture,
+  unknownPostureIssue,
+} = require('./controllers/postureController');
+const { createAnalysisPipeline, createMultiPersonPipeline } = require('./controllers/analysisPipeline');
+const { createCalibration } = require('./controllers/calibration');
+const { createSquatRepCounter } = require('./controllers/repCounter');
+const { createDeskMonitor } = require('./controllers/deskMonitor');
+const { createKeypointFilter } = require('./utils/keypointFilter');
+const { createIssueDebouncer } = require('./utils/issueDebouncer');
+const { detectView, createViewTracker } = require('./utils/viewDetection');
+const { PRESETS, parseSessionSettings } = require('./utils/sessionSettings');
+const { createTimelineSummary, summarizeTimeline, summarizeDays, frameDurations, dayKey, isValidTimeZone } = require('./utils/sessionAnalytics');
+const { SEVERITY_WEIGHTS, framePenalty, postureScore } = require('./utils/postureScore');
+const { GOAL_TYPES, DEFAULT_GOALS, BADGES, validateGoals, evaluateGoal, summarizeProgress } = require('./utils/progress');
+const { SYMMETRY_METRICS, measureSymmetry, createSymmetryTrend } = require('./utils/symmetry');
+
+module.exports = {
+  findKeypoint,
+  calculateAngle,
+  calculateDistance,
+  toCamelCase,
+  collectKeypoints,
+  CANONICAL_KEYPOINTS,
+  KEYPOINT_SCHEMAS,
+  COORDINATE_SYSTEMS,
+  detectSchema,
+  schemaOptionsProblem,
+  adaptKeypoints,
+  SEVERITIES,
+  COMMON_ISSUE_TYPES,
+  createIssue,
+  registerExercise,
+  getExercise,
+  listExercises,
+  compileRules,
+  evaluateExercise,
+  measureExercise,
+  measureAngles,
+  VERTICAL,
+  evaluatePosture,
+  evaluateSquatPosture,
+  evaluateDeskSittingPosture,
+  unknownPostureIssue,
+  createAnalysisPipeline,
+  createMultiPersonPipeline,
+  createCalibration,
+  createSquatRepCounter,
+  createDeskMonitor,
+  createKeypointFilter,
+  createIssueDebouncer,
+  detectView,
+  createViewTracker,
+  PRESETS,
+  parseSessionSettings,
+  createTimelineSummary,
+  summarizeTimeline,
+  summarizeDays,
+  frameDurations,
+  dayKey,
+  isValidTimeZone,
+  SEVERITY_WEIGHTS,
+  framePenalty,
+  postureScore,
+  GOAL_TYPES,
+  DEFAULT_GOALS,
+  BADGES,
+  validateGoals,
+  evaluateGoal,
+  summarizeProgress,
+  SYMMETRY_METRICS,
+  measureSymmetry,
+  createSymmetryTrend,
+};
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAnalysisPipeline, createMultiPersonPipeline } = require('../controllers/analysisPipeline');
+const { parseSessionSettings } = require('../utils/sessionSettings');
+const { legsWithKneeAngle, squatWithKneeAngle } = require('./helpers/keypoints');
+
+const SQUAT = [175, 140, 110, 90, 85, 95, 120, 150, 170];
+
+test('each tracked person gets their own rep count', () => {
+  const pipeline = createMultiPersonPipeline(parseSessionSettings({ preset: 'raw' }));
+  let results;
+  SQUAT.forEach((angle, index) => {
+    results = pipeline.processFrame({
+      people: [
+        { trackId: 1, keypoints: legsWithKneeAngle(angle) },
+        { trackId: 2, keypoints: legsWithKneeAngle(175) },
+      ],
+      postureType: 'squat',
+      timestamp: index * 100,
+    });
+  });
+
+  assert.deepEqual(results.map(result => result.trackId), [1, 2]);
+  assert.equal(results[0].trackerState.repCount, 1);
+  assert.equal(results[1].trackerState.repCount, 0);
+});
+
+test('people who leave the frame are forgotten after the idle time', () => {
+  const pipeline = createMultiPersonPipeline(parseSessionSettings({}), { idleMs: 1000 });
+  pipeline.processFrame({ people: [{ trackId: 1, keypoints: legsWithKneeAngle(170) }], postureType: 'squat', timestamp: 0 });
+  pipeline.processFrame({ people: [{ trackId: 2, keypoints: legsWithKneeAngle(170) }], postureType: 'squat', timestamp: 500 });
+  assert.deepEqual(pipeline.trackIds(), [1, 2]);
+
+  pipeline.processFrame({ people: [{ trackId: 2, keypoints: legsWithKneeAngle(170) }], postureType: 'squat', timestamp: 1500 });
+  assert.deepEqual(pipeline.trackIds(), [2]);
+});
+
+test('upright full-depth squats count as clean reps', () => {
+  const pipeline = createAnalysisPipeline(parseSessionSettings({ preset: 'raw' }));
+  const bottomIssues = [];
+  let trackerState;
+  [1, 2, 3].forEach((rep) => {
+    [175, 145, 120, 100, 85, 80, 85, 100, 130, 165].forEach((angle, index) => {
+      const result = pipeline.processFrame({ keypoints: squatWithKneeAngle(angle), postureType: 'squat', timestamp: (rep * 10 + index) * 250 });
+      if (angle === 80) bottomIssues.push(...result.issues.map(issue => issue.code));
+      trackerState = result.trackerState;
+    });
+  });
+
+  // The back angle check still fires at the bottom, but doesn't make the reps unclean.
+  assert.ok(bottomIssues.includes('SQUAT_BACK_HUNCHED'));
+  assert.equal(trackerState.repCount, 3);
+  assert.equal(trackerState.cleanRepCount, 3);
+});
+
+test('updated settings apply without resetting the rep count', () => {
+  const pipeline = createMultiPersonPipeline(parseSessionSettings({ preset: 'raw' }));
+  let timestamp = 0;
+  const squat = bottom => [175, 140, bottom, 120, 170].map((angle) => {
+    timestamp += 250;
+    return pipeline.processFrame({ people: [{ trackId: 1, keypoints: squatWithKneeAngle(angle) }], postureType: 'squat', timestamp });
+  }).pop()[0].trackerState;
+
+  assert.equal(squat(90).lastRep.depthOk, true);
+  pipeline.updateSettings(parseSessionSettings({ preset: 'raw', targetDepth: 2 }));
+  const state = squat(90);
+  assert.equal(state.repCount, 2);
+  assert.equal(state.lastRep.depthOk, false);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDeskMonitor, classifyFrame, DEFAULT_OPTIONS } = require('../controllers/deskMonitor');
+const { parseSessionSettings } = require('../utils/sessionSettings');
+const { keypoints } = require('./helpers/keypoints');
+
+const MINUTE_MS = 60000;
+const seated = keypoints({ nose: [330, 175], left_shoulder: [300, 250], left_hip: [300, 400], left_knee: [420, 410] });
+const standing = keypoints({ left_shoulder: [300, 20], left_hip: [300, 200] });
+const slouch = [{ code: 'DESK_SLOUCHING', severity: 'warning' }];
+const insufficient = [{ code: 'INSUFFICIENT_KEYPOINTS', severity: 'info' }];
+
+test('classifyFrame distinguishes seated, standing and absent', () => {
+  assert.equal(classifyFrame(seated, []), 'good');
+  assert.equal(classifyFrame(seated, slouch), 'slouching');
+  assert.equal(classifyFrame(standing, []), 'standing');
+  assert.equal(classifyFrame([], []), 'absent');
+});
+
+test('frames too incomplete to judge are not counted as good sitting time', () => {
+  const headOnly = keypoints({ nose: [330, 175], left_shoulder: [300, 250] });
+  assert.equal(classifyFrame(headOnly, insufficient), 'absent');
+
+  const monitor = createDeskMonitor();
+  monitor.update(seated, [], 0);
+  monitor.update(seated, [], MINUTE_MS);
+  const { deskSession } = monitor.update(headOnly, insufficient, 3 * MINUTE_MS);
+  assert.equal(deskSession.state, 'absent');
+  assert.equal(deskSession.totals.good, MINUTE_MS);
+  assert.equal(deskSession.totals.absent, 2 * MINUTE_MS);
+});
+
+test('sustained slouching raises an escalating alert', () => {
+  const monitor = createDeskMonitor({ desk: { slouchAlertMinutes: 2 } });
+  const alerts = [];
+  for (let minute = 0; minute <= 4; minute += 1) {
+    alerts.push(...monitor.update(seated, slouch, minute * MINUTE_MS).alerts);
+  }
+
+  assert.deepEqual(alerts.map(alert => [alert.type, alert.level]), [['SUSTAINED_SLOUCH', 1], ['SUSTAINED_SLOUCH', 2]]);
+  assert.match(alerts[0].message, /slouching for 2 minutes/);
+});
+
+test('a long enough break resets the sitting timer', () => {
+  const monitor = createDeskMonitor({ desk: { sittingAlertMinutes: 3, minBreakSeconds: 60 } });
+  monitor.update(seated, [], 0);
+  monitor.update(seated, [], 2 * MINUTE_MS);
+  monitor.update(standing, [], 2.5 * MINUTE_MS);
+  const { deskSession } = monitor.update(standing, [], 3.5 * MINUTE_MS);
+  assert.equal(deskSession.sittingMs, 0);
+  assert.equal(deskSession.state, 'standing');
+
+  const { alerts } = monitor.update(seated, [], 4 * MINUTE_MS);
+  assert.deepEqual(alerts, []);
+});
+
+test('alert minutes of 0 fall back to the defaults', () => {
+  const settings = parseSessionSettings({ slouchAlertMinutes: '0', sittingRepeatMinutes: 0, sittingAlertMinutes: '2' });
+  assert.equal(settings.desk.slouchAlertMinutes, DEFAULT_OPTIONS.slouchAlertMinutes);
+  assert.equal(settings.desk.sittingRepeatMinutes, DEFAULT_OPTIONS.sittingRepeatMinutes);
+  assert.equal(settings.desk.sittingAlertMinutes, 2);
+
+  const monitor = createDeskMonitor(settings);
+  const alerts = [];
+  for (let minute = 0; minute <= 3; minute += 1) {
+    alerts.push(...monitor.update(seated, slouch, minute * MINUTE_MS).alerts);
+  }
+  assert.deepEqual(alerts.map(alert => [alert.type, alert.level]), [['SITTING_TOO_LONG', 1]]);
+});
@@ -0,0 +1,34 @@
+// Builds a MoveNet-style keypoint array from { name: [x, y, score?] }.
+function keypoints(points, defaultScore = 0.9) {
+  return Object.entries(points).map(([name, [x, y, score = defaultScore]]) => ({ name, x, y, score }));
+}
+
+// Squat leg geometry with the given knee angle (degrees), both legs identical.
+function legsWithKneeAngle(angle) {
+  const radians = (angle * Math.PI) / 180;
+  const points = {};
+  ['left', 'right'].forEach(side => {
+    points[`${side}_shoulder`] = [0, -100];
+    points[`${side}_hip`] = [0, 0];
+    points[`${side}_knee`] = [0, 100];
+    points[`${side}_ankle`] = [100 * Math.sin(radians), 100 - 100 * Math.cos(radians)];
+  });
+  return keypoints(points);
+}
+
+// Side-view squat with the given knee angle: shins vertical, thighs (100px) rotating
+// about the knees, so the hips pass knee height at 90°.
+function squatWithKneeAngle(angle) {
+  const radians = (angle * Math.PI) / 180;
+  const points = {};
+  ['left', 'right'].forEach(side => {
+    const hip = [-100 * Math.sin(radians), 100 + 100 * Math.cos(radians)];
+    points[`${side}_shoulder`] = [hip[0], hip[1] - 100];
+    points[`${side}_hip`] = hip;
+    points[`${side}_knee`] = [0, 100];
+    points[`${side}_ankle`] = [0, 200];
+  });
+  return keypoints(points);
+}
+
+module.exports = { keypoints, legsWithKneeAngle, squatWithKneeAngle };
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createIssueDebouncer } = require('../utils/issueDebouncer');
+
+const slouch = { code: 'DESK_SLOUCHING', side: null, severity: 'warning' };
+const missing = { code: 'INSUFFICIENT_KEYPOINTS', side: null, severity: 'info' };
+
+test('issues are raised after raiseAfter consecutive frames', () => {
+  const debouncer = createIssueDebouncer({ raiseAfter: 3, clearAfter: 2 });
+  assert.deepEqual(debouncer.update([slouch]), []);
+  assert.deepEqual(debouncer.update([slouch]), []);
+  assert.deepEqual(debouncer.update([slouch]), [slouch]);
+});
+
+test('a single good frame does not clear an active issue', () => {
+  const debouncer = createIssueDebouncer({ raiseAfter: 1, clearAfter: 2 });
+  debouncer.update([slouch]);
+  assert.deepEqual(debouncer.update([]), [slouch]);
+  assert.deepEqual(debouncer.update([]), []);
+});
+
+test('an interrupted streak starts over', () => {
+  const debouncer = createIssueDebouncer({ raiseAfter: 2, clearAfter: 1 });
+  debouncer.update([slouch]);
+  debouncer.update([]);
+  assert.deepEqual(debouncer.update([slouch]), []);
+});
+
+test('info issues pass straight through', () => {
+  const debouncer = createIssueDebouncer({ raiseAfter: 5 });
+  assert.deepEqual(debouncer.update([missing]), [missing]);
+});
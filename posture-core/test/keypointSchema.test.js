@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { adaptKeypoints, detectSchema, schemaOptionsProblem, CANONICAL_KEYPOINTS, KEYPOINT_SCHEMAS } = require('../utils/keypointSchema');
+const { measureAngles } = require('../controllers/postureController');
+const { getExercise } = require('../exercises');
+const { keypoints } = require('./helpers/keypoints');
+
+// BlazePose output for `points` ({ name: [x, y, z?] }); every other keypoint sits at the origin.
+function blazePose(points, { named = true } = {}) {
+  return KEYPOINT_SCHEMAS.blazepose33.map((name) => {
+    const [x, y, z] = points[name] || [0, 0];
+    return { ...(named ? { name } : {}), x, y, ...(z !== undefined ? { z } : {}), score: 0.9 };
+  });
+}
+
+test('MoveNet keypoints pass through in canonical order', () => {
+  const adapted = adaptKeypoints(keypoints({ right_hip: [3, 4], left_hip: [1, 2] }));
+  assert.deepEqual(adapted, [
+    { name: 'left_hip', x: 1, y: 2, score: 0.9 },
+    { name: 'right_hip', x: 3, y: 4, score: 0.9 },
+  ]);
+});
+
+test('BlazePose keypoints are reduced to the canonical skeleton, keeping depth', () => {
+  const adapted = adaptKeypoints(blazePose({ left_knee: [10, 20, -5] }));
+  assert.deepEqual(adapted.map(kp => kp.name), CANONICAL_KEYPOINTS);
+  assert.deepEqual(adapted.find(kp => kp.name === 'left_knee'), { name: 'left_knee', x: 10, y: 20, z: -5, score: 0.9 });
+});
+
+test('unnamed keypoints are named by the schema detected from their count', () => {
+  assert.equal(detectSchema(blazePose({}, { named: false })), 'blazepose33');
+  assert.equal(detectSchema(blazePose({})), 'blazepose33');
+  assert.equal(detectSchema(keypoints({ nose: [0, 0] })), 'coco17');
+
+  const unnamed = CANONICAL_KEYPOINTS.map((name, index) => ({ x: index, y: 0, score: 1 }));
+  assert.equal(adaptKeypoints(unnamed).find(kp => kp.name === 'left_hip').x, 11);
+  assert.throws(() => adaptKeypoints(unnamed.slice(1)), /known schema's count/);
+});
+
+test('normalized coordinates are scaled by the frame size, depth by its width', () => {
+  const [nose] = adaptKeypoints([{ name: 'nose', x: 0.5, y: 0.25, z: -0.1, visibility: 0.8 }], {
+    coordinates: 'normalized',
+    frameSize: { width: 640, height: 480 },
+  });
+  assert.deepEqual(nose, { name: 'nose', x: 320, y: 120, z: -64, score: 0.8 });
+});
+
+test('invalid adapter options are reported', () => {
+  assert.equal(schemaOptionsProblem({}), null);
+  assert.match(schemaOptionsProblem({ schema: 'openpose' }), /schema must be one of coco17, blazepose33/);
+  assert.match(schemaOptionsProblem({ coordinates: 'meters' }), /coordinates must be one of/);
+  assert.match(schemaOptionsProblem({ coordinates: 'normalized' }), /need a frameSize/);
+  assert.throws(() => adaptKeypoints([], { coordinates: 'normalized' }), /need a frameSize/);
+});
+
+test('knee angles are measured in 3D when BlazePose gives depth', () => {
+  // Seen from the front the thigh points at the camera: straight in the image, bent in depth.
+  const points = {};
+  ['left', 'right'].forEach((side, i) => {
+    points[`${side}_shoulder`] = [i * 100, 0, 0];
+    points[`${side}_hip`] = [i * 100, 100, 0];
+    points[`${side}_knee`] = [i * 100, 110, -100];
+    points[`${side}_ankle`] = [i * 100, 210, -100];
+  });
+  const flat = Object.fromEntries(Object.entries(points).map(([name, [x, y]]) => [name, [x, y]]));
+  const kneeAngle = kps => measureAngles(getExercise('squat'), kps).find(angle => angle.id === 'kneeLeft').value;
+
+  assert.equal(kneeAngle(adaptKeypoints(blazePose(flat))), 180);
+  assert.equal(kneeAngle(adaptKeypoints(blazePose(points))), 96);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluatePosture, evaluateSquatPosture, evaluateDeskSittingPosture, measureAngles } = require('../controllers/postureController');
+const { getExercise } = require('../exercises');
+const { keypoints } = require('./helpers/keypoints');
+
+const UPRIGHT_DESK = {
+  nose: [330, 175], left_ear: [300, 170], right_ear: [298, 170],
+  left_shoulder: [300, 250], right_shoulder: [295, 252],
+  left_hip: [300, 400], right_hip: [296, 401],
+};
+
+const STANDING_FRONT = {
+  nose: [320, 60], left_ear: [342, 58], right_ear: [298, 58],
+  left_shoulder: [370, 120], right_shoulder: [270, 120],
+  left_hip: [355, 250], right_hip: [285, 250],
+  left_knee: [375, 360], right_knee: [265, 360],
+  left_ankle: [370, 460], right_ankle: [270, 460],
+};
+
+const codes = (issues) => issues.map(issue => issue.code);
+
+test('squat evaluation reports missing keypoints as an info issue', () => {
+  const issues = evaluateSquatPosture(keypoints({ ...STANDING_FRONT, left_ankle: [370, 460, 0.1] }));
+  assert.deepEqual(codes(issues), ['INSUFFICIENT_KEYPOINTS']);
+  assert.equal(issues[0].severity, 'info');
+});
+
+test('standing squat posture has no issues', () => {
+  assert.deepEqual(evaluateSquatPosture(keypoints(STANDING_FRONT)), []);
+});
+
+test('hunched back reports both angles, the worst side and the threshold', () => {
+  const issues = evaluateSquatPosture(keypoints({ ...STANDING_FRONT, left_shoulder: [470, 200], right_shoulder: [370, 200] }));
+  const hunched = issues.find(issue => issue.code === 'SQUAT_BACK_HUNCHED');
+  assert.ok(hunched);
+  assert.equal(hunched.severity, 'critical');
+  assert.equal(hunched.threshold, 150);
+  assert.ok(hunched.value < 150);
+  assert.deepEqual(Object.keys(hunched.values), ['left', 'right']);
+  assert.match(hunched.message, /^Hunched back detected/);
+  assert.deepEqual(hunched.joints, ['left_shoulder', 'left_hip', 'left_knee', 'right_shoulder', 'right_hip', 'right_knee']);
+});
+
+test('upright desk posture has no issues and a forward head is flagged', () => {
+  assert.deepEqual(evaluateDeskSittingPosture(keypoints(UPRIGHT_DESK)), []);
+
+  const issues = evaluateDeskSittingPosture(keypoints({ ...UPRIGHT_DESK, left_ear: [360, 170], right_ear: [358, 170] }));
+  assert.deepEqual(codes(issues), ['DESK_NECK_FORWARD']);
+});
+
+test('a calibrated baseline replaces the fixed desk thresholds', () => {
+  const forwardHead = keypoints({ ...UPRIGHT_DESK, left_ear: [360, 170], right_ear: [358, 170] });
+  const { evaluateExercise } = require('../controllers/postureController');
+  const desk = getExercise('desk');
+
+  const baseline = { neckLeft: 140, neckRight: 140, spineLeft: 180, spineRight: 180 };
+  assert.deepEqual(evaluateExercise(desk, forwardHead, { baseline }), []);
+
+  const strict = { neckLeft: 178, neckRight: 178, spineLeft: 180, spineRight: 180 };
+  const [issue] = evaluateExercise(desk, forwardHead, { baseline: strict });
+  assert.equal(issue.code, 'DESK_NECK_FORWARD');
+  assert.equal(issue.baseline, 178);
+  assert.match(issue.message, /past your baseline/);
+});
+
+test('unknown posture types are reported', () => {
+  assert.deepEqual(codes(evaluatePosture('handstand', keypoints(STANDING_FRONT))), ['UNKNOWN_POSTURE_TYPE']);
+});
+
+test('measureAngles reports display angles with pass/fail from linked issues', () => {
+  const hunched = keypoints({ ...STANDING_FRONT, left_shoulder: [470, 200], right_shoulder: [370, 200] });
+  const issues = evaluateSquatPosture(hunched);
+  const angles = measureAngles(getExercise('squat'), hunched, issues);
+
+  assert.deepEqual(angles.map(angle => angle.id), ['backLeft', 'backRight', 'kneeLeft', 'kneeRight']);
+  assert.equal(angles[0].ok, false);
+  assert.equal(angles[2].ok, null);
+  assert.ok(angles[0].value < 150);
+
+  const desk = measureAngles(getExercise('desk'), keypoints(UPRIGHT_DESK), []);
+  const spine = desk.find(angle => angle.id === 'spineLeft');
+  assert.equal(spine.value, 180);
+  assert.equal(spine.ok, true);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findKeypoint, calculateAngle, calculateDistance, toCamelCase, collectKeypoints } = require('../utils/postureUtils');
+const { keypoints } = require('./helpers/keypoints');
+
+test('calculateAngle returns the angle at the middle point in degrees', () => {
+  assert.equal(Math.round(calculateAngle({ x: 0, y: -1 }, { x: 0, y: 0 }, { x: 1, y: 0 })), 90);
+  assert.equal(Math.round(calculateAngle({ x: 0, y: -1 }, { x: 0, y: 0 }, { x: 0, y: 1 })), 180);
+  assert.equal(Math.round(calculateAngle({ x: 1, y: 1 }, { x: 0, y: 0 }, { x: 1, y: 0 })), 45);
+});
+
+test('calculateAngle uses depth only when all three points have it', () => {
+  assert.equal(Math.round(calculateAngle({ x: 0, y: -1, z: 0 }, { x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: 1 })), 90);
+  assert.equal(Math.round(calculateAngle({ x: 0, y: -1, z: 0 }, { x: 0, y: 0, z: 0 }, { x: 0, y: 1, z: 1 })), 135);
+  assert.equal(Math.round(calculateAngle({ x: 0, y: -1, z: 0 }, { x: 0, y: 0, z: 0 }, { x: 0, y: 1 })), 180);
+});
+
+test('calculateAngle returns 0 for missing or degenerate points', () => {
+  assert.equal(calculateAngle(null, { x: 0, y: 0 }, { x: 1, y: 0 }), 0);
+  assert.equal(calculateAngle({ x: 0, y: 0 }, { x: 0, y: 0 }, { x: 1, y: 0 }), 0);
+  // A number where a point is expected (the old server.js spine check) must not produce an angle.
+  assert.equal(calculateAngle({ x: 0, y: -1 }, { x: 0, y: 0 }, 0.1), 0);
+});
+
+test('findKeypoint looks a keypoint up by name', () => {
+  const kps = keypoints({ nose: [1, 2], left_hip: [3, 4] });
+  assert.deepEqual(findKeypoint(kps, 'left_hip'), { name: 'left_hip', x: 3, y: 4, score: 0.9 });
+  assert.equal(findKeypoint(kps, 'right_hip'), null);
+});
+
+test('collectKeypoints keys keypoints by camelCase name', () => {
+  const kps = collectKeypoints(keypoints({ left_shoulder: [1, 2] }), ['left_shoulder', 'right_shoulder']);
+  assert.equal(kps.leftShoulder.x, 1);
+  assert.equal(kps.rightShoulder, null);
+  assert.equal(toCamelCase('right_ankle'), 'rightAnkle');
+});
+
+test('calculateDistance measures the distance between two points', () => {
+  assert.equal(calculateDistance({ x: 0, y: 0 }, { x: 3, y: 4 }), 5);
+});
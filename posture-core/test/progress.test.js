@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateGoals, evaluateGoal, summarizeProgress } = require('../utils/progress');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const GOALS = [
+  { id: 'desk', type: 'goodPosture', postureType: 'desk', percent: 80, hours: 4 },
+  { id: 'squats', type: 'cleanReps', postureType: 'squat', count: 50 },
+];
+
+// A day of summarizeDays output with the given desk time, good share and clean squats.
+function day(date, { deskHours = 0, goodShare = 1, cleanReps = 0, score = 90 } = {}) {
+  const evaluatedMs = deskHours * HOUR_MS;
+  return {
+    date,
+    sessions: 1,
+    evaluatedMs,
+    goodMs: evaluatedMs * goodShare,
+    score,
+    goodPosturePercent: goodShare * 100,
+    cleanRepCount: cleanReps,
+    exercises: {
+      desk: { evaluatedMs, goodMs: evaluatedMs * goodShare },
+      squat: { cleanRepCount: cleanReps },
+    },
+  };
+}
+
+const GOOD_DAY = { deskHours: 4, goodShare: 0.85, cleanReps: 50 };
+
+test('validateGoals rejects unknown types, exercises and out-of-range targets', () => {
+  assert.deepEqual(validateGoals(GOALS), GOALS);
+  assert.throws(() => validateGoals([{ id: 'a', type: 'steps', count: 1 }]), /type must be one of/);
+  assert.throws(() => validateGoals([{ id: 'a', type: 'cleanReps', postureType: 'handstand', count: 1 }]), /unknown exercise/);
+  assert.throws(() => validateGoals([{ id: 'a', type: 'goodPosture', postureType: 'desk', percent: 120, hours: 4 }]), /percent must be/);
+  assert.throws(() => validateGoals([GOALS[0], GOALS[0]]), /used twice/);
+  assert.throws(() => validateGoals({}), /must be a list/);
+});
+
+test('evaluateGoal reports progress towards desk time at a good-posture share and clean reps', () => {
+  const partly = day('2026-10-19', { deskHours: 2, goodShare: 0.8, cleanReps: 20 });
+  assert.deepEqual(evaluateGoal(GOALS[0], partly), { id: 'desk', met: false, progress: 0.5, value: { hours: 2, percent: 80 } });
+  assert.deepEqual(evaluateGoal(GOALS[1], partly), { id: 'squats', met: false, progress: 0.4, value: 20 });
+
+  const slouched = day('2026-10-19', { deskHours: 5, goodShare: 0.6 });
+  assert.equal(evaluateGoal(GOALS[0], slouched).met, false);
+  assert.equal(evaluateGoal(GOALS[0], slouched).progress, 0.75);
+  assert.equal(evaluateGoal(GOALS[0], day('2026-10-19', GOOD_DAY)).met, true);
+  assert.equal(evaluateGoal(GOALS[1], null).progress, 0);
+});
+
+test('streaks count consecutive days with every goal met', () => {
+  const progress = summarizeProgress([
+    day('2026-10-10', GOOD_DAY),
+    day('2026-10-11', GOOD_DAY),
+    day('2026-10-12', GOOD_DAY),
+    day('2026-10-13', { deskHours: 1 }),
+    day('2026-10-15', GOOD_DAY),
+    day('2026-10-16', GOOD_DAY),
+    day('2026-10-18', GOOD_DAY),
+  ], GOALS, { today: '2026-10-19' });
+
+  assert.deepEqual(progress.days.map(({ allGoalsMet }) => allGoalsMet), [true, true, true, false, true, true, true]);
+  // The gap on the 17th broke the run; the 18th still counts while the 19th is open.
+  assert.deepEqual(progress.streak, { current: 1, longest: 3 });
+  assert.deepEqual(progress.today.goals.map(({ met }) => met), [false, false]);
+});
+
+test('a streak survives today not being done yet, but not a missed yesterday', () => {
+  const days = [day('2026-10-17', GOOD_DAY), day('2026-10-18', GOOD_DAY), day('2026-10-19', { deskHours: 1 })];
+  assert.equal(summarizeProgress(days, GOALS, { today: '2026-10-19' }).streak.current, 2);
+  assert.equal(summarizeProgress(days, GOALS, { today: '2026-10-20' }).streak.current, 0);
+});
+
+test('badges record the day they were earned', () => {
+  const progress = summarizeProgress([
+    day('2026-10-01', { deskHours: 1 }),
+    day('2026-10-02', { ...GOOD_DAY, cleanReps: 60 }),
+    day('2026-10-03', GOOD_DAY),
+    day('2026-10-04', GOOD_DAY),
+  ], GOALS, { today: '2026-10-04' });
+  const earned = Object.fromEntries(progress.badges.map(({ id, earnedOn }) => [id, earnedOn]));
+
+  assert.equal(earned['first-session'], '2026-10-01');
+  assert.equal(earned['great-day'], '2026-10-01');
+  assert.equal(earned['goals-met'], '2026-10-02');
+  assert.equal(earned['clean-100'], '2026-10-03');
+  assert.equal(earned['streak-3'], '2026-10-04');
+  assert.equal(earned['streak-7'], null);
+  assert.equal(progress.streak.current, 3);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSquatRepCounter, kneeAngle, hipDepthRatio, classifyDepth } = require('../controllers/repCounter');
+const { legsWithKneeAngle, squatWithKneeAngle } = require('./helpers/keypoints');
+
+function feed(counter, angles, issues = []) {
+  let state;
+  angles.forEach((angle, index) => {
+    state = counter.update(squatWithKneeAngle(angle), issues, index * 100);
+  });
+  return state;
+}
+
+test('kneeAngle averages both legs', () => {
+  assert.equal(Math.round(kneeAngle(legsWithKneeAngle(120))), 120);
+  assert.equal(kneeAngle([]), null);
+});
+
+test('a full squat counts one rep that reached depth', () => {
+  const counter = createSquatRepCounter();
+  const state = feed(counter, [175, 140, 110, 90, 85, 95, 120, 150, 170]);
+
+  assert.equal(state.repCount, 1);
+  assert.equal(state.phase, 'standing');
+  assert.equal(state.lastRep.partial, false);
+  assert.equal(state.lastRep.minKneeAngle, 85);
+  assert.equal(state.lastRep.durationMs, 700);
+  assert.equal(state.lastRep.summary, 'Rep 1: depth OK');
+});
+
+test('turning around above depth counts a partial rep', () => {
+  const counter = createSquatRepCounter();
+  const state = feed(counter, [175, 140, 125, 120, 135, 165]);
+
+  assert.equal(state.repCount, 1);
+  assert.equal(state.lastRep.partial, true);
+  assert.equal(state.lastRep.summary, 'Rep 1: partial depth');
+});
+
+test('form issues at the bottom are attached to the rep, info issues are not', () => {
+  const counter = createSquatRepCounter();
+  feed(counter, [175, 140]);
+  counter.update(squatWithKneeAngle(90), [
+    { code: 'SQUAT_KNEE_VALGUS', label: 'Knees caving in', side: 'left', severity: 'warning' },
+    { code: 'INSUFFICIENT_KEYPOINTS', label: 'Body not fully visible', side: null, severity: 'info' },
+  ], 300);
+  const state = feed(counter, [110, 170]);
+
+  assert.deepEqual(state.lastRep.bottomIssues, [{ code: 'SQUAT_KNEE_VALGUS', label: 'Knees caving in', side: 'left' }]);
+  assert.equal(state.lastRep.summary, 'Rep 1: depth OK, Knees caving in at bottom');
+});
+
+test('only full-depth reps without form issues count as clean', () => {
+  const counter = createSquatRepCounter();
+  feed(counter, [175, 140, 110, 90, 85, 95, 120, 150, 170]);
+  feed(counter, [175, 140, 125, 120, 135, 165]);
+  feed(counter, [175, 140, 90, 120, 170], [{ code: 'SQUAT_KNEE_VALGUS', label: 'Knees caving in', side: 'left', severity: 'critical' }]);
+  const state = feed(counter, [175, 140, 90, 120, 170], [{ code: 'SQUAT_BACK_HUNCHED', label: 'Back hunched', severity: 'critical' }]);
+
+  assert.equal(state.repCount, 4);
+  assert.equal(state.cleanRepCount, 2);
+  assert.deepEqual(state.lastRep.issues, []);
+});
+
+// Feeds [timestamp, kneeAngle] samples of a side-view squat.
+function feedTimed(counter, samples) {
+  let state;
+  samples.forEach(([timestamp, angle]) => {
+    state = counter.update(squatWithKneeAngle(angle), [], timestamp);
+  });
+  return state;
+}
+
+const CONTROLLED_REP = [
+  [0, 175], [250, 145], [500, 120], [750, 100], [1000, 85], [1250, 80],
+  [1500, 80], [1750, 82], [2000, 100], [2250, 130], [2500, 165],
+];
+
+test('depth is classified from hip height relative to the knee', () => {
+  const depthAt = angle => {
+    const keypoints = squatWithKneeAngle(angle);
+    return classifyDepth(kneeAngle(keypoints), hipDepthRatio(keypoints));
+  };
+  assert.equal(depthAt(120), 'above_parallel');
+  assert.equal(depthAt(90), 'parallel');
+  assert.equal(depthAt(75), 'below_parallel');
+});
+
+test('reps report depth, tempo and time under tension', () => {
+  const state = feedTimed(createSquatRepCounter(), CONTROLLED_REP);
+  const rep = state.lastRep;
+
+  assert.equal(rep.depth, 'below_parallel');
+  assert.equal(rep.depthOk, true);
+  assert.deepEqual(rep.tempo, { eccentricMs: 750, pauseMs: 750, concentricMs: 750 });
+  assert.equal(rep.timeUnderTensionMs, 2250);
+  assert.equal(rep.bounce, false);
+  assert.equal(rep.tempoOk, null);
+  assert.equal(state.timeUnderTensionMs, 2250);
+});
+
+test('tempo and depth are checked against the session targets', () => {
+  const counter = createSquatRepCounter({ squat: { targetDepth: 2, eccentricSeconds: 3, concentricSeconds: 1 } });
+  const rep = feedTimed(counter, CONTROLLED_REP).lastRep;
+  assert.equal(rep.tempoOk, false);
+  assert.equal(rep.depthOk, true);
+
+  const toParallel = feedTimed(createSquatRepCounter({ squat: { targetDepth: 2 } }), [[0, 175], [250, 140], [500, 90], [750, 120], [1000, 170]]);
+  assert.equal(toParallel.lastRep.depthOk, false);
+  assert.equal(toParallel.lastRep.summary, 'Rep 1: partial depth');
+
+  const onTempo = createSquatRepCounter({ squat: { eccentricSeconds: 1, pauseSeconds: 1, concentricSeconds: 1 } });
+  assert.equal(feedTimed(onTempo, CONTROLLED_REP).lastRep.tempoOk, true);
+});
+
+test('dropping into the bottom and reversing at once is a bounce', () => {
+  const state = feedTimed(createSquatRepCounter(), [
+    [0, 175], [100, 140], [200, 100], [300, 80], [400, 100], [500, 140], [600, 170],
+  ]);
+  assert.equal(state.lastRep.bounce, true);
+  assert.equal(state.lastRep.tempo.pauseMs, 0);
+});
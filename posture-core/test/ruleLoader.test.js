@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { compileRules } = require('../exercises/ruleLoader');
+const { getExercise } = require('../exercises');
+const { evaluateExercise } = require('../controllers/postureController');
+const { collectKeypoints } = require('../utils/postureUtils');
+const { keypoints } = require('./helpers/keypoints');
+
+const definition = {
+  id: 'lunge',
+  label: 'Lunge',
+  checks: [
+    {
+      type: 'angle',
+      code: 'LUNGE_FRONT_KNEE',
+      points: ['left_hip', 'left_knee', 'left_ankle'],
+      min: 80,
+      tolerance: 10,
+      side: 'left',
+      message: 'Front knee angle {value} is too tight.',
+      cue: 'open the front knee',
+    },
+    { type: 'position', point: 'left_knee', reference: 'left_ankle', axis: 'x', relation: 'less', offset: 20, message: 'Knee past toes.' },
+  ],
+};
+
+test('compileRules derives keypoints, issue types and calibration support', () => {
+  const exercise = compileRules(definition);
+  assert.deepEqual(exercise.requiredKeypoints, ['left_hip', 'left_knee', 'left_ankle']);
+  assert.deepEqual(Object.keys(exercise.issueTypes), ['LUNGE_FRONT_KNEE', 'LUNGE_POSITION_2']);
+  assert.equal(exercise.issueTypes.LUNGE_POSITION_2.severity, 'warning');
+  assert.equal(exercise.issueTypes.LUNGE_FRONT_KNEE.cue, 'open the front knee');
+  assert.equal(exercise.issueTypes.LUNGE_POSITION_2.cue, 'Knee past toes.');
+  assert.equal(exercise.calibratable, true);
+});
+
+test('compiled checks report failing predicates with the measured value', () => {
+  const exercise = compileRules(definition);
+  const tight = keypoints({ left_hip: [0, 0], left_knee: [0, 100], left_ankle: [60, 20] });
+  const issues = evaluateExercise(exercise, tight, { view: { view: 'unknown' } });
+
+  assert.deepEqual(issues.map(issue => issue.code), ['LUNGE_FRONT_KNEE']);
+  assert.equal(issues[0].threshold, 80);
+  assert.match(issues[0].message, /^Front knee angle \d+ is too tight\.$/);
+  assert.deepEqual(issues[0].joints, ['left_hip', 'left_knee', 'left_ankle']);
+});
+
+test('tolerances move the bounds relative to a baseline', () => {
+  const exercise = compileRules(definition);
+  const right = keypoints({ left_hip: [0, 0], left_knee: [0, 100], left_ankle: [100, 100] });
+  const measurements = exercise.measure(collectKeypoints(right, exercise.requiredKeypoints));
+  assert.equal(Math.round(measurements['LUNGE_FRONT_KNEE.left']), 90);
+
+  const [issue] = evaluateExercise(exercise, right, { baseline: { 'LUNGE_FRONT_KNEE.left': 110 }, view: { view: 'unknown' } });
+  assert.equal(issue.code, 'LUNGE_FRONT_KNEE');
+  assert.equal(issue.threshold, 100);
+  assert.equal(issue.baseline, 110);
+});
+
+test('invalid rule definitions are rejected', () => {
+  assert.throws(() => compileRules({ id: 'x' }), /must declare an id and a checks array/);
+  assert.throws(() => compileRules({ id: 'x', checks: [{ type: 'speed', message: 'm' }] }), /Unknown rule type "speed"/);
+  assert.throws(() => compileRules({ id: 'x', checks: [{ type: 'angle', points: ['a', 'b', 'c'] }] }), /missing a message/);
+  assert.throws(
+    () => compileRules({ id: 'x', checks: [{ type: 'angle', points: ['left_hip', 'left_knee', 'left_heel'], message: 'm' }] }),
+    /uses keypoint "left_heel", which is not one of the 17 COCO keypoints/,
+  );
+});
+
+test('bundled rule files are registered', () => {
+  assert.equal(getExercise('plank').label, 'Plank');
+});
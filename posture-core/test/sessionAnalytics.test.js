@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTimelineSummary, summarizeTimeline, summarizeDays, isValidTimeZone } = require('../utils/sessionAnalytics');
+const { framePenalty, postureScore } = require('../utils/postureScore');
+
+const warning = (code) => ({ code, severity: 'warning' });
+
+test('summarizeTimeline splits evaluated time into good and bad posture', () => {
+  const summary = summarizeTimeline([
+    { timestamp: 0, issues: [] },
+    { timestamp: 1000, issues: [warning('DESK_SLOUCHING')] },
+    { timestamp: 2000, issues: [warning('DESK_SLOUCHING'), warning('DESK_NECK_FORWARD')] },
+    { timestamp: 3000, issues: [{ code: 'INSUFFICIENT_KEYPOINTS', severity: 'info' }] },
+    { timestamp: 10000, issues: [], repCount: 2 },
+  ]);
+
+  assert.equal(summary.frameCount, 5);
+  assert.equal(summary.evaluatedMs, 4000);
+  assert.equal(summary.goodMs, 2000);
+  assert.equal(summary.goodPosturePercent, 50);
+  assert.deepEqual(summary.issueCounts, { DESK_SLOUCHING: 2, DESK_NECK_FORWARD: 1 });
+  assert.equal(summary.mostFrequentIssue, 'DESK_SLOUCHING');
+  assert.equal(summary.repCount, 2);
+});
+
+test('an empty timeline has no percentage', () => {
+  const summary = summarizeTimeline([]);
+  assert.equal(summary.goodPosturePercent, null);
+  assert.equal(summary.startedAt, null);
+});
+
+test('a running timeline summary matches summarising the frames so far', () => {
+  const frames = [
+    { timestamp: 0, postureType: 'desk', issues: [], symmetry: { shoulderTilt: 2 } },
+    { timestamp: 1000, postureType: 'desk', issues: [warning('DESK_SLOUCHING')], symmetry: { shoulderTilt: -1 } },
+    { timestamp: 5000, postureType: 'squat', issues: [], repCount: 1, cleanRepCount: 1 },
+  ];
+  const running = createTimelineSummary();
+  frames.forEach((frame, index) => {
+    running.add(frame);
+    assert.deepEqual(running.summary(), summarizeTimeline(frames.slice(0, index + 1)));
+  });
+  // Reading the summary doesn't count the latest frame twice.
+  assert.deepEqual(running.summary(), running.summary());
+});
+
+test('framePenalty weighs issues by severity, up to a full penalty', () => {
+  assert.equal(framePenalty([]), 0);
+  assert.equal(framePenalty([warning('DESK_SLOUCHING'), warning('DESK_SLOUCHING')]), 0.5);
+  assert.equal(framePenalty([{ code: 'SQUAT_BACK_HUNCHED', severity: 'critical' }]), 1);
+  assert.equal(framePenalty([warning('A'), warning('B'), warning('C')]), 1);
+  assert.equal(postureScore(0, 0), null);
+});
+
+test('the posture score weighs issues by severity and duration', () => {
+  const summary = summarizeTimeline([
+    { timestamp: 0, postureType: 'desk', issues: [] },
+    { timestamp: 1000, postureType: 'desk', issues: [warning('DESK_SLOUCHING')] },
+    { timestamp: 3000, postureType: 'squat', issues: [{ code: 'SQUAT_BACK_HUNCHED', severity: 'critical' }], repCount: 1, cleanRepCount: 0 },
+    { timestamp: 4000, postureType: 'squat', issues: [], repCount: 2, cleanRepCount: 1 },
+  ]);
+
+  // 1s good, 2s at half penalty, 1s at full penalty, 1s good: 2s penalised out of 5s.
+  assert.equal(summary.penaltyMs, 2000);
+  assert.equal(summary.score, 60);
+  assert.equal(summary.cleanRepCount, 1);
+  assert.deepEqual(summary.exercises.desk, {
+    evaluatedMs: 3000, goodMs: 1000, penaltyMs: 1000, repCount: 0, cleanRepCount: 0, goodPosturePercent: 33.3, score: 67,
+  });
+  assert.equal(summary.exercises.squat.score, 50);
+  assert.equal(summary.exercises.squat.cleanRepCount, 1);
+});
+
+test('summarizeDays scores each day and exercise, and estimates summaries recorded before scoring', () => {
+  const day = Date.UTC(2026, 9, 19, 9);
+  const scored = summarizeTimeline([
+    { timestamp: day, postureType: 'desk', issues: [warning('DESK_SLOUCHING')] },
+    { timestamp: day + 1000, postureType: 'desk', issues: [] },
+  ]);
+  const legacy = { startedAt: day + 5000, evaluatedMs: 2000, goodMs: 1000, repCount: 3, issueCounts: {} };
+
+  const [summary] = summarizeDays([scored, legacy]);
+  assert.equal(summary.date, '2026-10-19');
+  assert.equal(summary.penaltyMs, 1500);
+  assert.equal(summary.score, 63);
+  assert.equal(summary.repCount, 3);
+  assert.equal(summary.exercises.desk.score, 75);
+});
+
+test('summarizeDays counts days in the given time zone', () => {
+  // 23:30 UTC is still the evening of the 19th in New York but already the 20th in Berlin.
+  const late = { startedAt: Date.UTC(2026, 9, 19, 23, 30), evaluatedMs: 1000, goodMs: 1000, issueCounts: {} };
+  assert.equal(summarizeDays([late])[0].date, '2026-10-19');
+  assert.equal(summarizeDays([late], { timeZone: 'America/New_York' })[0].date, '2026-10-19');
+  assert.equal(summarizeDays([late], { timeZone: 'Europe/Berlin' })[0].date, '2026-10-20');
+  assert.equal(isValidTimeZone('Europe/Berlin'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+});
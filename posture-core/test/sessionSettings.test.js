@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSessionSettings } = require('../utils/sessionSettings');
+const { createKeypointFilter } = require('../utils/keypointFilter');
+const { legsWithKneeAngle } = require('./helpers/keypoints');
+
+// Runs a few frames through the session's filter and returns the last filtered keypoints.
+function filterFrames(settings) {
+  const filter = createKeypointFilter(settings.filter);
+  let filtered;
+  [0, 33, 66].forEach((timestamp) => {
+    filtered = filter.apply(legsWithKneeAngle(170), timestamp);
+  });
+  return filtered;
+}
+
+test('an ema filter on the webcam preset uses the ema parameters', () => {
+  const settings = parseSessionSettings({ filter: 'ema' });
+  assert.deepEqual(settings.filter, { type: 'ema', alpha: 0.6, minScore: 0.3 });
+  assert.ok(filterFrames(settings).every(kp => Number.isFinite(kp.x) && Number.isFinite(kp.y)));
+  assert.equal(parseSessionSettings({ filter: 'ema', alpha: 0.3 }).filter.alpha, 0.3);
+});
+
+test('a One Euro filter on the video preset uses the One Euro parameters', () => {
+  const settings = parseSessionSettings({ preset: 'video', filter: 'oneEuro', beta: 0.5 });
+  assert.deepEqual(settings.filter, { type: 'oneEuro', minCutoff: 1.0, beta: 0.5, dCutoff: 1.0, minScore: 0.3 });
+  assert.ok(filterFrames(settings).every(kp => Number.isFinite(kp.x) && Number.isFinite(kp.y)));
+  assert.deepEqual(settings.debounce, parseSessionSettings({ preset: 'video' }).debounce);
+});
+
+test('a missing query gives the default settings', () => {
+  assert.deepEqual(parseSessionSettings(null), parseSessionSettings({}));
+  assert.equal(parseSessionSettings(undefined).preset, 'webcam');
+});
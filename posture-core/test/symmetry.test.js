@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { measureSymmetry, createSymmetryTrend } = require('../utils/symmetry');
+const { evaluatePosture } = require('../controllers/postureController');
+const { createAnalysisPipeline } = require('../controllers/analysisPipeline');
+const { parseSessionSettings } = require('../utils/sessionSettings');
+const { summarizeTimeline, summarizeDays } = require('../utils/sessionAnalytics');
+const { keypoints } = require('./helpers/keypoints');
+
+// Facing the camera, so the person's left is on the right of the image.
+function frontView({ leftShoulderY = 120, leftHipY = 250, hipShift = 0, leftKneeX = 375, leftEarY = 60 } = {}) {
+  return keypoints({
+    nose: [320, 70],
+    left_ear: [340, leftEarY], right_ear: [300, 60],
+    left_shoulder: [370, leftShoulderY], right_shoulder: [270, 120],
+    left_hip: [355 + hipShift, leftHipY], right_hip: [285 + hipShift, 250],
+    left_knee: [leftKneeX, 360], right_knee: [265, 360],
+    left_ankle: [370, 460], right_ankle: [270, 460],
+  });
+}
+
+const IMBALANCE = /_(TILT|DROP|SHIFT|ASYMMETRY)$/;
+const imbalances = issues => issues.filter(issue => IMBALANCE.test(issue.code));
+const codes = issues => imbalances(issues).map(issue => `${issue.code}:${issue.side}`);
+
+test('a level, centred stance is symmetric', () => {
+  assert.deepEqual(measureSymmetry(frontView()), {
+    shoulderTilt: 0,
+    hipDrop: 0,
+    hipShift: 0,
+    kneeDifference: null,
+    headTilt: 0,
+  });
+});
+
+test('measurements point at the person\'s left with positive values', () => {
+  const values = measureSymmetry(frontView({ leftShoulderY: 130, leftHipY: 240, hipShift: 14, leftEarY: 70 }));
+  assert.equal(Math.round(values.shoulderTilt), 6);
+  assert.equal(Math.round(values.hipDrop), -8);
+  assert.equal(values.hipShift, 0.2);
+  assert.equal(Math.round(values.headTilt), 14);
+});
+
+test('squat imbalances are reported as their own issues', () => {
+  const issues = evaluatePosture('squat', frontView({ leftShoulderY: 135, hipShift: -14 }));
+  assert.deepEqual(codes(issues), ['SQUAT_SHOULDER_TILT:left', 'SQUAT_HIP_SHIFT:right']);
+  const [, shift] = imbalances(issues);
+  assert.equal(shift.value, 0.2);
+  assert.equal(shift.threshold, 0.15);
+});
+
+test('uneven knee bends are compared only while squatting, from 3D keypoints', () => {
+  // Left leg straight, right knee bent forward towards the camera: the left knee is being spared.
+  const depth = { right_knee: -80 };
+  const bent = keypoints({
+    left_shoulder: [370, 120], right_shoulder: [270, 120],
+    left_hip: [355, 250], right_hip: [285, 250],
+    left_knee: [355, 350], right_knee: [285, 350],
+    left_ankle: [355, 450], right_ankle: [285, 450],
+  }).map(kp => ({ ...kp, z: depth[kp.name] || 0 }));
+  const [issue] = evaluatePosture('squat', bent).filter(({ code }) => code === 'SQUAT_KNEE_ASYMMETRY');
+  assert.equal(issue.side, 'left');
+  assert.ok(issue.value > 40);
+  assert.equal(measureSymmetry(frontView()).kneeDifference, null);
+
+  // In 2D a knee caving in looks like a bend; it is only reported as valgus.
+  const caving = evaluatePosture('squat', frontView({ leftKneeX: 320 }));
+  assert.ok(caving.some(({ code }) => code === 'SQUAT_KNEE_VALGUS'));
+  assert.equal(measureSymmetry(frontView({ leftKneeX: 320 })).kneeDifference, null);
+});
+
+test('desk mode reports head and shoulder tilt', () => {
+  const issues = evaluatePosture('desk', frontView({ leftEarY: 70, leftShoulderY: 108 }));
+  assert.deepEqual(codes(issues), ['DESK_SHOULDER_TILT:right', 'DESK_HEAD_TILT:left']);
+});
+
+test('the imbalance trend averages each metric per minute', () => {
+  const trend = createSymmetryTrend({ startedAt: 0 });
+  trend.add({ shoulderTilt: 2, headTilt: null }, 0);
+  trend.add({ shoulderTilt: -4 }, 30000);
+  trend.add({ shoulderTilt: 6 }, 90000);
+  assert.deepEqual(trend.summary(), {
+    shoulderTilt: {
+      samples: 3,
+      mean: 1.33,
+      meanAbs: 4,
+      trend: [{ elapsedMs: 0, mean: -1, samples: 2 }, { elapsedMs: 60000, mean: 6, samples: 1 }],
+    },
+  });
+});
+
+test('the pipeline reports symmetry from the front with session means', () => {
+  const pipeline = createAnalysisPipeline(parseSessionSettings({ preset: 'raw' }));
+  pipeline.processFrame({ keypoints: frontView({ leftShoulderY: 130 }), postureType: 'squat', timestamp: 0 });
+  const { symmetry } = pipeline.processFrame({ keypoints: frontView({ leftShoulderY: 110 }), postureType: 'squat', timestamp: 100 });
+  assert.equal(Math.round(symmetry.values.shoulderTilt), -6);
+  assert.equal(symmetry.session.shoulderTilt.samples, 2);
+  assert.equal(symmetry.session.shoulderTilt.mean, 0);
+  assert.equal(symmetry.session.shoulderTilt.trend, undefined);
+  assert.deepEqual(Object.keys(symmetry.values), ['shoulderTilt', 'hipDrop', 'hipShift', 'kneeDifference']);
+});
+
+test('session and daily summaries carry the imbalance', () => {
+  const summary = summarizeTimeline([
+    { timestamp: Date.UTC(2026, 0, 5), issues: [], symmetry: { hipDrop: 4 } },
+    { timestamp: Date.UTC(2026, 0, 5) + 1000, issues: [], symmetry: { hipDrop: 2 } },
+  ]);
+  assert.deepEqual(summary.symmetry.hipDrop, { samples: 2, mean: 3, meanAbs: 3, trend: [{ elapsedMs: 0, mean: 3, samples: 2 }] });
+
+  const other = { ...summary, symmetry: { hipDrop: { samples: 1, mean: -3, meanAbs: 3 } } };
+  const [day] = summarizeDays([summary, other]);
+  assert.deepEqual(day.symmetry, { hipDrop: { samples: 3, mean: 1, meanAbs: 3 } });
+});
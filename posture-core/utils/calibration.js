@@ -0,0 +1,29 @@
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Median of each named measurement over the calibration samples.
+function computeBaseline(samples) {
+  const keys = [...new Set(samples.flatMap(sample => Object.keys(sample)))];
+  return keys.reduce((baseline, key) => {
+    const values = samples.map(sample => sample[key]).filter(Number.isFinite);
+    if (values.length > 0) baseline[key] = Math.round(median(values) * 10) / 10;
+    return baseline;
+  }, {});
+}
+
+// Lowest acceptable value: `tolerance` below the user's calibrated value, or the fixed default.
+function calibratedMinimum(baseline, key, fixedThreshold, tolerance) {
+  if (!baseline || !Number.isFinite(baseline[key])) return fixedThreshold;
+  return baseline[key] - tolerance;
+}
+
+// Highest acceptable value: `tolerance` above the user's calibrated value, or the fixed default.
+function calibratedMaximum(baseline, key, fixedThreshold, tolerance) {
+  if (!baseline || !Number.isFinite(baseline[key])) return fixedThreshold;
+  return baseline[key] + tolerance;
+}
+
+module.exports = { median, computeBaseline, calibratedMinimum, calibratedMaximum };
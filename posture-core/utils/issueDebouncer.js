@@ -0,0 +1,47 @@
+function issueKey(issue) {
+  return `${issue.code}:${issue.side || ''}`;
+}
+
+/*
+ * Hysteresis for per-frame issues: an issue is raised only after `raiseAfter`
+ * consecutive frames report it, and cleared only after `clearAfter` consecutive
+ * frames don't. While active, the most recent measurement of the issue is kept.
+ * 'info' issues (e.g. missing keypoints) are status, not verdicts, and pass straight through.
+ */
+function createIssueDebouncer({ raiseAfter = 3, clearAfter = 5 } = {}) {
+  const states = new Map();
+
+  function update(issues) {
+    const seen = new Set();
+
+    issues.forEach(issue => {
+      if (issue.severity === 'info') return;
+      const key = issueKey(issue);
+      seen.add(key);
+      const state = states.get(key) || { active: false, badFrames: 0, goodFrames: 0 };
+      state.badFrames += 1;
+      state.goodFrames = 0;
+      state.issue = issue;
+      if (state.badFrames >= raiseAfter) state.active = true;
+      states.set(key, state);
+    });
+
+    states.forEach((state, key) => {
+      if (seen.has(key)) return;
+      state.goodFrames += 1;
+      state.badFrames = 0;
+      if (!state.active || state.goodFrames >= clearAfter) states.delete(key);
+    });
+
+    const active = [...states.values()].filter(state => state.active).map(state => state.issue);
+    return [...issues.filter(issue => issue.severity === 'info'), ...active];
+  }
+
+  function reset() {
+    states.clear();
+  }
+
+  return { update, reset };
+}
+
+module.exports = { createIssueDebouncer };
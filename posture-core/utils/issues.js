@@ -0,0 +1,62 @@
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// Issue types that aren't tied to a particular exercise.
+const COMMON_ISSUE_TYPES = {
+  INSUFFICIENT_KEYPOINTS: { severity: 'info', label: 'body not fully visible' },
+  UNKNOWN_POSTURE_TYPE: { severity: 'info', label: 'unknown posture type' },
+};
+
+/*
+ * Normalizes what a check returns into the issue shape sent to clients:
+ * { code, severity, label, side, value, threshold, message } plus `values`
+ * ({ left, right }) when the check measured both sides, `baseline` when the
+ * threshold came from the user's calibration, and `joints` (keypoint names) when
+ * the check knows which joints are at fault.
+ */
+function createIssue(issueTypes, { code, side = null, value = null, values, threshold = null, baseline, joints, message }) {
+  const type = issueTypes[code] || COMMON_ISSUE_TYPES[code] || {};
+  const issue = {
+    code,
+    severity: SEVERITIES.includes(type.severity) ? type.severity : 'warning',
+    label: type.label || code.toLowerCase().replace(/_/g, ' '),
+    side,
+    value: value != null ? Math.round(value * 100) / 100 : null,
+    threshold,
+    message,
+  };
+  if (values) issue.values = values;
+  if (baseline != null) issue.baseline = baseline;
+  if (joints && joints.length > 0) issue.joints = joints;
+  return issue;
+}
+
+// Keypoint names for body parts on one side, or both: sideJoints('both', ['hip', 'knee']).
+function sideJoints(side, parts) {
+  const sides = side === 'both' ? ['left', 'right'] : [side];
+  return sides.flatMap(prefix => parts.map(part => `${prefix}_${part}`));
+}
+
+/*
+ * Compares left/right measurements against per-side minimums. Returns the
+ * failing side ('left', 'right' or 'both') with the value and threshold of the
+ * side that falls furthest short (`worstSide`), or null when both sides pass.
+ */
+function belowThreshold(values, thresholds) {
+  const shortfall = {
+    left: thresholds.left - values.left,
+    right: thresholds.right - values.right,
+  };
+  const leftFails = shortfall.left > 0;
+  const rightFails = shortfall.right > 0;
+  if (!leftFails && !rightFails) return null;
+
+  const worst = shortfall.left >= shortfall.right ? 'left' : 'right';
+  return {
+    side: leftFails && rightFails ? 'both' : (leftFails ? 'left' : 'right'),
+    worstSide: worst,
+    value: values[worst],
+    threshold: Math.round(thresholds[worst] * 10) / 10,
+  };
+}
+
+module.exports = { SEVERITIES, COMMON_ISSUE_TYPES, createIssue, belowThreshold, sideJoints };
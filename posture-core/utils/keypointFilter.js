@@ -0,0 +1,102 @@
+/*
+ * Per-keypoint temporal filters applied before evaluation so that MoveNet
+ * jitter doesn't flip verdicts frame to frame.
+ *
+ * - 'oneEuro': One Euro filter (Casiez et al.) - smooth at rest, responsive when moving.
+ * - 'ema': exponential moving average whose weight scales with keypoint score.
+ * - 'none': keypoints pass through unchanged.
+ *
+ * Keypoints scoring below `minScore` don't update the filter; the last
+ * filtered position is reported with the new (low) score instead.
+ */
+
+const DEFAULT_FRAME_SECONDS = 1 / 30;
+
+function smoothingFactor(elapsedSeconds, cutoff) {
+  const r = 2 * Math.PI * cutoff * elapsedSeconds;
+  return r / (r + 1);
+}
+
+function createOneEuroAxis({ minCutoff, beta, dCutoff }) {
+  let previous = null;
+
+  return (value, elapsedSeconds) => {
+    if (previous === null) {
+      previous = { value, derivative: 0 };
+      return value;
+    }
+
+    const derivative = (value - previous.value) / elapsedSeconds;
+    const dAlpha = smoothingFactor(elapsedSeconds, dCutoff);
+    const smoothedDerivative = dAlpha * derivative + (1 - dAlpha) * previous.derivative;
+
+    const cutoff = minCutoff + beta * Math.abs(smoothedDerivative);
+    const alpha = smoothingFactor(elapsedSeconds, cutoff);
+    const smoothed = alpha * value + (1 - alpha) * previous.value;
+
+    previous = { value: smoothed, derivative: smoothedDerivative };
+    return smoothed;
+  };
+}
+
+function createEmaAxis({ alpha }) {
+  let previous = null;
+
+  return (value, elapsedSeconds, score) => {
+    if (previous === null) {
+      previous = value;
+      return value;
+    }
+    const weight = Math.min(1, Math.max(0, alpha * score));
+    previous = weight * value + (1 - weight) * previous;
+    return previous;
+  };
+}
+
+const AXIS_FILTERS = {
+  oneEuro: createOneEuroAxis,
+  ema: createEmaAxis,
+};
+
+function createKeypointFilter(options = {}) {
+  const { type = 'oneEuro', minScore = 0.3, resetAfterMs = 1000 } = options;
+  const createAxis = AXIS_FILTERS[type];
+  const tracks = new Map();
+
+  function filterKeypoint(kp, timestamp) {
+    let track = tracks.get(kp.name);
+    if (!track || timestamp - track.timestamp > resetAfterMs) {
+      track = { x: createAxis(options), y: createAxis(options), z: createAxis(options), timestamp: null, last: null };
+      tracks.set(kp.name, track);
+    }
+
+    if (kp.score < minScore) {
+      return track.last ? { ...kp, ...track.last } : kp;
+    }
+
+    const elapsedSeconds = track.timestamp === null || timestamp <= track.timestamp
+      ? DEFAULT_FRAME_SECONDS
+      : (timestamp - track.timestamp) / 1000;
+
+    const x = track.x(kp.x, elapsedSeconds, kp.score);
+    const y = track.y(kp.y, elapsedSeconds, kp.score);
+    track.timestamp = timestamp;
+    track.last = { x, y };
+    // Depth, when the model gives it, is smoothed like the other axes.
+    if (typeof kp.z === 'number') track.last.z = track.z(kp.z, elapsedSeconds, kp.score);
+    return { ...kp, ...track.last };
+  }
+
+  function apply(keypoints, timestamp = Date.now()) {
+    if (!createAxis) return keypoints;
+    return keypoints.map(kp => filterKeypoint(kp, timestamp));
+  }
+
+  function reset() {
+    tracks.clear();
+  }
+
+  return { apply, reset };
+}
+
+module.exports = { createKeypointFilter };
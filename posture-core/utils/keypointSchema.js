@@ -0,0 +1,110 @@
+/*
+ * Input adapter between pose models and the evaluators.
+ *
+ * Every evaluator reads the canonical skeleton: the 17 COCO keypoints, named as
+ * MoveNet names them, in pixel coordinates, with `z` depth (same scale as x) when
+ * the model provides it. `adaptKeypoints` converts what a model produced into it:
+ *
+ * - schema 'coco17' (MoveNet) or 'blazepose33' (BlazePose), detected from the
+ *   names or, for unnamed keypoints, from the count when not declared;
+ * - coordinates 'pixels' (the default) or 'normalized' (0-1), the latter scaled
+ *   by the declared `frameSize` ({ width, height } of the image);
+ * - `score`, or MediaPipe's `visibility` when there is no score.
+ *
+ * Keypoints outside the canonical skeleton (BlazePose's hands and feet) are dropped.
+ */
+
+const CANONICAL_KEYPOINTS = [
+  'nose',
+  'left_eye', 'right_eye',
+  'left_ear', 'right_ear',
+  'left_shoulder', 'right_shoulder',
+  'left_elbow', 'right_elbow',
+  'left_wrist', 'right_wrist',
+  'left_hip', 'right_hip',
+  'left_knee', 'right_knee',
+  'left_ankle', 'right_ankle',
+];
+
+const BLAZEPOSE_KEYPOINTS = [
+  'nose',
+  'left_eye_inner', 'left_eye', 'left_eye_outer',
+  'right_eye_inner', 'right_eye', 'right_eye_outer',
+  'left_ear', 'right_ear',
+  'mouth_left', 'mouth_right',
+  'left_shoulder', 'right_shoulder',
+  'left_elbow', 'right_elbow',
+  'left_wrist', 'right_wrist',
+  'left_pinky', 'right_pinky',
+  'left_index', 'right_index',
+  'left_thumb', 'right_thumb',
+  'left_hip', 'right_hip',
+  'left_knee', 'right_knee',
+  'left_ankle', 'right_ankle',
+  'left_heel', 'right_heel',
+  'left_foot_index', 'right_foot_index',
+];
+
+// Keypoint names in each schema's output order, for models that send unnamed keypoints.
+const KEYPOINT_SCHEMAS = {
+  coco17: CANONICAL_KEYPOINTS,
+  blazepose33: BLAZEPOSE_KEYPOINTS,
+};
+
+const COORDINATE_SYSTEMS = ['pixels', 'normalized'];
+
+const CANONICAL = new Set(CANONICAL_KEYPOINTS);
+const BLAZEPOSE_ONLY = new Set(BLAZEPOSE_KEYPOINTS.filter(name => !CANONICAL.has(name)));
+
+function detectSchema(keypoints) {
+  if (keypoints.some(kp => kp && kp.name != null)) {
+    return keypoints.some(kp => kp && BLAZEPOSE_ONLY.has(kp.name)) ? 'blazepose33' : 'coco17';
+  }
+  return Object.keys(KEYPOINT_SCHEMAS).find(schema => KEYPOINT_SCHEMAS[schema].length === keypoints.length) || null;
+}
+
+// The first problem with adapter options, as a message, or null if they are usable.
+function schemaOptionsProblem({ schema, coordinates = 'pixels', frameSize } = {}) {
+  if (schema != null && !KEYPOINT_SCHEMAS[schema]) {
+    return `schema must be one of ${Object.keys(KEYPOINT_SCHEMAS).join(', ')}`;
+  }
+  if (!COORDINATE_SYSTEMS.includes(coordinates)) {
+    return `coordinates must be one of ${COORDINATE_SYSTEMS.join(', ')}`;
+  }
+  if (coordinates === 'normalized' && !(frameSize && frameSize.width > 0 && frameSize.height > 0)) {
+    return 'normalized coordinates need a frameSize with the image width and height';
+  }
+  return null;
+}
+
+/*
+ * Converts one person's keypoints into the canonical skeleton (see above).
+ * Throws if the options are invalid or the schema can't be told from the keypoints.
+ */
+function adaptKeypoints(keypoints, options = {}) {
+  const problem = schemaOptionsProblem(options);
+  if (problem) throw new Error(problem);
+
+  const schema = options.schema || detectSchema(keypoints);
+  if (!schema) {
+    throw new Error(`Unnamed keypoints must come in a known schema's count (${Object.values(KEYPOINT_SCHEMAS).map(names => names.length).join(' or ')})`);
+  }
+  const names = KEYPOINT_SCHEMAS[schema];
+  const [scaleX, scaleY] = options.coordinates === 'normalized'
+    ? [options.frameSize.width, options.frameSize.height]
+    : [1, 1];
+
+  const byName = new Map();
+  keypoints.forEach((kp, index) => {
+    const name = kp.name != null ? kp.name : names[index];
+    if (!CANONICAL.has(name) || byName.has(name)) return;
+    const adapted = { name, x: kp.x * scaleX, y: kp.y * scaleY, score: kp.score != null ? kp.score : kp.visibility };
+    // MediaPipe's depth is on the same scale as x.
+    if (typeof kp.z === 'number') adapted.z = kp.z * scaleX;
+    byName.set(name, adapted);
+  });
+
+  return CANONICAL_KEYPOINTS.filter(name => byName.has(name)).map(name => byName.get(name));
+}
+
+module.exports = { CANONICAL_KEYPOINTS, KEYPOINT_SCHEMAS, COORDINATE_SYSTEMS, detectSchema, schemaOptionsProblem, adaptKeypoints };
@@ -0,0 +1,26 @@
+/*
+ * The 0-100 posture score of a stretch of evaluated time. Each frame is
+ * penalised by the severity of its form issues (see SEVERITY_WEIGHTS; several
+ * issues add up, to at most a full penalty) for as long as the frame lasts, so
+ * a brief critical issue costs less than a long mild one. The score is 100
+ * minus the penalised share of the time.
+ */
+const SEVERITY_WEIGHTS = { info: 0, warning: 0.5, critical: 1 };
+
+// Penalty of one frame's issues, 0-1. Each issue code counts once.
+function framePenalty(issues = []) {
+  const weights = new Map();
+  issues.forEach(({ code, severity }) => {
+    const weight = SEVERITY_WEIGHTS[severity] !== undefined ? SEVERITY_WEIGHTS[severity] : SEVERITY_WEIGHTS.warning;
+    weights.set(code, Math.max(weights.get(code) || 0, weight));
+  });
+  return Math.min(1, [...weights.values()].reduce((sum, weight) => sum + weight, 0));
+}
+
+// The score for `penaltyMs` of penalised time out of `evaluatedMs`, or null with no evaluated time.
+function postureScore(evaluatedMs, penaltyMs) {
+  if (!(evaluatedMs > 0)) return null;
+  return Math.round(Math.max(0, 100 * (1 - penaltyMs / evaluatedMs)));
+}
+
+module.exports = { SEVERITY_WEIGHTS, framePenalty, postureScore };
@@ -0,0 +1,46 @@
+function findKeypoint(keypoints, name) {
+  return keypoints.find(kp => kp.name === name) || null;
+}
+
+function hasDepth(point) {
+  return typeof point.z === 'number' && Number.isFinite(point.z);
+}
+
+// The angle at p2 in degrees. In 3D when all three points have `z` depth
+// (e.g. BlazePose), otherwise in the image plane.
+function calculateAngle(p1, p2, p3) {
+  if (!p1 || !p2 || !p3 || p1.x == null || p1.y == null || p2.x == null || p2.y == null || p3.x == null || p3.y == null) return 0;
+
+  const depth = hasDepth(p1) && hasDepth(p2) && hasDepth(p3);
+  const v1 = { x: p1.x - p2.x, y: p1.y - p2.y, z: depth ? p1.z - p2.z : 0 };
+  const v2 = { x: p3.x - p2.x, y: p3.y - p2.y, z: depth ? p3.z - p2.z : 0 };
+
+  const dotProduct = v1.x * v2.x + v1.y * v2.y + v1.z * v2.z;
+  const magnitude1 = Math.hypot(v1.x, v1.y, v1.z);
+  const magnitude2 = Math.hypot(v2.x, v2.y, v2.z);
+
+  if (magnitude1 === 0 || magnitude2 === 0) return 0;
+
+  const angleRad = Math.acos(Math.min(Math.max(dotProduct / (magnitude1 * magnitude2), -1), 1));
+  return angleRad * (180 / Math.PI);
+}
+
+function calculateDistance(p1, p2) {
+  if (!p1 || !p2) return 0;
+  return Math.hypot(p1.x - p2.x, p1.y - p2.y);
+}
+
+// 'left_shoulder' -> 'leftShoulder'
+function toCamelCase(name) {
+  return name.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+// Looks up each named keypoint and returns them keyed by camelCase name.
+function collectKeypoints(keypoints, names) {
+  return names.reduce((kps, name) => {
+    kps[toCamelCase(name)] = findKeypoint(keypoints, name);
+    return kps;
+  }, {});
+}
+
+module.exports = { findKeypoint, hasDepth, calculateAngle, calculateDistance, toCamelCase, collectKeypoints };
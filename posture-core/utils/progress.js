@@ -0,0 +1,170 @@
+const { getExercise } = require('../exercises');
+const { dayKey } = require('./sessionAnalytics');
+
+/*
+ * Daily goals, streaks and badges, computed from the per-day totals of
+ * summarizeDays. Goal types:
+ * - goodPosture { postureType, percent, hours }: at least `hours` of evaluated
+ *   time in that exercise with at least `percent` of it in good posture;
+ * - cleanReps { postureType, count }: that many full-depth reps without form issues;
+ * - score { score, minutes }: a posture score of at least `score` over at least
+ *   `minutes` of evaluated time in any exercise.
+ * Every goal has an `id`, unique in its list.
+ */
+const GOAL_TYPES = {
+  goodPosture: { percent: [1, 100], hours: [0.1, 24] },
+  cleanReps: { count: [1, 10000] },
+  score: { score: [1, 100], minutes: [1, 1440] },
+};
+
+const MAX_GOALS = 10;
+const GOAL_ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+const DEFAULT_GOALS = [
+  { id: 'desk-good-posture', type: 'goodPosture', postureType: 'desk', percent: 80, hours: 4 },
+  { id: 'clean-squats', type: 'cleanReps', postureType: 'squat', count: 50 },
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Checks a list of goals and returns it; throws on the first problem.
+function validateGoals(goals) {
+  if (!Array.isArray(goals) || goals.length > MAX_GOALS) throw new Error(`goals must be a list of at most ${MAX_GOALS} goals`);
+  const ids = new Set();
+  goals.forEach((goal, index) => {
+    if (!goal || typeof goal !== 'object') throw new Error(`goals[${index}] must be an object`);
+    const { id, type, postureType } = goal;
+    if (typeof id !== 'string' || !GOAL_ID_PATTERN.test(id)) throw new Error(`goals[${index}].id must be 1-40 letters, digits, "-" or "_"`);
+    if (ids.has(id)) throw new Error(`goals[${index}].id ${id} is used twice`);
+    ids.add(id);
+    if (!GOAL_TYPES[type]) throw new Error(`goals[${index}].type must be one of ${Object.keys(GOAL_TYPES).join(', ')}`);
+    if (type !== 'score' && !getExercise(postureType)) throw new Error(`goals[${index}].postureType: unknown exercise ${postureType}`);
+    Object.entries(GOAL_TYPES[type]).forEach(([key, [min, max]]) => {
+      if (!Number.isFinite(goal[key]) || goal[key] < min || goal[key] > max) {
+        throw new Error(`goals[${index}].${key} must be a number from ${min} to ${max}`);
+      }
+    });
+  });
+  return goals;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Share of a goal reached, 0-1, in hundredths.
+function fraction(value) {
+  return Math.round(Math.min(1, value) * 100) / 100;
+}
+
+/*
+ * How far a day got towards a goal: { id, met, progress (0-1), value } where
+ * `value` is what the goal measures ({ hours, percent }, the clean rep count or
+ * { score, minutes }).
+ */
+function evaluateGoal(goal, day) {
+  const exercise = (day && day.exercises && day.exercises[goal.postureType]) || {};
+  if (goal.type === 'goodPosture') {
+    const hours = (exercise.evaluatedMs || 0) / HOUR_MS;
+    const percent = exercise.evaluatedMs > 0 ? (exercise.goodMs / exercise.evaluatedMs) * 100 : 0;
+    const progress = Math.min(1, hours / goal.hours) * Math.min(1, percent / goal.percent);
+    return { id: goal.id, met: hours >= goal.hours && percent >= goal.percent, progress: fraction(progress), value: { hours: round(hours), percent: round(percent) } };
+  }
+  if (goal.type === 'cleanReps') {
+    const count = exercise.cleanRepCount || 0;
+    return { id: goal.id, met: count >= goal.count, progress: fraction(count / goal.count), value: count };
+  }
+  const minutes = ((day && day.evaluatedMs) || 0) / 60000;
+  const score = day && day.score != null ? day.score : 0;
+  const progress = Math.min(1, minutes / goal.minutes) * Math.min(1, score / goal.score);
+  return { id: goal.id, met: minutes >= goal.minutes && score >= goal.score, progress: fraction(progress), value: { score, minutes: Math.round(minutes) } };
+}
+
+function nextDate(date) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10);
+}
+
+/*
+ * Badges, in the order they are shown. `earned` sees the running totals up to
+ * and including a day: { day, streak, sessions, cleanReps, goodHours }.
+ */
+const BADGES = [
+  { id: 'first-session', label: 'First session', description: 'Record your first session', earned: ({ sessions }) => sessions >= 1 },
+  { id: 'goals-met', label: 'Goal getter', description: 'Meet all your daily goals', earned: ({ streak }) => streak >= 1 },
+  { id: 'streak-3', label: 'Three in a row', description: 'Meet all your goals 3 days in a row', earned: ({ streak }) => streak >= 3 },
+  { id: 'streak-7', label: 'Full week', description: 'Meet all your goals 7 days in a row', earned: ({ streak }) => streak >= 7 },
+  { id: 'streak-30', label: 'Habit formed', description: 'Meet all your goals 30 days in a row', earned: ({ streak }) => streak >= 30 },
+  {
+    id: 'great-day',
+    label: 'Great day',
+    description: 'Score 90 or more over at least an hour in one day',
+    earned: ({ day }) => day.score >= 90 && day.evaluatedMs >= HOUR_MS,
+  },
+  { id: 'clean-100', label: 'Clean hundred', description: 'Do 100 clean reps', earned: ({ cleanReps }) => cleanReps >= 100 },
+  { id: 'clean-1000', label: 'Clean thousand', description: 'Do 1000 clean reps', earned: ({ cleanReps }) => cleanReps >= 1000 },
+  { id: 'good-hours-10', label: 'Ten good hours', description: 'Spend 10 hours in good posture', earned: ({ goodHours }) => goodHours >= 10 },
+];
+
+/*
+ * Progress over the per-day totals of summarizeDays (oldest first):
+ * - days: each day's date, score, good-posture share and goal results, with
+ *   `allGoalsMet`;
+ * - streak: { current, longest } runs of consecutive days with every goal met.
+ *   The current streak still counts until `today` ends without its goals met;
+ * - today: the goal results so far today, with or without a session;
+ * - badges: every badge with the date it was `earnedOn`, or null.
+ * `today` defaults to the current date in `timeZone`, which should be the one the days were summarized in.
+ */
+function summarizeProgress(days, goals = DEFAULT_GOALS, { timeZone = 'UTC', today = dayKey(Date.now(), timeZone) } = {}) {
+  const totals = { streak: 0, sessions: 0, cleanReps: 0, goodHours: 0 };
+  const earnedOn = {};
+  let longest = 0;
+  // The last day with every goal met, if the streak hasn't been broken since.
+  let lastMet = null;
+
+  const results = days.map((day) => {
+    const goalResults = goals.map(goal => evaluateGoal(goal, day));
+    const allGoalsMet = goals.length > 0 && goalResults.every(result => result.met);
+    if (allGoalsMet) {
+      const consecutive = lastMet !== null && nextDate(lastMet.date) === day.date;
+      lastMet = { date: day.date, streak: (consecutive ? lastMet.streak : 0) + 1 };
+      longest = Math.max(longest, lastMet.streak);
+    } else if (day.date !== today) {
+      lastMet = null;
+    }
+    totals.streak = allGoalsMet ? lastMet.streak : 0;
+
+    totals.sessions += day.sessions || 0;
+    totals.cleanReps += day.cleanRepCount || 0;
+    totals.goodHours += (day.goodMs || 0) / HOUR_MS;
+    BADGES.forEach((badge) => {
+      if (!earnedOn[badge.id] && badge.earned({ ...totals, day })) earnedOn[badge.id] = day.date;
+    });
+
+    return {
+      date: day.date,
+      sessions: day.sessions,
+      evaluatedMs: day.evaluatedMs,
+      score: day.score,
+      goodPosturePercent: day.goodPosturePercent,
+      goals: goalResults,
+      allGoalsMet,
+    };
+  });
+
+  // The streak is current if it runs up to today, or to yesterday while today is still open.
+  const current = lastMet !== null && (lastMet.date === today || nextDate(lastMet.date) === today) ? lastMet.streak : 0;
+
+  const todayTotals = days.find(day => day.date === today) || null;
+
+  return {
+    goals,
+    days: results,
+    today: { date: today, goals: goals.map(goal => evaluateGoal(goal, todayTotals)) },
+    streak: { current, longest },
+    badges: BADGES.map(({ id, label, description }) => ({ id, label, description, earnedOn: earnedOn[id] || null })),
+  };
+}
+
+module.exports = { GOAL_TYPES, DEFAULT_GOALS, BADGES, validateGoals, evaluateGoal, summarizeProgress };
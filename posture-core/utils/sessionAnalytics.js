@@ -0,0 +1,198 @@
+const { createSymmetryTrend } = require('./symmetry');
+const { framePenalty, postureScore } = require('./postureScore');
+
+// Frames further apart than this are treated as a pause, not time spent in one posture.
+const MAX_FRAME_GAP_MS = 2000;
+const DEFAULT_FRAME_MS = 1000;
+
+function isFormIssue(issue) {
+  return issue.severity !== 'info';
+}
+
+function percent(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+// Time and rep totals, overall and per exercise.
+function createTotals() {
+  return { evaluatedMs: 0, goodMs: 0, penaltyMs: 0, repCount: 0, cleanRepCount: 0 };
+}
+
+function withScores(totals) {
+  return { ...totals, goodPosturePercent: percent(totals.goodMs, totals.evaluatedMs), score: postureScore(totals.evaluatedMs, totals.penaltyMs) };
+}
+
+// Time attributed to each frame: until the next frame, capped at MAX_FRAME_GAP_MS.
+function frameDurations(frames) {
+  return frames.map((frame, index) => {
+    const next = frames[index + 1];
+    if (!next) return Math.min(DEFAULT_FRAME_MS, MAX_FRAME_GAP_MS);
+    return Math.max(0, Math.min(next.timestamp - frame.timestamp, MAX_FRAME_GAP_MS));
+  });
+}
+
+/*
+ * Aggregates a recorded timeline: share of evaluated time in good posture, the
+ * posture score (see postureScore), how often each issue code occurred, the
+ * highest rep and clean rep counts seen and, for frames with `symmetry`
+ * measurements, the session's left/right imbalance trend. `exercises` holds the
+ * same time and rep totals per `postureType`.
+ * Frames with only 'info' issues (e.g. body not visible) aren't evaluated time.
+ *
+ * Frames are added one at a time, in order, so a recording can be summarised as it
+ * goes; `summary()` can be read at any point. A frame's time is only known once the
+ * next one arrives, so the latest frame counts as DEFAULT_FRAME_MS until then.
+ */
+function createTimelineSummary() {
+  let frameCount = 0;
+  let startedAt = null;
+  let endedAt = null;
+  let symmetry = createSymmetryTrend();
+  const issueCounts = {};
+  const totals = createTotals();
+  const exercises = {};
+  // The latest frame, whose time is added once the next frame arrives.
+  let pending = null;
+
+  // The overall totals and the frame's exercise totals, from `overall` and `perExercise`.
+  function targetsOf(frame, overall, perExercise) {
+    return frame.postureType ? [overall, perExercise[frame.postureType]] : [overall];
+  }
+
+  function addTime(frame, durationMs, overall, perExercise) {
+    const issues = frame.issues || [];
+    if (issues.length > 0 && issues.every(issue => !isFormIssue(issue))) return;
+    const formIssues = issues.filter(isFormIssue);
+    targetsOf(frame, overall, perExercise).forEach((target) => {
+      target.evaluatedMs += durationMs;
+      if (formIssues.length === 0) target.goodMs += durationMs;
+      target.penaltyMs += durationMs * framePenalty(formIssues);
+    });
+  }
+
+  function add(frame) {
+    if (frameCount === 0) {
+      startedAt = frame.timestamp;
+      symmetry = createSymmetryTrend({ startedAt });
+    }
+    frameCount += 1;
+    endedAt = frame.timestamp;
+    if (pending) addTime(pending, Math.max(0, Math.min(frame.timestamp - pending.timestamp, MAX_FRAME_GAP_MS)), totals, exercises);
+    pending = { timestamp: frame.timestamp, postureType: frame.postureType, issues: frame.issues };
+
+    symmetry.add(frame.symmetry, frame.timestamp);
+    if (frame.postureType && !exercises[frame.postureType]) exercises[frame.postureType] = createTotals();
+    targetsOf(frame, totals, exercises).forEach((target) => {
+      if (frame.repCount > target.repCount) target.repCount = frame.repCount;
+      if (frame.cleanRepCount > target.cleanRepCount) target.cleanRepCount = frame.cleanRepCount;
+    });
+
+    const issues = frame.issues || [];
+    if (issues.length > 0 && issues.every(issue => !isFormIssue(issue))) return;
+    new Set(issues.filter(isFormIssue).map(issue => issue.code)).forEach(code => {
+      issueCounts[code] = (issueCounts[code] || 0) + 1;
+    });
+  }
+
+  function summary() {
+    const overall = { ...totals };
+    const perExercise = Object.fromEntries(Object.entries(exercises).map(([id, exerciseTotals]) => [id, { ...exerciseTotals }]));
+    if (pending) addTime(pending, Math.min(DEFAULT_FRAME_MS, MAX_FRAME_GAP_MS), overall, perExercise);
+
+    return {
+      frameCount,
+      startedAt,
+      endedAt,
+      ...withScores(overall),
+      issueCounts: { ...issueCounts },
+      mostFrequentIssue: Object.keys(issueCounts).sort((a, b) => issueCounts[b] - issueCounts[a])[0] || null,
+      exercises: Object.fromEntries(Object.entries(perExercise).map(([id, exerciseTotals]) => [id, withScores(exerciseTotals)])),
+      symmetry: symmetry.summary(),
+    };
+  }
+
+  return { add, summary };
+}
+
+function summarizeTimeline(frames) {
+  const timeline = createTimelineSummary();
+  frames.forEach(frame => timeline.add(frame));
+  return timeline.summary();
+}
+
+// Adds a summary's totals to `target`. Summaries recorded before scoring count every bad frame as fully penalised.
+function addTotals(target, summary) {
+  target.evaluatedMs += summary.evaluatedMs;
+  target.goodMs += summary.goodMs;
+  target.penaltyMs += summary.penaltyMs !== undefined ? summary.penaltyMs : summary.evaluatedMs - summary.goodMs;
+  target.repCount += summary.repCount || 0;
+  target.cleanRepCount += summary.cleanRepCount || 0;
+}
+
+// One formatter per IANA time zone; building them is slow.
+const dayFormats = new Map();
+
+function dayFormat(timeZone) {
+  if (!dayFormats.has(timeZone)) {
+    dayFormats.set(timeZone, new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }));
+  }
+  return dayFormats.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string') return false;
+  try {
+    dayFormat(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The YYYY-MM-DD date of a timestamp in an IANA time zone (e.g. 'Europe/Berlin').
+function dayKey(timestamp, timeZone = 'UTC') {
+  const parts = Object.fromEntries(dayFormat(timeZone).formatToParts(new Date(timestamp)).map(({ type, value }) => [type, value]));
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// Rolls session summaries up into per-day totals and scores, oldest day first, with days
+// in `timeZone`, overall and per exercise, with the day's mean of each symmetry metric weighted by samples.
+function summarizeDays(summaries, { timeZone = 'UTC' } = {}) {
+  const days = new Map();
+
+  summaries.forEach(summary => {
+    if (!summary || summary.startedAt == null) return;
+    const date = dayKey(summary.startedAt, timeZone);
+    const day = days.get(date) || { date, sessions: 0, ...createTotals(), exercises: {}, issueCounts: {}, symmetry: {} };
+    day.sessions += 1;
+    addTotals(day, summary);
+    Object.entries(summary.exercises || {}).forEach(([id, exerciseSummary]) => {
+      if (!day.exercises[id]) day.exercises[id] = createTotals();
+      addTotals(day.exercises[id], exerciseSummary);
+    });
+    Object.entries(summary.issueCounts).forEach(([code, count]) => {
+      day.issueCounts[code] = (day.issueCounts[code] || 0) + count;
+    });
+    // Summaries recorded before symmetry tracking have none.
+    Object.entries(summary.symmetry || {}).forEach(([metric, { samples, mean, meanAbs }]) => {
+      const total = day.symmetry[metric] || { samples: 0, mean: 0, meanAbs: 0 };
+      const combined = total.samples + samples;
+      day.symmetry[metric] = {
+        samples: combined,
+        mean: Math.round(((total.mean * total.samples + mean * samples) / combined) * 100) / 100,
+        meanAbs: Math.round(((total.meanAbs * total.samples + meanAbs * samples) / combined) * 100) / 100,
+      };
+    });
+    days.set(date, day);
+  });
+
+  return [...days.values()]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(day => ({
+      ...withScores(day),
+      exercises: Object.fromEntries(Object.entries(day.exercises).map(([id, totals]) => [id, withScores(totals)])),
+      mostFrequentIssue: Object.keys(day.issueCounts).sort((a, b) => day.issueCounts[b] - day.issueCounts[a])[0] || null,
+    }));
+}
+
+module.exports = { createTimelineSummary, summarizeTimeline, summarizeDays, frameDurations, dayKey, isValidTimeZone };
@@ -0,0 +1,85 @@
+// Each filter type's own parameters, used when a session picks a type its preset doesn't use.
+const FILTER_DEFAULTS = {
+  oneEuro: { type: 'oneEuro', minCutoff: 1.0, beta: 0.01, dCutoff: 1.0, minScore: 0.3 },
+  ema: { type: 'ema', alpha: 0.6, minScore: 0.3 },
+  none: { type: 'none' },
+};
+
+// Smoothing and debouncing presets, selected with the `preset` handshake option.
+const PRESETS = {
+  webcam: {
+    filter: FILTER_DEFAULTS.oneEuro,
+    debounce: { raiseAfter: 3, clearAfter: 5 },
+  },
+  // Uploaded videos are sampled more sparsely, so react after fewer frames.
+  video: {
+    filter: FILTER_DEFAULTS.ema,
+    debounce: { raiseAfter: 2, clearAfter: 2 },
+  },
+  raw: {
+    filter: FILTER_DEFAULTS.none,
+    debounce: { raiseAfter: 1, clearAfter: 1 },
+  },
+};
+
+const { DEFAULT_OPTIONS: DESK_DEFAULTS } = require('../controllers/deskMonitor');
+const { DEFAULT_OPTIONS: SQUAT_DEFAULTS } = require('../controllers/repCounter');
+
+const FILTER_TYPES = Object.keys(FILTER_DEFAULTS);
+const NUMERIC_FILTER_OPTIONS = ['minCutoff', 'beta', 'dCutoff', 'alpha', 'minScore'];
+const NUMERIC_DEBOUNCE_OPTIONS = ['raiseAfter', 'clearAfter'];
+const NUMERIC_DESK_OPTIONS = Object.keys(DESK_DEFAULTS);
+// Desk alert levels are counted in these, so they must be above 0.
+const POSITIVE_DESK_OPTIONS = ['slouchAlertMinutes', 'sittingAlertMinutes', 'sittingRepeatMinutes'];
+const NUMERIC_SQUAT_OPTIONS = Object.keys(SQUAT_DEFAULTS);
+
+function readNumber(value) {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) && number >= 0 ? number : undefined;
+}
+
+function pickNumbers(source, keys) {
+  return keys.reduce((picked, key) => {
+    const value = readNumber(source[key]);
+    if (value !== undefined) picked[key] = value;
+    return picked;
+  }, {});
+}
+
+/*
+ * Builds per-session settings from Socket.IO handshake query values, e.g.
+ * io(url, { query: { preset: 'video', filter: 'ema', alpha: 0.5, raiseAfter: 2 } }).
+ * Unknown or invalid values fall back to the preset; a missing query means all defaults.
+ * Desk monitor options and squat targets (e.g. eccentricSeconds: 3) are read the same way;
+ * desk alert minutes of 0 fall back to their defaults.
+ * `record: 'false'` opts the session out of history recording; `recordKeypoints: 'true'`
+ * also keeps each recorded frame's keypoints.
+ * `thresholds` are the server's per-exercise overrides; clients can't change them.
+ */
+function parseSessionSettings(input, { thresholds = {} } = {}) {
+  const query = input && typeof input === 'object' ? input : {};
+  const preset = PRESETS[query.preset] ? query.preset : 'webcam';
+  const base = PRESETS[preset];
+
+  // Another filter type than the preset's starts from that type's own parameters.
+  const filterBase = FILTER_TYPES.includes(query.filter) ? FILTER_DEFAULTS[query.filter] : base.filter;
+  const filter = { ...filterBase, ...pickNumbers(query, NUMERIC_FILTER_OPTIONS) };
+
+  const debounce = { ...base.debounce, ...pickNumbers(query, NUMERIC_DEBOUNCE_OPTIONS) };
+  debounce.raiseAfter = Math.max(1, Math.round(debounce.raiseAfter));
+  debounce.clearAfter = Math.max(1, Math.round(debounce.clearAfter));
+
+  const desk = { ...DESK_DEFAULTS, ...pickNumbers(query, NUMERIC_DESK_OPTIONS) };
+  POSITIVE_DESK_OPTIONS.forEach((key) => {
+    if (desk[key] <= 0) desk[key] = DESK_DEFAULTS[key];
+  });
+  const squat = { ...SQUAT_DEFAULTS, ...pickNumbers(query, NUMERIC_SQUAT_OPTIONS) };
+  squat.targetDepth = Math.min(2, Math.round(squat.targetDepth));
+
+  const record = query.record !== 'false' && query.record !== false;
+  const recordKeypoints = query.recordKeypoints === 'true' || query.recordKeypoints === true;
+
+  return { preset, filter, debounce, desk, squat, record, recordKeypoints, thresholds };
+}
+
+module.exports = { PRESETS, parseSessionSettings };
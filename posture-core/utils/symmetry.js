@@ -0,0 +1,171 @@
+const { hasDepth, calculateAngle, collectKeypoints } = require('./postureUtils');
+
+/*
+ * Left/right symmetry measurements, in the person's own left and right (MoveNet's
+ * `left_*` keypoints), so mirrored cameras give the same signs. Positive values
+ * point at the left side: the left shoulder, hip or ear is lower, the hips have
+ * shifted to the left, or the left knee bends less than the right one.
+ * They are only meaningful from the front.
+ */
+const SYMMETRY_METRICS = {
+  shoulderTilt: { label: 'shoulder tilt', unit: '°' },
+  hipDrop: { label: 'hip drop', unit: '°' },
+  // Fraction of hip width.
+  hipShift: { label: 'hip shift', unit: '' },
+  kneeDifference: { label: 'knee angle difference', unit: '°' },
+  headTilt: { label: 'head tilt', unit: '°' },
+};
+
+const SYMMETRY_KEYPOINTS = [
+  'left_ear', 'right_ear',
+  'left_shoulder', 'right_shoulder',
+  'left_hip', 'right_hip',
+  'left_knee', 'right_knee',
+  'left_ankle', 'right_ankle',
+];
+
+// Keypoints less confident than this aren't measured.
+const MIN_SCORE = 0.3;
+// Knee angles are only compared once a knee bends past this.
+const BENT_KNEE_ANGLE = 160;
+
+function confident(...points) {
+  return points.every(kp => kp && kp.score > MIN_SCORE);
+}
+
+// Degrees the line from the right point to the left one dips below horizontal.
+function tilt(left, right) {
+  if (!confident(left, right)) return null;
+  return Math.atan2(left.y - right.y, Math.abs(left.x - right.x)) * (180 / Math.PI);
+}
+
+function shoulderTilt(kps) {
+  return tilt(kps.leftShoulder, kps.rightShoulder);
+}
+
+function hipDrop(kps) {
+  return tilt(kps.leftHip, kps.rightHip);
+}
+
+function headTilt(kps) {
+  return tilt(kps.leftEar, kps.rightEar);
+}
+
+// How far the hip centre sits beside the centre of the feet, as a fraction of hip width.
+function hipShift(kps) {
+  const { leftHip, rightHip, leftAnkle, rightAnkle } = kps;
+  if (!confident(leftHip, rightHip, leftAnkle, rightAnkle)) return null;
+  const hipWidth = Math.abs(leftHip.x - rightHip.x);
+  if (hipWidth === 0) return null;
+  const towardsLeft = Math.sign(leftHip.x - rightHip.x);
+  const offset = (leftHip.x + rightHip.x) / 2 - (leftAnkle.x + rightAnkle.x) / 2;
+  return (offset * towardsLeft) / hipWidth;
+}
+
+/*
+ * Left knee angle minus right knee angle, while at least one knee is bent.
+ * Only measured from 3D keypoints (e.g. BlazePose): seen from the front, the
+ * knee angle in the image plane shows the knee caving in rather than bending.
+ */
+function kneeDifference(kps, { bentKneeAngle = BENT_KNEE_ANGLE } = {}) {
+  const points = [kps.leftHip, kps.leftKnee, kps.leftAnkle, kps.rightHip, kps.rightKnee, kps.rightAnkle];
+  if (!confident(...points) || !points.every(hasDepth)) return null;
+  const { leftHip, leftKnee, leftAnkle, rightHip, rightKnee, rightAnkle } = kps;
+  const left = calculateAngle(leftHip, leftKnee, leftAnkle);
+  const right = calculateAngle(rightHip, rightKnee, rightAnkle);
+  if (left >= bentKneeAngle && right >= bentKneeAngle) return null;
+  return left - right;
+}
+
+const MEASURES = { shoulderTilt, hipDrop, hipShift, kneeDifference, headTilt };
+
+// The given metrics for one frame's keypoints, each rounded, or null when it can't be measured.
+function measureSymmetry(keypoints, metrics = Object.keys(MEASURES)) {
+  const kps = collectKeypoints(keypoints, SYMMETRY_KEYPOINTS);
+  return metrics.reduce((values, metric) => {
+    const value = MEASURES[metric](kps);
+    values[metric] = value == null ? null : Math.round(value * 100) / 100;
+    return values;
+  }, {});
+}
+
+/*
+ * A check result for an imbalance beyond `threshold`: the issue's `side` is the
+ * side the measurement points at and its `value` the size of the imbalance.
+ */
+function imbalanceIssue(code, value, threshold, { joints, message }) {
+  if (value == null || Math.abs(value) <= threshold) return null;
+  const side = value > 0 ? 'left' : 'right';
+  return { code, side, value: Math.abs(value), threshold, joints, message: message(side, Math.abs(value)) };
+}
+
+function createAccumulator() {
+  return { samples: 0, sum: 0, sumAbs: 0 };
+}
+
+function addSample(accumulator, value) {
+  accumulator.samples += 1;
+  accumulator.sum += value;
+  accumulator.sumAbs += Math.abs(value);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/*
+ * The imbalance trend of one session. `add(values, timestamp)` takes a frame's
+ * symmetry measurements; `summary()` returns, per measured metric, the signed
+ * `mean`, the mean size `meanAbs`, the number of `samples` and a `trend` of the
+ * signed mean per `bucketMs` since `startedAt` (by default the first sample):
+ * [{ elapsedMs, mean, samples }].
+ */
+function createSymmetryTrend({ bucketMs = 60000, startedAt: start = null } = {}) {
+  const metrics = new Map();
+  let startedAt = start;
+
+  function add(values, timestamp) {
+    if (!values) return;
+    if (startedAt === null) startedAt = timestamp;
+    const bucket = Math.max(0, Math.floor((timestamp - startedAt) / bucketMs));
+
+    Object.entries(values).forEach(([metric, value]) => {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return;
+      if (!metrics.has(metric)) metrics.set(metric, { total: createAccumulator(), buckets: new Map() });
+      const entry = metrics.get(metric);
+      addSample(entry.total, value);
+      if (!entry.buckets.has(bucket)) entry.buckets.set(bucket, createAccumulator());
+      addSample(entry.buckets.get(bucket), value);
+    });
+  }
+
+  function summary() {
+    const result = {};
+    metrics.forEach(({ total, buckets }, metric) => {
+      result[metric] = {
+        samples: total.samples,
+        mean: round(total.sum / total.samples),
+        meanAbs: round(total.sumAbs / total.samples),
+        trend: [...buckets.entries()]
+          .sort(([a], [b]) => a - b)
+          .map(([bucket, { samples, sum }]) => ({ elapsedMs: bucket * bucketMs, mean: round(sum / samples), samples })),
+      };
+    });
+    return result;
+  }
+
+  return { add, summary };
+}
+
+module.exports = {
+  SYMMETRY_METRICS,
+  BENT_KNEE_ANGLE,
+  shoulderTilt,
+  hipDrop,
+  hipShift,
+  kneeDifference,
+  headTilt,
+  measureSymmetry,
+  imbalanceIssue,
+  createSymmetryTrend,
+};
@@ -0,0 +1,86 @@
+const { findKeypoint } = require('./postureUtils');
+
+const MIN_CONFIDENCE = 0.3;
+// Shoulder width relative to torso length: wide when facing the camera, narrow side-on.
+const FRONTAL_MIN_RATIO = 0.45;
+const PROFILE_MAX_RATIO = 0.25;
+const EAR_SCORE_MARGIN = 0.2;
+const HISTORY_SIZE = 5;
+
+const VIEW_HINTS = {
+  frontal: 'Front view',
+  left_profile: 'Side view (left side to camera)',
+  right_profile: 'Side view (right side to camera)',
+  unknown: 'Camera angle unclear. Face the camera or stand side-on.',
+};
+
+function midpoint(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+function isVisible(kp) {
+  return Boolean(kp && kp.score > MIN_CONFIDENCE);
+}
+
+/*
+ * Infers camera orientation from one frame:
+ * - view: 'frontal', 'left_profile' (user's left side towards the camera),
+ *   'right_profile' or 'unknown'
+ * - facing: image direction the user faces in a profile view ('left'/'right'),
+ *   derived from the nose relative to the ear so it holds for mirrored cameras
+ */
+function detectView(keypoints) {
+  const kp = (name) => findKeypoint(keypoints, name);
+  const [leftShoulder, rightShoulder, leftHip, rightHip] = ['left_shoulder', 'right_shoulder', 'left_hip', 'right_hip'].map(kp);
+
+  if (![leftShoulder, rightShoulder, leftHip, rightHip].every(isVisible)) {
+    return { view: 'unknown', facing: null, shoulderRatio: null };
+  }
+
+  const shoulderMid = midpoint(leftShoulder, rightShoulder);
+  const hipMid = midpoint(leftHip, rightHip);
+  const torsoLength = Math.hypot(shoulderMid.x - hipMid.x, shoulderMid.y - hipMid.y);
+  if (torsoLength === 0) return { view: 'unknown', facing: null, shoulderRatio: null };
+
+  const shoulderWidth = Math.abs(leftShoulder.x - rightShoulder.x);
+  const hipWidth = Math.abs(leftHip.x - rightHip.x);
+  const shoulderRatio = Math.round((Math.max(shoulderWidth, hipWidth) / torsoLength) * 100) / 100;
+
+  if (shoulderRatio >= FRONTAL_MIN_RATIO) return { view: 'frontal', facing: null, shoulderRatio };
+  if (shoulderRatio > PROFILE_MAX_RATIO) return { view: 'unknown', facing: null, shoulderRatio };
+
+  const leftEar = kp('left_ear');
+  const rightEar = kp('right_ear');
+  const leftScore = (leftEar ? leftEar.score : 0) + leftShoulder.score + leftHip.score;
+  const rightScore = (rightEar ? rightEar.score : 0) + rightShoulder.score + rightHip.score;
+  let view = 'unknown';
+  if (leftScore - rightScore > EAR_SCORE_MARGIN) view = 'left_profile';
+  else if (rightScore - leftScore > EAR_SCORE_MARGIN) view = 'right_profile';
+
+  const nose = kp('nose');
+  const ear = view === 'right_profile' ? rightEar : leftEar;
+  let facing = null;
+  if (isVisible(nose) && isVisible(ear)) facing = nose.x < ear.x ? 'left' : 'right';
+
+  return { view, facing, shoulderRatio };
+}
+
+// Reports the most common view over the last few frames so single noisy frames don't flip it.
+function createViewTracker(size = HISTORY_SIZE) {
+  const history = [];
+
+  function update(keypoints) {
+    const current = detectView(keypoints);
+    history.push(current);
+    if (history.length > size) history.shift();
+
+    const counts = history.reduce((acc, { view }) => ({ ...acc, [view]: (acc[view] || 0) + 1 }), {});
+    const view = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+    const latest = [...history].reverse().find(entry => entry.view === view);
+    return { ...latest, hint: VIEW_HINTS[view] };
+  }
+
+  return { update };
+}
+
+module.exports = { detectView, createViewTracker, VIEW_HINTS };
@@ -1,4 +1,4 @@
-import React, { useState, useRef, useEffect, useCallback } from "react";
+import React, { useState, useRef, useEffect, useCallback, useMemo } from "react";
 import io from "socket.io-client";
 import Webcam from "react-webcam";
 import {
@@ -8,14 +8,72 @@ import {
   ArrowUpTrayIcon,
   ComputerDesktopIcon,
   AcademicCapIcon,
+  UserIcon,
 } from "@heroicons/react/24/solid";
 
 
 import * as tf from "@tensorflow/tfjs";
-import * as poseDetection from "@tensorflow-models/pose-detection";
+import IssueList from "./components/IssueList.jsx";
+import HistoryView from "./components/HistoryView.jsx";
+import ProgressView from "./components/ProgressView.jsx";
+import BatchReport from "./components/BatchReport.jsx";
+import ConnectionSettings from "./components/ConnectionSettings.jsx";
+import SessionReport from "./components/SessionReport.jsx";
+import SquatTargets from "./components/SquatTargets.jsx";
+import AudioCueSettings from "./components/AudioCueSettings.jsx";
+import CoachRoomJoin from "./components/CoachRoomJoin.jsx";
+import CoachDashboard from "./components/CoachDashboard.jsx";
+import SymmetryPanel from "./components/SymmetryPanel.jsx";
+import AccountPanel from "./components/AccountPanel.jsx";
+import { extractKeypointTrack, requestBatchAnalysis } from "./lib/batchAnalysis.js";
+import { requestNotificationPermission, showAlertNotification } from "./lib/notifications.js";
+import { getProfileId } from "./lib/profile.js";
+import { fetchAccount } from "./lib/auth.js";
+import {
+  loadSettings,
+  saveSettings,
+  loadDetectionSettings,
+  saveDetectionSettings,
+  loadAudioSettings,
+  saveAudioSettings,
+  loadSquatTargets,
+  saveSquatTargets,
+  loadAccount,
+  saveAccount,
+} from "./lib/settings.js";
+import { POSE_MODELS, TF_BACKENDS, loadPoseDetector, resolveDetectionSettings } from "./lib/poseModels.js";
+import { createFrameRateController } from "./lib/frameRate.js";
+import { createSessionRecorder, snapshotFrame } from "./lib/sessionReport.js";
+import { createCuePlayer } from "./lib/audioCues.js";
+import { DEPTH_LABELS, formatTempo } from "./lib/squatMetrics.js";
+import { createLocalAnalyzer, LOCAL_EXERCISES } from "./lib/localAnalysis.js";
+import { drawPersonLabel, drawSkeleton, issueJoints } from "./lib/overlay.js";
+
+// Seconds between analysed frames in batch mode.
+const BATCH_STRIDES = [
+  [1 / 30, "Every frame (30 fps)"],
+  [1 / 15, "15 fps"],
+  [1 / 5, "5 fps"],
+  [1, "1 fps"],
+];
+
+const DESK_STATE_LABELS = {
+  good: "Sitting well",
+  slouching: "Slouching",
+  standing: "Standing",
+  absent: "Away",
+};
 
+const ALERT_CLASSES = {
+  critical: "bg-red-100 text-red-800",
+  warning: "bg-orange-100 text-orange-800",
+  info: "bg-blue-100 text-blue-800",
+};
 
-const socket = io("https://posturerepo.onrender.com/"); 
+const EXERCISE_ICONS = {
+  squat: AcademicCapIcon,
+  desk: ComputerDesktopIcon,
+};
 
 function App() {
   const videoRef = useRef(null); 
@@ -24,131 +82,330 @@ function App() {
 
   const [isCapturing, setIsCapturing] = useState(false);
   const [postureFeedback, setPostureFeedback] = useState([]);
+  const [repState, setRepState] = useState(null);
+  const [deskSession, setDeskSession] = useState(null);
+  const [symmetry, setSymmetry] = useState(null);
+  const [cameraView, setCameraView] = useState(null);
+  const [postureAlerts, setPostureAlerts] = useState([]);
+  const [backendError, setBackendError] = useState(null);
+  const [calibrations, setCalibrations] = useState({});
+  const [calibrationStatus, setCalibrationStatus] = useState(null);
   const [currentVideoFile, setCurrentVideoFile] = useState(null);
   const [useWebcam, setUseWebcam] = useState(false);
   const [postureType, setPostureType] = useState("squat");
+  // The bundled exercises are used until the backend's list arrives, or if it can't be fetched.
+  const [exercises, setExercises] = useState(LOCAL_EXERCISES);
+  const [settings, setSettings] = useState(loadSettings);
+  const [connection, setConnection] = useState(settings.localOnly ? "local" : "connecting");
+  // { token, user } while logged in to the backend, and that user's profile settings.
+  const [account, setAccount] = useState(() => loadAccount(settings.backendUrl));
+  const [profile, setProfile] = useState(null);
+  const [authError, setAuthError] = useState(null);
+  const [view, setView] = useState("live");
+  const [batchStride, setBatchStride] = useState(1 / 15);
+  const [batchProgress, setBatchProgress] = useState(null);
+  const [batchReport, setBatchReport] = useState(null);
   const [model, setModel] = useState(null); 
   const [modelLoading, setModelLoading] = useState(true); 
+  const [detection, setDetection] = useState(() => resolveDetectionSettings(loadDetectionSettings()));
+  const [frameStats, setFrameStats] = useState(null);
+  const [trackedPeople, setTrackedPeople] = useState([]);
+  const [sessionReport, setSessionReport] = useState(null);
+  const [audioSettings, setAudioSettings] = useState(loadAudioSettings);
+  const [squatTargets, setSquatTargets] = useState(loadSquatTargets);
+  const [roomMembership, setRoomMembership] = useState(null);
+  const [roomError, setRoomError] = useState(null);
+  const [coachCues, setCoachCues] = useState([]);
 
-  const captureInterval = useRef(null); 
+  const batchAbort = useRef(null);
+  const socketRef = useRef(null);
+  // Set from RATE_LIMITED errors: frames aren't sent to the backend before this time.
+  const backoffUntil = useRef(0);
+  // Rendering is decoupled from evaluation: the render loop draws the latest
+  // local pose and highlights the joints of the latest feedback, matched by frame id.
+  // Latest pose of each person in frame: [{ trackId, keypoints }].
+  const latestPeople = useRef([]);
+  // trackId -> { failing, angles, issues } from that person's latest feedback.
+  const personFeedback = useRef(new Map());
+  const overlayDirty = useRef(false);
+  const nextFrameId = useRef(0);
+  const lastFeedbackFrameId = useRef(-1);
+  // frameId -> performance.now() when the frame was sent, for the latency readout.
+  const sentFrames = useRef(new Map());
+  const frameRate = useMemo(() => createFrameRateController(), []);
+  const cuePlayer = useMemo(() => createCuePlayer(), []);
+  // The coach room to (re)join; reconnecting drops room membership.
+  const roomRequest = useRef(null);
+  // Collects the live session for the report shown after Stop Analysis.
+  const sessionRecorder = useRef(null);
 
+  // The `preset` handshake option picks the backend's smoothing/debounce settings.
+  const preset = useWebcam ? "webcam" : "video";
+  const analysingLocally = connection !== "connected";
+  const token = account?.token;
+  // Squat targets and the preset change mid-session without restarting it: the local
+  // analyzer and the backend socket both take them as settings updates.
+  const liveSettings = useMemo(() => ({ ...squatTargets, preset }), [squatTargets, preset]);
+  const liveSettingsRef = useRef(liveSettings);
+  const localAnalyzer = useMemo(() => createLocalAnalyzer(liveSettingsRef.current), []);
 
   useEffect(() => {
-    async function loadModel() {
-  try {
-    setModelLoading(true);
+    liveSettingsRef.current = liveSettings;
+    localAnalyzer.updateSettings(liveSettings);
+    socketRef.current?.emit("updateSettings", liveSettings);
+  }, [liveSettings, localAnalyzer]);
+
 
-    await tf.setBackend('webgl'); 
-    await tf.ready(); 
+  useEffect(() => {
+    let cancelled = false;
+    let detector = null;
 
-    const loadedModel = await poseDetection.createDetector(
-      poseDetection.SupportedModels.MoveNet,
-      {
-        modelType: poseDetection.movenet.modelType.SINGLEPOSE_THUNDER,
+    async function loadModel() {
+      try {
+        setModelLoading(true);
+        setModel(null);
+        detector = await loadPoseDetector(detection.poseModel, detection.tfBackend);
+        if (cancelled) {
+          detector.dispose();
+          return;
+        }
+        setModel(detector);
+        console.log(`${POSE_MODELS[detection.poseModel].label} loaded on ${detection.tfBackend}`);
+      } catch (error) {
+        console.error("Failed to load pose model:", error);
+        if (!cancelled) {
+          setPostureFeedback([
+            { code: "MODEL_LOAD_FAILED", severity: "critical", message: `Error: Failed to load AI model (${error.message}). Try another model or backend.` },
+          ]);
+        }
+      } finally {
+        if (!cancelled) setModelLoading(false);
       }
-    );
-
-    setModel(loadedModel);
-    console.log('MoveNet model loaded successfully!');
-  } catch (error) {
-    console.error('Failed to load MoveNet model:', error);
-    setPostureFeedback(['Error: Failed to load AI model. Please check console.']);
-  } finally {
-    setModelLoading(false);
-  }
-}
+    }
 
     loadModel();
-  }, []); 
+    return () => {
+      cancelled = true;
+      detector?.dispose();
+    };
+  }, [detection]);
 
   useEffect(() => {
-    socket.on("connect", () => {
-      console.log("Connected to backend Socket.IO");
+    if (settings.localOnly) return;
+    fetch(new URL("exercises", settings.backendUrl))
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(res.statusText))))
+      .then((list) => {
+        if (Array.isArray(list) && list.length > 0) setExercises(list);
+      })
+      .catch((error) => {
+        console.error("Failed to load exercise list:", error);
+      });
+  }, [settings.backendUrl, settings.localOnly]);
+
+  useEffect(() => {
+    setProfile(null);
+    if (settings.localOnly || !token) return undefined;
+    let cancelled = false;
+    fetchAccount(settings.backendUrl, token)
+      .then((result) => {
+        if (cancelled) return;
+        setProfile(result.profile);
+        const [preferred] = result.profile.preferredExercises;
+        if (preferred) setPostureType(preferred);
+      })
+      .catch((error) => {
+        if (cancelled || error.status !== 401) return;
+        saveAccount(settings.backendUrl, null);
+        setAccount(null);
+        setAuthError("Your login has expired; log in again.");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [settings.backendUrl, settings.localOnly, token]);
+
+  useEffect(() => {
+    Object.entries(calibrations).forEach(([exerciseId, saved]) => localAnalyzer.setBaseline(exerciseId, saved.baseline));
+  }, [localAnalyzer, calibrations]);
+
+  const drawOverlay = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !overlayDirty.current) return;
+    overlayDirty.current = false;
+
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const people = latestPeople.current;
+    people.forEach(({ trackId, keypoints }) => {
+      const feedback = personFeedback.current.get(trackId);
+      drawSkeleton(ctx, keypoints, { failing: feedback?.failing, angles: feedback?.angles });
+      if (people.length > 1) drawPersonLabel(ctx, keypoints, { name: `Person ${trackId}`, issues: feedback?.issues });
     });
+  }, []);
+
+  useEffect(() => {
+    if (!isCapturing) return undefined;
+    let handle;
+    const render = () => {
+      drawOverlay();
+      handle = requestAnimationFrame(render);
+    };
+    handle = requestAnimationFrame(render);
+    return () => cancelAnimationFrame(handle);
+  }, [isCapturing, drawOverlay]);
 
-    socket.on("postureFeedback", (data) => {
-      console.log("Received feedback:", data);
+  const applyFeedback = useCallback(
+    (data) => {
+      // Feedback can arrive out of order; never let an older frame overwrite a newer one.
+      if (data.frameId != null) {
+        if (data.frameId < lastFeedbackFrameId.current) return;
+        lastFeedbackFrameId.current = data.frameId;
+        const sentAt = sentFrames.current.get(data.frameId);
+        if (sentAt !== undefined) frameRate.recordLatency(performance.now() - sentAt);
+        sentFrames.current.forEach((_, id) => {
+          if (id <= data.frameId) sentFrames.current.delete(id);
+        });
+      }
+      const people = data.people || [{ trackId: 0, ...data }];
+      personFeedback.current = new Map(
+        people.map((person) => [
+          person.trackId,
+          { failing: issueJoints(person.issues), angles: person.angles || [], issues: person.issues },
+        ])
+      );
+      overlayDirty.current = true;
+      setBackendError(null);
       setPostureFeedback(data.issues);
-      drawKeypoints(data.keypoints);
+      setTrackedPeople(people);
+      cuePlayer.update(data.issues);
+      sessionRecorder.current?.record(data, () => {
+        // Bring the overlay up to date with this feedback before capturing it.
+        drawOverlay();
+        return snapshotFrame(webcamRef.current?.video ?? videoRef.current, canvasRef.current);
+      });
+      // Feedback only carries the latest rep; keep the last five for the rep list.
+      setRepState((prev) => {
+        if (!data.phase) return null;
+        const reps = prev?.reps ?? [];
+        const newRep = data.lastRep && data.lastRep.rep !== reps[reps.length - 1]?.rep;
+        return {
+          repCount: data.repCount,
+          phase: data.phase,
+          reps: newRep ? [...reps, data.lastRep].slice(-5) : reps,
+          depth: data.depth,
+          timeUnderTensionMs: data.timeUnderTensionMs,
+        };
+      });
+      setDeskSession(data.deskSession || null);
+      // Only measured from the front; keep the last reading while turned away.
+      if (data.symmetry) setSymmetry(data.symmetry);
+      setCameraView(data.view || null);
+    },
+    [frameRate, drawOverlay, cuePlayer]
+  );
+
+  const applyAlert = useCallback((alert) => {
+    setPostureAlerts((prev) => [alert, ...prev.filter((a) => a.type !== alert.type)]);
+    showAlertNotification(alert);
+  }, []);
+
+  useEffect(() => {
+    if (settings.localOnly) {
+      setConnection("local");
+      return undefined;
+    }
+
+    // Logged-in sockets use the account's profile; the anonymous profile id is then ignored.
+    const socket = io(settings.backendUrl, {
+      query: { ...liveSettingsRef.current, profileId: getProfileId() },
+      auth: token ? { token } : {},
     });
+    socketRef.current = socket;
+    setConnection("connecting");
 
-    socket.on("disconnect", () => {
-      console.log("Disconnected from backend Socket.IO");
+    socket.on("connect", () => {
+      console.log("Connected to backend Socket.IO");
+      setConnection("connected");
+      // Reconnecting replays the original handshake, so bring the new session up to date.
+      socket.emit("updateSettings", liveSettingsRef.current);
+      if (roomRequest.current) socket.emit("joinRoom", roomRequest.current);
     });
 
-    socket.on("error", (error) => {
-      console.error("Socket error:", error);
+    socket.on("connect_error", (error) => {
+      console.warn("Backend unreachable, analysing in the browser:", error.message);
+      setConnection("disconnected");
+      if (error.data?.code === "AUTH_INVALID") {
+        saveAccount(settings.backendUrl, null);
+        setAccount(null);
+        setAuthError("Your login has expired; log in again.");
+      } else if (error.data?.code === "AUTH_REQUIRED") {
+        setAuthError("This backend needs you to log in.");
+      }
     });
 
-    return () => {
-      socket.off("connect");
-      socket.off("postureFeedback");
-      socket.off("disconnect");
-      socket.off("error");
-      stopCapture(); 
-    };
-  }, []);
+    socket.on("postureFeedback", applyFeedback);
 
-  const drawKeypoints = useCallback(
-    (keypoints) => {
-      const canvas = canvasRef.current;
-      const ctx = canvas.getContext("2d");
-      const video = useWebcam ? webcamRef.current?.video : videoRef.current;
+    socket.on("postureAlert", applyAlert);
 
-      if (!video || video.paused || video.ended || !canvas) return;
+    socket.on("postureError", (error) => {
+      console.warn("Backend rejected frame:", error);
+      if (error.retryAfterMs) backoffUntil.current = Date.now() + error.retryAfterMs;
+      setBackendError(error);
+    });
 
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
+    socket.on("calibrations", setCalibrations);
 
+    socket.on("roomJoined", (joined) => {
+      if (joined.role !== "trainee") return;
+      setRoomError(null);
+      setRoomMembership({ room: joined.room, name: joined.name });
+    });
 
-      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    socket.on("roomError", (error) => {
+      roomRequest.current = null;
+      setRoomMembership(null);
+      setRoomError(error.message);
+    });
 
-      ctx.fillStyle = "red";
-      ctx.strokeStyle = "red";
-      ctx.lineWidth = 2;
+    socket.on("coachCue", (cue) => {
+      setCoachCues((prev) => [cue, ...prev].slice(0, 3));
+      cuePlayer.announce(cue.text);
+    });
 
-      keypoints.forEach((kp) => {
-        if (kp.score > 0.3) {
-          ctx.beginPath();
-          ctx.arc(kp.x * canvas.width, kp.y * canvas.height, 5, 0, 2 * Math.PI); 
-          ctx.fill();
-        }
-      });
+    socket.on("calibrationStarted", ({ postureType: type, durationMs }) => {
+      setCalibrationStatus({ postureType: type, running: true, message: `Hold a good posture for ${Math.round(durationMs / 1000)} seconds...` });
+    });
 
-      const connections = [
-        ["left_shoulder", "right_shoulder"],
-        ["left_shoulder", "left_elbow"],
-        ["left_elbow", "left_wrist"],
-        ["right_shoulder", "right_elbow"],
-        ["right_elbow", "right_wrist"],
-        ["left_shoulder", "left_hip"],
-        ["right_shoulder", "right_hip"],
-        ["left_hip", "right_hip"],
-        ["left_hip", "left_knee"],
-        ["left_knee", "left_ankle"],
-        ["right_hip", "right_knee"],
-        ["right_knee", "right_ankle"],
-        ["nose", "left_eye"],
-        ["left_eye", "left_ear"],
-        ["nose", "right_eye"],
-        ["right_eye", "right_ear"],
-        ["left_shoulder", "nose"],
-        ["right_shoulder", "nose"],
-      ];
-
-      connections.forEach(([p1Name, p2Name]) => {
-        const p1 = keypoints.find((kp) => kp.name === p1Name);
-        const p2 = keypoints.find((kp) => kp.name === p2Name);
-
-        if (p1 && p2 && p1.score > 0.3 && p2.score > 0.3) {
-          ctx.beginPath();
-          ctx.moveTo(p1.x * canvas.width, p1.y * canvas.height);
-          ctx.lineTo(p2.x * canvas.width, p2.y * canvas.height);
-          ctx.stroke();
-        }
+    socket.on("calibrationResult", (result) => {
+      if (!result.ok) {
+        setCalibrationStatus({ postureType: result.postureType, running: false, message: result.error });
+        return;
+      }
+      setCalibrationStatus(null);
+      if (!result.baseline) localAnalyzer.setBaseline(result.postureType, null);
+      setCalibrations((prev) => {
+        const next = { ...prev };
+        if (result.baseline) next[result.postureType] = result;
+        else delete next[result.postureType];
+        return next;
       });
-    },
-    [useWebcam]
-  );
+    });
+
+    socket.on("disconnect", () => {
+      console.log("Disconnected from backend Socket.IO");
+      setConnection("disconnected");
+      setRoomMembership(null);
+    });
+
+    socket.on("error", (error) => {
+      console.error("Socket error:", error);
+    });
+
+    return () => {
+      socket.disconnect();
+      socketRef.current = null;
+    };
+  }, [settings.backendUrl, settings.localOnly, token, applyFeedback, applyAlert, localAnalyzer, cuePlayer]);
 
   const processFrame = useCallback(async () => {
     if (!model) {
@@ -163,8 +420,13 @@ function App() {
       return;
     }
 
-    canvas.width = video.videoWidth || video.offsetWidth;
-    canvas.height = video.videoHeight || video.offsetHeight;
+    // Resizing clears the canvas, so only do it when the video size changes.
+    const width = video.videoWidth || video.offsetWidth;
+    const height = video.videoHeight || video.offsetHeight;
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
 
     if (canvas.width === 0 || canvas.height === 0) {
       console.warn("Canvas dimensions are zero. Skipping frame processing.");
@@ -174,30 +436,101 @@ function App() {
     const imageTensor = tf.browser.fromPixels(video);
 
     try {
+      const inferenceStart = performance.now();
       const poses = await model.estimatePoses(imageTensor);
+      frameRate.recordInference(performance.now() - inferenceStart);
+
+// MultiPose tracks people across frames; single-person models have no track id.
+const people = (poses || [])
+  .filter((pose) => pose.keypoints)
+  .map((pose, index) => ({ trackId: pose.id ?? index, keypoints: pose.keypoints }))
+  .sort((a, b) => a.trackId - b.trackId);
 
-if (poses && poses.length > 0 && poses[0].keypoints) {
-  const keypoints = poses[0].keypoints;
-  socket.emit('keypointsData', { keypoints, postureType: postureType });
+if (people.length > 0) {
+  latestPeople.current = people;
+  overlayDirty.current = true;
+  // The lowest track id, i.e. the person tracked longest, comes first and is the primary one.
+  const frame = {
+    people,
+    postureType,
+    frameId: nextFrameId.current++,
+    frameSize: { width: canvas.width, height: canvas.height },
+    // estimatePoses reports keypoints in video pixels.
+    schema: POSE_MODELS[detection.poseModel].schema,
+    coordinates: "pixels",
+  };
+  sentFrames.current.set(frame.frameId, performance.now());
+  // Frames whose feedback never comes (e.g. rejected ones) shouldn't pile up.
+  if (sentFrames.current.size > 100) sentFrames.current.delete(sentFrames.current.keys().next().value);
+  if (socketRef.current?.connected) {
+    if (Date.now() >= backoffUntil.current) socketRef.current.emit('keypointsData', frame);
+  } else {
+    // No backend: run the same rules in the browser.
+    const { feedback, alerts } = localAnalyzer.analyze(frame);
+    applyFeedback(feedback);
+    alerts.forEach(applyAlert);
+  }
 }
 
     } catch (error) {
       console.error("Error estimating pose:", error);
       setPostureFeedback((prev) => [
-        ...prev,
-        "Error processing video frame for pose detection.",
+        ...prev.filter((issue) => issue.code !== "FRAME_PROCESSING_FAILED"),
+        { code: "FRAME_PROCESSING_FAILED", severity: "critical", message: "Error processing video frame for pose detection." },
       ]);
     } finally {
       imageTensor.dispose();
     }
-  }, [model, useWebcam, postureType]);
+  }, [model, useWebcam, postureType, localAnalyzer, applyFeedback, applyAlert, frameRate, detection.poseModel]);
+
+  // Capture loop: each frame is scheduled when the previous one is done, at the
+  // rate the frame rate controller derives from the measured inference time.
+  useEffect(() => {
+    if (!isCapturing) return undefined;
+    let cancelled = false;
+    let timer = null;
+    let lastStatsUpdate = 0;
+
+    const tick = async () => {
+      const started = performance.now();
+      await processFrame();
+      if (cancelled) return;
+      const now = performance.now();
+      const delay = frameRate.frameDone(now, now - started);
+      if (now - lastStatsUpdate > 500) {
+        lastStatsUpdate = now;
+        setFrameStats(frameRate.stats());
+      }
+      timer = setTimeout(tick, delay);
+    };
+
+    tick();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isCapturing, processFrame, frameRate]);
 
   const startCapture = useCallback(() => {
     if (isCapturing || modelLoading || !model) return; 
     setIsCapturing(true);
     setPostureFeedback([]); 
-
-    captureInterval.current = setInterval(processFrame, 1000);
+    setRepState(null);
+    setDeskSession(null);
+    setSymmetry(null);
+    setCameraView(null);
+    setPostureAlerts([]);
+    setBackendError(null);
+    latestPeople.current = [];
+    personFeedback.current = new Map();
+    setTrackedPeople([]);
+    frameRate.reset();
+    setFrameStats(null);
+    setSessionReport(null);
+    sessionRecorder.current = createSessionRecorder({ postureType });
+    cuePlayer.reset();
+    cuePlayer.unlock();
+    if (postureType === "desk") requestNotificationPermission();
 
     if (videoRef.current && currentVideoFile && !useWebcam) {
       videoRef.current.play();
@@ -206,17 +539,18 @@ if (poses && poses.length > 0 && poses[0].keypoints) {
     isCapturing,
     modelLoading,
     model,
-    processFrame,
+    frameRate,
+    cuePlayer,
     currentVideoFile,
     useWebcam,
+    postureType,
   ]);
 
   const stopCapture = useCallback(() => {
     setIsCapturing(false);
-    if (captureInterval.current) {
-      clearInterval(captureInterval.current);
-      captureInterval.current = null;
-    }
+    if (sessionRecorder.current?.frameCount() > 0) setSessionReport(sessionRecorder.current.finish());
+    sessionRecorder.current = null;
+    cuePlayer.reset();
     if (videoRef.current) {
       videoRef.current.pause();
     }
@@ -226,13 +560,138 @@ if (poses && poses.length > 0 && poses[0].keypoints) {
       ctx.clearRect(0, 0, canvas.width, canvas.height);
     }
     setPostureFeedback([]); 
-  }, []);
+  }, [cuePlayer]);
+
+  useEffect(() => stopCapture, [stopCapture]);
+
+  const runBatchAnalysis = useCallback(async () => {
+    const video = videoRef.current;
+    if (!video || !model || batchAbort.current) return;
+
+    stopCapture();
+    setBatchReport(null);
+    setBatchProgress(0);
+    batchAbort.current = new AbortController();
+
+    try {
+      const track = await extractKeypointTrack(video, model, {
+        stride: batchStride,
+        onProgress: setBatchProgress,
+        signal: batchAbort.current.signal,
+      });
+      setBatchReport(await requestBatchAnalysis(settings.backendUrl, { postureType, track, token }));
+    } catch (error) {
+      if (error.name !== "AbortError") {
+        console.error("Batch analysis failed:", error);
+        setPostureFeedback([
+          { code: "BATCH_ANALYSIS_FAILED", severity: "critical", message: `Batch analysis failed: ${error.message}` },
+        ]);
+      }
+    } finally {
+      batchAbort.current = null;
+      setBatchProgress(null);
+    }
+  }, [model, batchStride, postureType, stopCapture, settings.backendUrl, token]);
+
+  const cancelBatchAnalysis = () => {
+    batchAbort.current?.abort();
+  };
+
+  const seekVideo = (time) => {
+    if (videoRef.current) videoRef.current.currentTime = time;
+  };
+
+  const issueLabels = useMemo(
+    () =>
+      Object.fromEntries(
+        exercises.flatMap((exercise) =>
+          Object.entries(exercise.issueTypes || {}).map(([code, type]) => [code, type.label])
+        )
+      ),
+    [exercises]
+  );
+
+  // Spoken cue per issue code, from the exercises' issue types.
+  const cues = useMemo(
+    () =>
+      Object.fromEntries(
+        exercises.flatMap((exercise) =>
+          Object.entries(exercise.issueTypes || {}).map(([code, type]) => [code, type.cue || type.label])
+        )
+      ),
+    [exercises]
+  );
+
+  useEffect(() => {
+    cuePlayer.configure({ ...audioSettings, cues });
+  }, [cuePlayer, audioSettings, cues]);
+
+  const currentExercise = exercises.find((exercise) => exercise.id === postureType);
+  const currentCalibration = calibrations[postureType];
+
+  const startCalibration = () => {
+    socketRef.current?.emit("startCalibration", { postureType });
+  };
+
+  const clearCalibration = () => {
+    socketRef.current?.emit("clearCalibration", { postureType });
+  };
+
+  const joinRoom = (request) => {
+    roomRequest.current = request;
+    setRoomError(null);
+    socketRef.current?.emit("joinRoom", request);
+  };
+
+  const leaveRoom = () => {
+    roomRequest.current = null;
+    socketRef.current?.emit("leaveRoom");
+    setRoomMembership(null);
+    setCoachCues([]);
+  };
+
+  const updateSquatTargets = (next) => {
+    saveSquatTargets(next);
+    setSquatTargets(next);
+  };
+
+  const updateAudioSettings = (next) => {
+    saveAudioSettings(next);
+    setAudioSettings(next);
+  };
+
+  const updateDetection = (changes) => {
+    stopCapture();
+    const next = { ...detection, ...changes };
+    saveDetectionSettings(next);
+    setDetection(next);
+  };
+
+  const updateSettings = (next) => {
+    stopCapture();
+    const saved = saveSettings(next);
+    setSettings(saved);
+    // Logins belong to one backend.
+    setAccount(loadAccount(saved.backendUrl));
+  };
+
+  const updateAccount = (next) => {
+    saveAccount(settings.backendUrl, next);
+    setAccount(next);
+    setAuthError(null);
+  };
+
+  const showView = (nextView) => {
+    if (nextView !== "live") stopCapture();
+    setView(nextView);
+  };
 
   const handleVideoUpload = (event) => {
     const file = event.target.files[0];
     if (file) {
       setCurrentVideoFile(URL.createObjectURL(file));
       setUseWebcam(false); 
+      setBatchReport(null);
       stopCapture(); 
     }
   };
@@ -250,15 +709,6 @@ if (poses && poses.length > 0 && poses[0].keypoints) {
       canvasRef.current.height = videoElement.videoHeight;
     }
   };
-  const parseAngleFeedback = (feedback) => {
-  const angleRegex = /Angles:\s*([\d.]+)°\s*\/\s*([\d.]+)°/;
-  const match = feedback.match(angleRegex);
-  if (!match) return null;
-  const left = parseFloat(match[1]);
-  const right = parseFloat(match[2]);
-  return { left, right };
-};
-
 
   return (
     <div className="min-h-screen bg-gray-100 flex flex-col items-center py-8 px-4 font-inter">
@@ -266,176 +716,424 @@ if (poses && poses.length > 0 && poses[0].keypoints) {
         Posture Detection App
       </h1>
 
-      <div className="bg-white p-6 rounded-xl shadow-lg w-full max-w-4xl mb-8">
-        <div className="flex justify-center items-center space-x-4 mb-6">
-          <label className="flex items-center space-x-2 cursor-pointer bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out">
-            <ArrowUpTrayIcon className="h-5 w-5" />
-            <span>Upload Video</span>
-            <input
-              type="file"
-              accept="video/*"
-              className="hidden"
-              onChange={handleVideoUpload}
-            />
-          </label>
+      <ConnectionSettings settings={settings} connection={connection} onSave={updateSettings} />
+
+      <AccountPanel
+        backendUrl={settings.backendUrl}
+        account={account}
+        profile={profile}
+        exercises={exercises}
+        error={authError}
+        disabled={settings.localOnly}
+        onLogin={updateAccount}
+        onLogout={() => updateAccount(null)}
+        onProfileSaved={setProfile}
+      />
+
+      <div className="flex space-x-4 mb-6">
+        {[
+          ["live", "Live Analysis"],
+          ["history", "History"],
+          ["progress", "Progress"],
+          ["coach", "Coach"],
+        ].map(([id, label]) => (
           <button
-            onClick={toggleWebcam}
-            className={`flex items-center space-x-2 font-semibold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out ${
-              useWebcam
-                ? "bg-red-500 hover:bg-red-600 text-white"
-                : "bg-green-500 hover:bg-green-600 text-white"
+            key={id}
+            onClick={() => showView(id)}
+            className={`font-semibold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out ${
+              view === id ? "bg-gray-800 text-white" : "bg-white text-gray-700 hover:bg-gray-200"
             }`}
           >
-            <CameraIcon className="h-5 w-5" />
-            <span>{useWebcam ? "Disable Webcam" : "Use Webcam"}</span>
+            {label}
           </button>
+        ))}
+      </div>
+
+      {view === "history" && (
+        <div className="bg-white p-6 rounded-xl shadow-lg w-full max-w-4xl">
+          <h2 className="text-2xl font-semibold text-gray-700 mb-4">Posture History</h2>
+          {analysingLocally ? (
+            <p className="text-gray-600">History needs a connection to the backend.</p>
+          ) : (
+            <HistoryView backendUrl={settings.backendUrl} token={token} issueLabels={issueLabels} />
+          )}
         </div>
+      )}
 
-        <div className="flex justify-center space-x-4 mb-6">
-          <button
-            onClick={() => setPostureType("squat")}
-            className={`flex items-center space-x-2 font-semibold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out ${
-              postureType === "squat"
-                ? "bg-purple-600 text-white"
-                : "bg-gray-300 text-gray-700 hover:bg-gray-400"
-            }`}
-          >
-            <AcademicCapIcon className="h-5 w-5" />
-            <span>Squat Posture</span>
-          </button>
-          <button
-            onClick={() => setPostureType("desk")}
-            className={`flex items-center space-x-2 font-semibold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out ${
-              postureType === "desk"
-                ? "bg-purple-600 text-white"
-                : "bg-gray-300 text-gray-700 hover:bg-gray-400"
-            }`}
-          >
-            <ComputerDesktopIcon className="h-5 w-5" />
-            <span>Desk Sitting Posture</span>
-          </button>
+      {view === "progress" && (
+        <div className="bg-white p-6 rounded-xl shadow-lg w-full max-w-4xl">
+          <h2 className="text-2xl font-semibold text-gray-700 mb-4">Progress</h2>
+          {analysingLocally ? (
+            <p className="text-gray-600">Progress needs a connection to the backend.</p>
+          ) : (
+            <ProgressView backendUrl={settings.backendUrl} token={token} exercises={exercises} />
+          )}
         </div>
+      )}
 
-        <div className="relative w-full aspect-video bg-gray-800 rounded-lg overflow-hidden flex items-center justify-center mb-6">
-          {modelLoading && (
-            <p className="text-white text-xl animate-pulse">
-              Loading AI Model...
-            </p>
+      {view === "coach" && (
+        <div className="bg-white p-6 rounded-xl shadow-lg w-full max-w-6xl">
+          <h2 className="text-2xl font-semibold text-gray-700 mb-4">Coach Dashboard</h2>
+          {settings.localOnly ? (
+            <p className="text-gray-600">Coaching needs a connection to the backend.</p>
+          ) : (
+            <CoachDashboard backendUrl={settings.backendUrl} token={token} />
           )}
-          {!modelLoading && (
-            <>
-              {useWebcam ? (
-                <Webcam
-                  audio={false}
-                  ref={webcamRef}
-                  screenshotFormat="image/jpeg"
-                  videoConstraints={{ facingMode: "user" }}
-                  className="absolute inset-0 w-full h-full object-contain"
-                  onPlay={handleVideoCanPlay} 
+        </div>
+      )}
+
+      {view === "live" && (
+        <>
+          <div className="bg-white p-6 rounded-xl shadow-lg w-full max-w-4xl mb-8">
+            <div className="flex justify-center items-center space-x-4 mb-6">
+              <label className="flex items-center space-x-2 cursor-pointer bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out">
+                <ArrowUpTrayIcon className="h-5 w-5" />
+                <span>Upload Video</span>
+                <input
+                  type="file"
+                  accept="video/*"
+                  className="hidden"
+                  onChange={handleVideoUpload}
                 />
-              ) : (
-                currentVideoFile && (
-                  <video
-                    ref={videoRef}
-                    src={currentVideoFile}
-                    controls
-                    loop
-                    muted 
-                    className="absolute inset-0 w-full h-full object-contain"
-                    onLoadedMetadata={handleVideoCanPlay} 
-                  />
-                )
-              )}
-              {!useWebcam && !currentVideoFile && !modelLoading && (
-                <p className="text-gray-400 text-lg">
-                  Upload a video or enable webcam to start.
+              </label>
+              <button
+                onClick={toggleWebcam}
+                className={`flex items-center space-x-2 font-semibold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out ${
+                  useWebcam
+                    ? "bg-red-500 hover:bg-red-600 text-white"
+                    : "bg-green-500 hover:bg-green-600 text-white"
+                }`}
+              >
+                <CameraIcon className="h-5 w-5" />
+                <span>{useWebcam ? "Disable Webcam" : "Use Webcam"}</span>
+              </button>
+            </div>
+
+            <div className="flex flex-wrap justify-center gap-4 mb-6">
+              {exercises.map((exercise) => {
+                const Icon = EXERCISE_ICONS[exercise.id] || UserIcon;
+                return (
+                  <button
+                    key={exercise.id}
+                    onClick={() => setPostureType(exercise.id)}
+                    title={exercise.description}
+                    className={`flex items-center space-x-2 font-semibold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out ${
+                      postureType === exercise.id
+                        ? "bg-purple-600 text-white"
+                        : "bg-gray-300 text-gray-700 hover:bg-gray-400"
+                    }`}
+                  >
+                    <Icon className="h-5 w-5" />
+                    <span>{exercise.label}</span>
+                  </button>
+                );
+              })}
+            </div>
+
+            <div className="flex flex-wrap justify-center items-center gap-4 mb-6 text-gray-700">
+              <label className="flex items-center gap-2">
+                <span className="font-semibold">Model</span>
+                <select
+                  value={detection.poseModel}
+                  onChange={(e) => updateDetection({ poseModel: e.target.value })}
+                  disabled={modelLoading || batchProgress !== null}
+                  className="border border-gray-300 rounded-lg py-2 px-3"
+                >
+                  {Object.entries(POSE_MODELS).map(([id, { label }]) => (
+                    <option key={id} value={id}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <span className="font-semibold">Backend</span>
+                <select
+                  value={detection.tfBackend}
+                  onChange={(e) => updateDetection({ tfBackend: e.target.value })}
+                  disabled={modelLoading || batchProgress !== null}
+                  className="border border-gray-300 rounded-lg py-2 px-3"
+                >
+                  {Object.entries(TF_BACKENDS).map(([id, label]) => (
+                    <option key={id} value={id}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+
+            <AudioCueSettings
+              settings={audioSettings}
+              issueTypes={Object.entries(currentExercise?.issueTypes || {})}
+              onChange={updateAudioSettings}
+            />
+
+            <CoachRoomJoin
+              joined={roomMembership}
+              error={roomError}
+              disabled={analysingLocally}
+              onJoin={joinRoom}
+              onLeave={leaveRoom}
+            />
+
+            <div className="relative w-full aspect-video bg-gray-800 rounded-lg overflow-hidden flex items-center justify-center mb-6">
+              {modelLoading && (
+                <p className="text-white text-xl animate-pulse">
+                  Loading {POSE_MODELS[detection.poseModel].label}...
                 </p>
               )}
-              <canvas
-                ref={canvasRef}
-                className="absolute inset-0 w-full h-full object-contain pointer-events-none" // Canvas overlays video
-                style={{ zIndex: 10 }}
-              ></canvas>
-            </>
-          )}
-        </div>
+              {!modelLoading && (
+                <>
+                  {useWebcam ? (
+                    <Webcam
+                      audio={false}
+                      ref={webcamRef}
+                      screenshotFormat="image/jpeg"
+                      videoConstraints={{ facingMode: "user" }}
+                      className="absolute inset-0 w-full h-full object-contain"
+                      onPlay={handleVideoCanPlay} 
+                    />
+                  ) : (
+                    currentVideoFile && (
+                      <video
+                        ref={videoRef}
+                        src={currentVideoFile}
+                        controls
+                        loop
+                        muted 
+                        className="absolute inset-0 w-full h-full object-contain"
+                        onLoadedMetadata={handleVideoCanPlay} 
+                      />
+                    )
+                  )}
+                  {!useWebcam && !currentVideoFile && !modelLoading && (
+                    <p className="text-gray-400 text-lg">
+                      Upload a video or enable webcam to start.
+                    </p>
+                  )}
+                  <canvas
+                    ref={canvasRef}
+                    className="absolute inset-0 w-full h-full object-contain pointer-events-none" // Canvas overlays video
+                    style={{ zIndex: 10 }}
+                  ></canvas>
+                </>
+              )}
+            </div>
 
-        <div className="flex justify-center space-x-4 mb-6">
-          <button
-            onClick={startCapture}
-            disabled={
-              isCapturing ||
-              modelLoading ||
-              !model ||
-              (!currentVideoFile && !useWebcam)
-            }
-            className="flex items-center space-x-2 bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-full shadow-lg transition duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            <PlayIcon className="h-6 w-6" />
-            <span>Start Analysis</span>
-          </button>
-          <button
-            onClick={stopCapture}
-            disabled={!isCapturing}
-            className="flex items-center space-x-2 bg-red-600 hover:bg-red-700 text-white font-bold py-3 px-6 rounded-full shadow-lg transition duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            <StopIcon className="h-6 w-6" />
-            <span>Stop Analysis</span>
-          </button>
-        </div>
-      </div>
+            <div className="flex justify-center space-x-4 mb-6">
+              <button
+                onClick={startCapture}
+                disabled={
+                  isCapturing ||
+                  batchProgress !== null ||
+                  modelLoading ||
+                  !model ||
+                  (!currentVideoFile && !useWebcam)
+                }
+                className="flex items-center space-x-2 bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-full shadow-lg transition duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <PlayIcon className="h-6 w-6" />
+                <span>Start Analysis</span>
+              </button>
+              <button
+                onClick={stopCapture}
+                disabled={!isCapturing}
+                className="flex items-center space-x-2 bg-red-600 hover:bg-red-700 text-white font-bold py-3 px-6 rounded-full shadow-lg transition duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <StopIcon className="h-6 w-6" />
+                <span>Stop Analysis</span>
+              </button>
+            </div>
+
+            {isCapturing && frameStats?.fps != null && frameStats.inferenceMs != null && (
+              <p className="text-center text-sm text-gray-600 mb-6">
+                {frameStats.fps.toFixed(1)} fps (target {frameStats.targetFps.toFixed(1)}) · inference{" "}
+                {Math.round(frameStats.inferenceMs)} ms ·{" "}
+                {frameStats.latencyMs == null ? "waiting for feedback" : `feedback latency ${Math.round(frameStats.latencyMs)} ms`}
+                {analysingLocally && " (in browser)"}
+              </p>
+            )}
 
-      <div className="bg-white p-6 rounded-xl shadow-lg w-full max-w-4xl">
-        <h2 className="text-2xl font-semibold text-gray-700 mb-4">
-          Posture Feedback
-        </h2>
-        {postureFeedback.length > 0 ? (
-  <ul className="list-disc list-inside text-lg">
-  {postureFeedback.map((issue, index) => {
-    const angles = parseAngleFeedback(issue);
-
-    return (
-      <li
-        key={index}
-        className={`mb-2 ${
-          issue.toLowerCase().includes("detected") ||
-          issue.toLowerCase().includes("over toe") ||
-          issue.toLowerCase().includes("bent") ||
-          issue.toLowerCase().includes("slouch") ||
-          issue.toLowerCase().includes("insufficient")
-            ? "text-red-600"
-            : "text-green-600"
-        }`}
-      >
-        {issue}
-        {angles && (
-          <div className="flex gap-2 mt-1 ml-4">
-            <span
-              className={`text-sm px-2 py-1 rounded-full font-semibold ${
-                angles.left >= 150 ? "bg-green-100 text-green-700" : "bg-red-100 text-red-700"
-              }`}
-            >
-              Left: {angles.left}°
-            </span>
-            <span
-              className={`text-sm px-2 py-1 rounded-full font-semibold ${
-                angles.right >= 150 ? "bg-green-100 text-green-700" : "bg-red-100 text-red-700"
-              }`}
-            >
-              Right: {angles.right}°
-            </span>
+            {!useWebcam && currentVideoFile && (
+              <div className="flex justify-center items-center space-x-4">
+                <select
+                  value={batchStride}
+                  onChange={(e) => setBatchStride(Number(e.target.value))}
+                  disabled={batchProgress !== null}
+                  className="border border-gray-300 rounded-lg py-2 px-3"
+                >
+                  {BATCH_STRIDES.map(([stride, label]) => (
+                    <option key={label} value={stride}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                {batchProgress === null ? (
+                  <button
+                    onClick={runBatchAnalysis}
+                    disabled={isCapturing || modelLoading || !model || analysingLocally}
+                    title={analysingLocally ? "Batch analysis needs a connection to the backend" : undefined}
+                    className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-lg shadow-md transition duration-300 ease-in-out disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Analyze Whole Video
+                  </button>
+                ) : (
+                  <>
+                    <div className="w-48 h-3 bg-gray-200 rounded-full overflow-hidden">
+                      <div className="h-full bg-blue-600" style={{ width: `${batchProgress * 100}%` }} />
+                    </div>
+                    <span className="text-gray-600">{Math.round(batchProgress * 100)}%</span>
+                    <button onClick={cancelBatchAnalysis} className="text-red-600 font-semibold hover:underline">
+                      Cancel
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
           </div>
-        )}
-      </li>
-    );
-  })}
-</ul>
 
-) : (
-  <p className="text-green-600 text-lg">Waiting to start analysis</p>
-)}
+          <div className="bg-white p-6 rounded-xl shadow-lg w-full max-w-4xl">
+            <h2 className="text-2xl font-semibold text-gray-700 mb-4">
+              Posture Feedback
+            </h2>
+            {batchReport && (
+              <BatchReport report={batchReport} issueLabels={issueLabels} onSeek={seekVideo} />
+            )}
+            {sessionReport && !isCapturing && (
+              <SessionReport
+                report={sessionReport}
+                exerciseLabel={exercises.find((exercise) => exercise.id === sessionReport.postureType)?.label}
+                issueLabels={issueLabels}
+              />
+            )}
+            {cameraView && (
+              <p
+                className={`mb-4 inline-block text-sm font-semibold px-3 py-1 rounded-full ${
+                  cameraView.view === "unknown" ? "bg-yellow-100 text-yellow-800" : "bg-gray-100 text-gray-700"
+                }`}
+              >
+                {cameraView.hint}
+              </p>
+            )}
+            {currentExercise?.calibratable && (
+              <div className="flex flex-wrap items-center gap-3 mb-4 text-gray-700">
+                <span>
+                  {currentCalibration
+                    ? `Calibrated to your posture on ${new Date(currentCalibration.calibratedAt).toLocaleDateString()}`
+                    : "Using default thresholds"}
+                </span>
+                <button
+                  onClick={startCalibration}
+                  disabled={!isCapturing || calibrationStatus?.running || analysingLocally}
+                  className="bg-purple-600 hover:bg-purple-700 text-white font-semibold py-1 px-3 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Calibrate
+                </button>
+                {currentCalibration && !analysingLocally && (
+                  <button onClick={clearCalibration} className="text-gray-600 hover:underline">
+                    Reset
+                  </button>
+                )}
+                {calibrationStatus?.postureType === postureType && (
+                  <span className={calibrationStatus.running ? "text-purple-700" : "text-red-600"}>
+                    {calibrationStatus.message}
+                  </span>
+                )}
+              </div>
+            )}
+            {coachCues.length > 0 && (
+              <div className="mb-3 p-3 rounded-lg bg-purple-50 text-purple-800">
+                <span className="font-semibold">Coach: </span>
+                {coachCues[0].text}
+              </div>
+            )}
+            {backendError && (
+              <div className="mb-3 p-3 rounded-lg bg-red-50 text-red-700" title={backendError.code}>
+                <span className="font-semibold">Backend error: </span>
+                {backendError.message}
+              </div>
+            )}
+            {postureAlerts.map((alert) => (
+              <div key={alert.type} className={`mb-3 p-3 rounded-lg font-semibold ${ALERT_CLASSES[alert.severity]}`}>
+                {alert.message}
+              </div>
+            ))}
+            {deskSession && (
+              <div className="flex flex-wrap gap-4 text-lg font-semibold text-gray-700 mb-4">
+                <span>{DESK_STATE_LABELS[deskSession.state]}</span>
+                <span>Sitting: {Math.floor(deskSession.sittingMs / 60000)} min</span>
+                <span>Slouching: {Math.floor(deskSession.slouchingMs / 60000)} min</span>
+              </div>
+            )}
+            {symmetry && <SymmetryPanel symmetry={symmetry} />}
+            {postureType === "squat" && (
+              <SquatTargets targets={squatTargets} onChange={updateSquatTargets} />
+            )}
+            {repState && (
+              <div className="mb-4">
+                <div className="flex flex-wrap gap-4 text-lg font-semibold text-gray-700">
+                  <span>Reps: {repState.repCount}</span>
+                  <span className="capitalize">Phase: {repState.phase}</span>
+                  {repState.depth && <span>Depth: {DEPTH_LABELS[repState.depth]}</span>}
+                  {repState.timeUnderTensionMs != null && (
+                    <span>Time under tension: {(repState.timeUnderTensionMs / 1000).toFixed(1)} s</span>
+                  )}
+                </div>
+                {repState.reps.length > 0 && (
+                  <ul className="mt-2 text-sm text-gray-600">
+                    {repState.reps.slice().reverse().map((rep) => (
+                      <li
+                        key={rep.rep}
+                        className={
+                          rep.partial || rep.bottomIssues.length > 0 || rep.depthOk === false || rep.tempoOk === false || rep.bounce
+                            ? "text-red-600"
+                            : "text-green-600"
+                        }
+                        title={rep.issues.map((issue) => issue.label).join(", ")}
+                      >
+                        {rep.summary}
+                        {rep.tempo && (
+                          <span className="text-gray-600">
+                            {" "}
+                            · {DEPTH_LABELS[rep.depth]} · tempo {formatTempo(rep.tempo)} s
+                            {rep.tempoOk === false && " (off target)"}
+                            {rep.bounce && " · bounced at the bottom"}
+                          </span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+            {postureFeedback.length > 0 ? (
+              <IssueList issues={postureFeedback} />
+            ) : (
+              <p className="text-green-600 text-lg">Waiting to start analysis</p>
+            )}
+            {trackedPeople.length > 1 && (
+              <div className="mt-6">
+                <h3 className="text-xl font-semibold text-gray-700 mb-2">Everyone in frame</h3>
+                {trackedPeople.map((person) => (
+                  <div key={person.trackId} className="mb-3">
+                    <p className="font-semibold text-gray-700">
+                      Person {person.trackId}
+                      {person.phase && ` · ${person.repCount} reps`}
+                    </p>
+                    {person.issues.length > 0 ? (
+                      <IssueList issues={person.issues} />
+                    ) : (
+                      <p className="text-green-600">Good form</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
 
-      </div>
+          </div>
+        </>
+      )}
     </div>
   );
 }
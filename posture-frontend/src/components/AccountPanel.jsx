@@ -0,0 +1,250 @@
+import { useState } from "react";
+import { UserCircleIcon } from "@heroicons/react/24/solid";
+import { login, logout, register, saveProfile } from "../lib/auth.js";
+
+const NOTIFICATION_TIMINGS = [
+  ["slouchAlertMinutes", "Slouch alert after (min)"],
+  ["sittingAlertMinutes", "Break reminder after (min)"],
+  ["sittingRepeatMinutes", "Repeat reminder every (min)"],
+];
+
+// Form fields are strings; empty means "use the default".
+function toForm(profile) {
+  return {
+    height: profile.height == null ? "" : String(profile.height),
+    preferredExercises: profile.preferredExercises,
+    notificationsEnabled: profile.notifications.enabled,
+    timings: Object.fromEntries(
+      NOTIFICATION_TIMINGS.map(([key]) => [key, profile.notifications[key] == null ? "" : String(profile.notifications[key])]),
+    ),
+    thresholds: Object.fromEntries(
+      Object.entries(profile.thresholds).map(([exerciseId, overrides]) => [
+        exerciseId,
+        Object.fromEntries(Object.entries(overrides).map(([key, value]) => [key, String(value)])),
+      ]),
+    ),
+  };
+}
+
+function fromForm(form) {
+  const filled = (entries) => Object.fromEntries(entries.filter(([, value]) => value !== "").map(([key, value]) => [key, Number(value)]));
+  return {
+    height: form.height === "" ? null : Number(form.height),
+    preferredExercises: form.preferredExercises,
+    notifications: { enabled: form.notificationsEnabled, ...filled(Object.entries(form.timings)) },
+    thresholds: Object.fromEntries(
+      Object.entries(form.thresholds)
+        .map(([exerciseId, overrides]) => [exerciseId, filled(Object.entries(overrides))])
+        .filter(([, overrides]) => Object.keys(overrides).length > 0),
+    ),
+  };
+}
+
+function ProfileForm({ backendUrl, token, profile, exercises, onSaved }) {
+  const [form, setForm] = useState(() => toForm(profile));
+  const [status, setStatus] = useState(null);
+  const configurable = exercises.filter((exercise) => exercise.thresholds);
+
+  const update = (changes) => {
+    setStatus(null);
+    setForm((prev) => ({ ...prev, ...changes }));
+  };
+
+  const togglePreferred = (exerciseId) => {
+    const preferred = form.preferredExercises.includes(exerciseId)
+      ? form.preferredExercises.filter((id) => id !== exerciseId)
+      : [...form.preferredExercises, exerciseId];
+    update({ preferredExercises: preferred });
+  };
+
+  const setThreshold = (exerciseId, key, value) => {
+    update({ thresholds: { ...form.thresholds, [exerciseId]: { ...form.thresholds[exerciseId], [key]: value } } });
+  };
+
+  const save = async (event) => {
+    event.preventDefault();
+    try {
+      const saved = await saveProfile(backendUrl, token, fromForm(form));
+      onSaved(saved);
+      setStatus({ ok: true, message: "Profile saved." });
+    } catch (error) {
+      setStatus({ ok: false, message: error.message });
+    }
+  };
+
+  return (
+    <form onSubmit={save} className="flex flex-col gap-3">
+      <label className="flex items-center gap-2">
+        <span className="font-semibold">Height (cm)</span>
+        <input
+          type="number"
+          min={50}
+          max={272}
+          value={form.height}
+          onChange={(e) => update({ height: e.target.value })}
+          className="w-24 border border-gray-300 rounded-lg py-1 px-2"
+        />
+      </label>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="font-semibold">Preferred exercises</span>
+        {exercises.map((exercise) => (
+          <label key={exercise.id} className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={form.preferredExercises.includes(exercise.id)}
+              onChange={() => togglePreferred(exercise.id)}
+            />
+            <span>{exercise.label}</span>
+          </label>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-2 font-semibold">
+          <input
+            type="checkbox"
+            checked={form.notificationsEnabled}
+            onChange={(e) => update({ notificationsEnabled: e.target.checked })}
+          />
+          <span>Desk alerts</span>
+        </label>
+        {NOTIFICATION_TIMINGS.map(([key, label]) => (
+          <label key={key} className="flex items-center gap-1">
+            <span>{label}</span>
+            <input
+              type="number"
+              min={1}
+              value={form.timings[key]}
+              placeholder="default"
+              disabled={!form.notificationsEnabled}
+              onChange={(e) => update({ timings: { ...form.timings, [key]: e.target.value } })}
+              className="w-20 border border-gray-300 rounded-lg py-1 px-2 disabled:opacity-50"
+            />
+          </label>
+        ))}
+      </div>
+
+      {configurable.map((exercise) => (
+        <div key={exercise.id} className="flex flex-wrap items-center gap-3">
+          <span className="font-semibold">{exercise.label} thresholds</span>
+          {Object.entries(exercise.thresholds).map(([key, defaultValue]) => (
+            <label key={key} className="flex items-center gap-1">
+              <span>{key}</span>
+              <input
+                type="number"
+                step="any"
+                value={form.thresholds[exercise.id]?.[key] ?? ""}
+                placeholder={String(defaultValue)}
+                onChange={(e) => setThreshold(exercise.id, key, e.target.value)}
+                className="w-20 border border-gray-300 rounded-lg py-1 px-2"
+              />
+            </label>
+          ))}
+        </div>
+      ))}
+
+      <div className="flex items-center gap-3">
+        <button type="submit" className="bg-gray-800 hover:bg-gray-900 text-white font-semibold py-1 px-4 rounded-lg">
+          Save profile
+        </button>
+        {status && <span className={status.ok ? "text-green-600" : "text-red-600"}>{status.message}</span>}
+      </div>
+    </form>
+  );
+}
+
+// Log in or register against the backend, and edit the logged-in user's profile.
+function AccountPanel({ backendUrl, account, profile, exercises, error, disabled, onLogin, onLogout, onProfileSaved }) {
+  const [open, setOpen] = useState(false);
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [formError, setFormError] = useState(null);
+
+  const submit = (action) => async (event) => {
+    event.preventDefault();
+    try {
+      const { user, token } = await action(backendUrl, { username: username.trim(), password });
+      setPassword("");
+      setFormError(null);
+      onLogin({ user, token });
+    } catch (loginError) {
+      setFormError(loginError.message);
+    }
+  };
+
+  const signOut = async () => {
+    // The local login is dropped even if the backend can't be told.
+    await logout(backendUrl, account.token).catch((logoutError) => console.warn("Logout failed:", logoutError));
+    onLogout();
+  };
+
+  return (
+    <div className="w-full max-w-4xl mb-6 text-gray-700">
+      <div className="flex justify-center">
+        <button
+          onClick={() => setOpen((prev) => !prev)}
+          className="flex items-center space-x-2 font-semibold text-gray-600 hover:text-gray-800"
+          title="Account"
+        >
+          <UserCircleIcon className="h-5 w-5" />
+          <span>{account ? `Logged in as ${account.user.username}` : "Account: not logged in"}</span>
+        </button>
+      </div>
+
+      {open && (
+        <div className="bg-white p-4 rounded-xl shadow-lg mt-3 flex flex-col gap-3">
+          {disabled ? (
+            <p>Accounts need a connection to the backend.</p>
+          ) : account ? (
+            <>
+              <div className="flex items-center gap-3">
+                <span>Your sessions, thresholds and alert timings are kept with your account.</span>
+                <button onClick={signOut} className="text-gray-600 hover:underline">
+                  Log out
+                </button>
+              </div>
+              {profile && (
+                <ProfileForm
+                  key={account.user.id}
+                  backendUrl={backendUrl}
+                  token={account.token}
+                  profile={profile}
+                  exercises={exercises}
+                  onSaved={onProfileSaved}
+                />
+              )}
+            </>
+          ) : (
+            <form onSubmit={submit(login)} className="flex flex-wrap gap-3">
+              <input
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                autoComplete="username"
+                placeholder="Username"
+                className="border border-gray-300 rounded-lg py-1 px-2"
+              />
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="current-password"
+                placeholder="Password"
+                className="border border-gray-300 rounded-lg py-1 px-2"
+              />
+              <button type="submit" className="bg-gray-800 hover:bg-gray-900 text-white font-semibold py-1 px-4 rounded-lg">
+                Log in
+              </button>
+              <button type="button" onClick={submit(register)} className="text-gray-600 hover:underline">
+                Register
+              </button>
+            </form>
+          )}
+          {(formError || error) && <p className="text-red-600">{formError || error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AccountPanel;
@@ -0,0 +1,140 @@
+import { useEffect, useState } from "react";
+import { SpeakerWaveIcon, SpeakerXMarkIcon } from "@heroicons/react/24/solid";
+import { speechSupported } from "../lib/audioCues.js";
+
+const MODES = [
+  ["off", "Off"],
+  ["speech", "Spoken cues"],
+  ["tone", "Tones"],
+];
+const COOLDOWNS = [3000, 5000, 10000, 20000];
+
+function useVoices() {
+  const [voices, setVoices] = useState(() => (speechSupported() ? window.speechSynthesis.getVoices() : []));
+  useEffect(() => {
+    if (!speechSupported()) return undefined;
+    // Voices load asynchronously in most browsers.
+    const load = () => setVoices(window.speechSynthesis.getVoices());
+    window.speechSynthesis.addEventListener("voiceschanged", load);
+    return () => window.speechSynthesis.removeEventListener("voiceschanged", load);
+  }, []);
+  return voices;
+}
+
+// Audio coaching settings: mode, voice language and voice, cooldown, and per-issue mutes
+// for the current exercise's issue types.
+function AudioCueSettings({ settings, issueTypes, onChange }) {
+  const [open, setOpen] = useState(false);
+  const voices = useVoices();
+  const languages = [...new Set(voices.map((voice) => voice.lang))].sort();
+  const languageVoices = voices.filter((voice) => !settings.lang || voice.lang === settings.lang);
+  const Icon = settings.mode === "off" ? SpeakerXMarkIcon : SpeakerWaveIcon;
+
+  const update = (changes) => onChange({ ...settings, ...changes });
+  const toggleMute = (code) =>
+    update({
+      muted: settings.muted.includes(code) ? settings.muted.filter((muted) => muted !== code) : [...settings.muted, code],
+    });
+
+  return (
+    <div className="w-full mb-6 text-gray-700">
+      <div className="flex justify-center">
+        <button
+          onClick={() => setOpen((prev) => !prev)}
+          className="flex items-center space-x-2 font-semibold text-gray-600 hover:text-gray-800"
+          title="Audio coaching"
+        >
+          <Icon className="h-5 w-5" />
+          <span>Audio coaching: {MODES.find(([mode]) => mode === settings.mode)[1]}</span>
+        </button>
+      </div>
+
+      {open && (
+        <div className="bg-gray-50 p-4 rounded-xl mt-3 flex flex-col gap-3">
+          <div className="flex flex-wrap gap-4">
+            <label className="flex items-center gap-2">
+              <span className="font-semibold">Mode</span>
+              <select
+                value={settings.mode}
+                onChange={(e) => update({ mode: e.target.value })}
+                className="border border-gray-300 rounded-lg py-1 px-2"
+              >
+                {MODES.map(([mode, label]) => (
+                  <option key={mode} value={mode} disabled={mode === "speech" && !speechSupported()}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="font-semibold">Repeat after</span>
+              <select
+                value={settings.cooldownMs}
+                onChange={(e) => update({ cooldownMs: Number(e.target.value) })}
+                className="border border-gray-300 rounded-lg py-1 px-2"
+              >
+                {COOLDOWNS.map((ms) => (
+                  <option key={ms} value={ms}>
+                    {ms / 1000} s
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {settings.mode === "speech" && (
+            <div className="flex flex-wrap gap-4">
+              <label className="flex items-center gap-2">
+                <span className="font-semibold">Language</span>
+                <select
+                  value={settings.lang}
+                  onChange={(e) => update({ lang: e.target.value, voiceURI: "" })}
+                  className="border border-gray-300 rounded-lg py-1 px-2"
+                >
+                  <option value="">Browser default</option>
+                  {languages.map((lang) => (
+                    <option key={lang} value={lang}>
+                      {lang}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                <span className="font-semibold">Voice</span>
+                <select
+                  value={settings.voiceURI}
+                  onChange={(e) => update({ voiceURI: e.target.value })}
+                  className="border border-gray-300 rounded-lg py-1 px-2"
+                >
+                  <option value="">Default</option>
+                  {languageVoices.map((voice) => (
+                    <option key={voice.voiceURI} value={voice.voiceURI}>
+                      {voice.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          )}
+
+          {issueTypes.length > 0 && (
+            <div className="flex flex-col gap-1">
+              <span className="font-semibold">Cues</span>
+              {issueTypes.map(([code, type]) => (
+                <label key={code} className="flex items-center gap-2">
+                  <input type="checkbox" checked={!settings.muted.includes(code)} onChange={() => toggleMute(code)} />
+                  <span>
+                    {type.label}
+                    {settings.mode === "speech" && <span className="text-gray-500"> — “{type.cue || type.label}”</span>}
+                  </span>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AudioCueSettings;
@@ -0,0 +1,27 @@
+// One bar per day; `value(day)` is the bar height, `max` the top of the scale (default: the highest bar).
+function BarChart({ title, days, value, format, max }) {
+  const highest = max || Math.max(1, ...days.map((day) => value(day) || 0));
+  return (
+    <div className="mb-6">
+      <h3 className="text-lg font-semibold text-gray-700 mb-2">{title}</h3>
+      <div className="flex items-end gap-1 h-40 border-b border-gray-300">
+        {days.map((day) => {
+          const amount = value(day) || 0;
+          return (
+            <div key={day.date} className="flex-1 flex flex-col items-center justify-end h-full" title={`${day.date}: ${format(amount)}`}>
+              <span className="text-xs text-gray-500">{format(amount)}</span>
+              <div className="w-full bg-purple-500 rounded-t" style={{ height: `${(amount / highest) * 100}%` }} />
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex gap-1 text-xs text-gray-500 mt-1">
+        {days.map((day) => (
+          <span key={day.date} className="flex-1 text-center">{day.date.slice(5)}</span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default BarChart;
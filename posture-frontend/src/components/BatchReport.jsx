@@ -0,0 +1,47 @@
+function formatTime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+function BatchReport({ report, issueLabels, onSeek }) {
+  const { summary, segments, reps } = report;
+  const label = (code) => issueLabels[code] || code;
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap gap-4 text-lg font-semibold text-gray-700 mb-3">
+        <span>Frames: {summary.frameCount}</span>
+        <span>Score: {summary.score ?? "—"}</span>
+        <span>Good posture: {summary.goodPosturePercent != null ? `${summary.goodPosturePercent}%` : "—"}</span>
+        <span>Most frequent issue: {summary.mostFrequentIssue ? label(summary.mostFrequentIssue) : "none"}</span>
+        {reps.length > 0 && (
+          <span>
+            Reps: {summary.repCount} ({summary.cleanRepCount} clean)
+          </span>
+        )}
+      </div>
+      <ul className="text-sm">
+        {segments.map((segment) => (
+          <li key={segment.startFrame}>
+            <button
+              onClick={() => onSeek(segment.startTime / 1000)}
+              className={`hover:underline ${segment.good ? "text-green-600" : "text-red-600"}`}
+            >
+              {formatTime(segment.startTime)}–{formatTime(segment.endTime)}:{" "}
+              {segment.good ? "good posture" : segment.issues.map(label).join(", ")}
+            </button>
+          </li>
+        ))}
+      </ul>
+      {reps.length > 0 && (
+        <ul className="mt-3 text-sm text-gray-600">
+          {reps.map((rep) => (
+            <li key={rep.rep}>{rep.summary}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default BatchReport;
@@ -0,0 +1,179 @@
+import { useEffect, useRef, useState } from "react";
+import { io } from "socket.io-client";
+import IssueList from "./IssueList.jsx";
+import { drawPersonLabel, drawSkeleton, issueJoints } from "../lib/overlay.js";
+
+// Trainees that don't send their video size are drawn on a 640x480 canvas.
+const DEFAULT_FRAME_SIZE = { width: 640, height: 480 };
+
+function TraineeTile({ traineeId, name, frame, onCue }) {
+  const canvasRef = useRef(null);
+  const [cue, setCue] = useState("");
+  const primary = frame?.people[0];
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !frame) return;
+    const { width, height } = frame.frameSize || DEFAULT_FRAME_SIZE;
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, width, height);
+    frame.people.forEach((person) => {
+      drawSkeleton(ctx, person.keypoints, { failing: issueJoints(person.issues), angles: person.angles });
+      if (frame.people.length > 1) drawPersonLabel(ctx, person.keypoints, { name: `Person ${person.trackId}`, issues: person.issues });
+    });
+  }, [frame]);
+
+  const send = (event) => {
+    event.preventDefault();
+    if (!cue.trim()) return;
+    onCue(traineeId, cue.trim());
+    setCue("");
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-xl p-3 flex flex-col gap-2">
+      <div className="flex justify-between items-center font-semibold text-gray-700">
+        <span>{name}</span>
+        {primary?.phase && <span className="text-sm">Reps: {primary.repCount}</span>}
+      </div>
+      <div className="bg-gray-800 rounded-lg overflow-hidden aspect-video flex items-center justify-center">
+        {frame ? (
+          <canvas ref={canvasRef} className="w-full h-full object-contain" />
+        ) : (
+          <p className="text-gray-400 text-sm">Waiting for analysis to start...</p>
+        )}
+      </div>
+      {primary &&
+        (primary.issues.length > 0 ? (
+          <IssueList issues={primary.issues} />
+        ) : (
+          <p className="text-green-600">Good form</p>
+        ))}
+      <form onSubmit={send} className="flex gap-2">
+        <input
+          value={cue}
+          onChange={(e) => setCue(e.target.value)}
+          maxLength={200}
+          placeholder="Send a cue, e.g. slow down"
+          className="flex-1 border border-gray-300 rounded-lg py-1 px-2"
+        />
+        <button type="submit" className="bg-purple-600 hover:bg-purple-700 text-white font-semibold py-1 px-3 rounded-lg">
+          Send
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// Coach view: watches a room over its own socket and shows every trainee's live skeleton and issues.
+function CoachDashboard({ backendUrl, token }) {
+  const [room, setRoom] = useState("");
+  const [code, setCode] = useState("");
+  const [watching, setWatching] = useState(null);
+  const [trainees, setTrainees] = useState({});
+  const [error, setError] = useState(null);
+  const socketRef = useRef(null);
+  // Re-sent after reconnects, which drop room membership.
+  const watchRequest = useRef(null);
+
+  useEffect(() => {
+    const socket = io(backendUrl, { query: { record: "false" }, auth: token ? { token } : {} });
+    socketRef.current = socket;
+
+    socket.on("connect", () => {
+      if (watchRequest.current) socket.emit("watchRoom", watchRequest.current);
+    });
+    socket.on("roomJoined", (joined) => {
+      if (joined.role !== "coach") return;
+      setError(null);
+      setWatching(joined.room);
+      setTrainees(Object.fromEntries(joined.trainees.map(({ traineeId, name }) => [traineeId, { name, frame: null }])));
+    });
+    socket.on("traineeJoined", ({ traineeId, name }) => {
+      setTrainees((prev) => ({ ...prev, [traineeId]: { name, frame: null } }));
+    });
+    socket.on("traineeLeft", ({ traineeId }) => {
+      setTrainees((prev) => {
+        const next = { ...prev };
+        delete next[traineeId];
+        return next;
+      });
+    });
+    socket.on("traineeFrame", (frame) => {
+      setTrainees((prev) => ({ ...prev, [frame.traineeId]: { name: frame.name, frame } }));
+    });
+    socket.on("roomError", (roomError) => setError(roomError.message));
+    socket.on("connect_error", () => setError("Backend unreachable."));
+
+    return () => {
+      socket.disconnect();
+      socketRef.current = null;
+    };
+  }, [backendUrl, token]);
+
+  const watch = (event) => {
+    event.preventDefault();
+    watchRequest.current = { room: room.trim(), code };
+    socketRef.current?.emit("watchRoom", watchRequest.current);
+  };
+
+  const stopWatching = () => {
+    watchRequest.current = null;
+    socketRef.current?.emit("leaveRoom");
+    setWatching(null);
+    setTrainees({});
+  };
+
+  const sendCue = (traineeId, text) => {
+    socketRef.current?.emit("coachCue", { room: watching, traineeId, text });
+  };
+
+  const entries = Object.entries(trainees);
+
+  return (
+    <div>
+      {watching ? (
+        <div className="flex items-center gap-3 mb-4 text-gray-700">
+          <span className="font-semibold">
+            Room {watching}: {entries.length} trainee{entries.length === 1 ? "" : "s"}
+          </span>
+          <button onClick={stopWatching} className="text-gray-600 hover:underline">
+            Leave
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={watch} className="flex flex-wrap gap-3 mb-4 text-gray-700">
+          <input
+            value={room}
+            onChange={(e) => setRoom(e.target.value)}
+            placeholder="Room name"
+            className="border border-gray-300 rounded-lg py-2 px-3"
+          />
+          <input
+            type="password"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="Coach code"
+            className="border border-gray-300 rounded-lg py-2 px-3"
+          />
+          <button type="submit" className="bg-gray-800 hover:bg-gray-900 text-white font-semibold py-2 px-4 rounded-lg">
+            Watch room
+          </button>
+        </form>
+      )}
+      {error && <p className="text-red-600 mb-4">{error}</p>}
+      {watching && entries.length === 0 && <p className="text-gray-600">No trainees have joined yet.</p>}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {entries.map(([traineeId, { name, frame }]) => (
+          <TraineeTile key={traineeId} traineeId={traineeId} name={name} frame={frame} onCue={sendCue} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default CoachDashboard;
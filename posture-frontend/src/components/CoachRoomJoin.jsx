@@ -0,0 +1,74 @@
+import { useState } from "react";
+import { UserGroupIcon } from "@heroicons/react/24/solid";
+
+// Trainee side of coach rooms: join a named room with the shared code so a coach can watch.
+function CoachRoomJoin({ joined, error, disabled, onJoin, onLeave }) {
+  const [open, setOpen] = useState(false);
+  const [room, setRoom] = useState("");
+  const [code, setCode] = useState("");
+  const [name, setName] = useState("");
+
+  const join = (event) => {
+    event.preventDefault();
+    onJoin({ room: room.trim(), code, name: name.trim() });
+  };
+
+  return (
+    <div className="w-full mb-6 text-gray-700">
+      <div className="flex justify-center">
+        <button
+          onClick={() => setOpen((prev) => !prev)}
+          className="flex items-center space-x-2 font-semibold text-gray-600 hover:text-gray-800"
+          title="Coach room"
+        >
+          <UserGroupIcon className="h-5 w-5" />
+          <span>{joined ? `Coach room: ${joined.room} (as ${joined.name})` : "Coach room: not joined"}</span>
+        </button>
+      </div>
+
+      {open && (
+        <div className="bg-gray-50 p-4 rounded-xl mt-3 flex flex-col gap-3">
+          {disabled ? (
+            <p>Coach rooms need a connection to the backend.</p>
+          ) : joined ? (
+            <div className="flex items-center gap-3">
+              <span>A coach watching room {joined.room} sees your skeleton and issues while you analyse.</span>
+              <button onClick={onLeave} className="text-gray-600 hover:underline">
+                Leave
+              </button>
+            </div>
+          ) : (
+            <form onSubmit={join} className="flex flex-wrap gap-3">
+              <input
+                value={room}
+                onChange={(e) => setRoom(e.target.value)}
+                placeholder="Room name"
+                className="border border-gray-300 rounded-lg py-1 px-2"
+              />
+              <input
+                type="password"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="Room code"
+                className="border border-gray-300 rounded-lg py-1 px-2"
+              />
+              <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                maxLength={40}
+                placeholder="Your name"
+                className="border border-gray-300 rounded-lg py-1 px-2"
+              />
+              <button type="submit" className="bg-gray-800 hover:bg-gray-900 text-white font-semibold py-1 px-4 rounded-lg">
+                Join
+              </button>
+            </form>
+          )}
+          {error && <p className="text-red-600">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CoachRoomJoin;
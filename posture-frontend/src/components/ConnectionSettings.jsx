@@ -0,0 +1,79 @@
+import { useState } from "react";
+import { Cog6ToothIcon } from "@heroicons/react/24/solid";
+import { DEFAULT_BACKEND_URL } from "../lib/settings.js";
+
+const STATUS = {
+  connected: ["Connected to backend", "bg-green-100 text-green-800"],
+  connecting: ["Connecting to backend...", "bg-yellow-100 text-yellow-800"],
+  disconnected: ["Backend unreachable - analysing in the browser", "bg-orange-100 text-orange-800"],
+  local: ["Offline mode - analysing in the browser", "bg-gray-200 text-gray-700"],
+};
+
+function ConnectionSettings({ settings, connection, onSave }) {
+  const [open, setOpen] = useState(false);
+  const [backendUrl, setBackendUrl] = useState(settings.backendUrl);
+  const [localOnly, setLocalOnly] = useState(settings.localOnly);
+  const [error, setError] = useState(null);
+  const [label, classes] = STATUS[connection];
+
+  const toggle = () => {
+    setBackendUrl(settings.backendUrl);
+    setLocalOnly(settings.localOnly);
+    setError(null);
+    setOpen((prev) => !prev);
+  };
+
+  const save = (event) => {
+    event.preventDefault();
+    try {
+      onSave({ backendUrl, localOnly });
+      setOpen(false);
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  return (
+    <div className="w-full max-w-4xl mb-6">
+      <div className="flex justify-center items-center gap-3">
+        <span className={`text-sm font-semibold px-3 py-1 rounded-full ${classes}`} title={settings.backendUrl}>
+          {label}
+        </span>
+        <button onClick={toggle} className="text-gray-600 hover:text-gray-800" title="Connection settings">
+          <Cog6ToothIcon className="h-5 w-5" />
+        </button>
+      </div>
+
+      {open && (
+        <form onSubmit={save} className="bg-white p-4 rounded-xl shadow-lg mt-3 flex flex-col gap-3 text-gray-700">
+          <label className="flex flex-col gap-1">
+            <span className="font-semibold">Backend URL</span>
+            <input
+              type="url"
+              value={backendUrl}
+              onChange={(e) => setBackendUrl(e.target.value)}
+              placeholder={DEFAULT_BACKEND_URL}
+              disabled={localOnly}
+              className="border border-gray-300 rounded-lg py-2 px-3 disabled:opacity-50"
+            />
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={localOnly} onChange={(e) => setLocalOnly(e.target.checked)} />
+            <span>Analyse in the browser only (no history, batch analysis or calibration)</span>
+          </label>
+          {error && <p className="text-red-600">{error}</p>}
+          <div className="flex gap-3">
+            <button type="submit" className="bg-gray-800 hover:bg-gray-900 text-white font-semibold py-1 px-4 rounded-lg">
+              Save
+            </button>
+            <button type="button" onClick={() => setBackendUrl(DEFAULT_BACKEND_URL)} className="text-gray-600 hover:underline">
+              Reset to default
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default ConnectionSettings;
@@ -0,0 +1,92 @@
+import { useEffect, useState } from "react";
+import { formatImbalanceSize, symmetryLabel } from "../lib/symmetry.js";
+import { authHeaders } from "../lib/auth.js";
+import { TIME_ZONE } from "../lib/progress.js";
+import BarChart from "./BarChart.jsx";
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+// Logged-in users (`token`) see their own sessions, others the anonymous ones.
+function HistoryView({ backendUrl, token, issueLabels }) {
+  const [days, setDays] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const dailyUrl = new URL("sessions/daily", backendUrl);
+    dailyUrl.search = new URLSearchParams({ days: 30, tz: TIME_ZONE });
+    Promise.all([
+      fetch(dailyUrl, { headers: authHeaders(token) }).then((res) => res.json()),
+      fetch(new URL("sessions", backendUrl), { headers: authHeaders(token) }).then((res) => res.json()),
+    ])
+      .then(([dailyStats, sessionList]) => {
+        setDays(dailyStats);
+        setSessions(sessionList.slice(0, 20));
+      })
+      .catch((err) => {
+        console.error("Failed to load session history:", err);
+        setError("Could not load session history.");
+      });
+  }, [backendUrl, token]);
+
+  const label = (code) => (code ? issueLabels[code] || code : "—");
+  // Left/right metrics recorded on any day, for tracking asymmetry over time.
+  const symmetryMetrics = [...new Set(days.flatMap((day) => Object.keys(day.symmetry || {})))];
+
+  if (error) return <p className="text-red-600 text-lg">{error}</p>;
+  if (days.length === 0) return <p className="text-gray-600 text-lg">No recorded sessions yet.</p>;
+
+  return (
+    <div>
+      <BarChart
+        title="Good posture (% of time)"
+        days={days}
+        value={(day) => day.goodPosturePercent}
+        format={(amount) => `${Math.round(amount)}%`}
+        max={100}
+      />
+      <BarChart title="Reps" days={days} value={(day) => day.repCount} format={(amount) => `${amount}`} />
+      {symmetryMetrics.map((metric) => (
+        <BarChart
+          key={metric}
+          title={`Average ${symmetryLabel(metric)}`}
+          days={days}
+          value={(day) => day.symmetry?.[metric]?.meanAbs}
+          format={(amount) => formatImbalanceSize(metric, amount)}
+        />
+      ))}
+
+      <h3 className="text-lg font-semibold text-gray-700 mb-2">Recent sessions</h3>
+      <table className="w-full text-left text-sm">
+        <thead>
+          <tr className="text-gray-500">
+            <th className="py-1">Started</th>
+            <th>Duration</th>
+            <th>Score</th>
+            <th>Good posture</th>
+            <th>Most frequent issue</th>
+            <th>Reps</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sessions.map((session) => (
+            <tr key={session.id} className="border-t border-gray-200">
+              <td className="py-1">{new Date(session.startedAt).toLocaleString()}</td>
+              <td>{session.summary ? formatDuration(session.summary.evaluatedMs) : "in progress"}</td>
+              <td>{session.summary?.score ?? "—"}</td>
+              <td>{session.summary?.goodPosturePercent != null ? `${session.summary.goodPosturePercent}%` : "—"}</td>
+              <td>{label(session.summary?.mostFrequentIssue)}</td>
+              <td>{session.summary?.repCount ?? "—"}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default HistoryView;
@@ -0,0 +1,40 @@
+const SEVERITY_CLASSES = {
+  critical: "text-red-600",
+  warning: "text-orange-600",
+  info: "text-gray-600",
+};
+
+function AngleChip({ side, angle, threshold }) {
+  return (
+    <span
+      className={`text-sm px-2 py-1 rounded-full font-semibold ${
+        angle >= threshold ? "bg-green-100 text-green-700" : "bg-red-100 text-red-700"
+      }`}
+    >
+      {side}: {angle}°
+    </span>
+  );
+}
+
+function IssueList({ issues }) {
+  return (
+    <ul className="list-disc list-inside text-lg">
+      {issues.map((issue) => (
+        <li
+          key={`${issue.code}-${issue.side || "none"}`}
+          className={`mb-2 ${SEVERITY_CLASSES[issue.severity] || SEVERITY_CLASSES.warning}`}
+        >
+          {issue.message}
+          {issue.values && issue.threshold != null && (
+            <div className="flex gap-2 mt-1 ml-4">
+              <AngleChip side="Left" angle={issue.values.left} threshold={issue.threshold} />
+              <AngleChip side="Right" angle={issue.values.right} threshold={issue.threshold} />
+            </div>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default IssueList;
@@ -0,0 +1,204 @@
+import { useEffect, useState } from "react";
+import { CheckCircleIcon, FireIcon, TrophyIcon } from "@heroicons/react/24/solid";
+import { authHeaders, saveProfile } from "../lib/auth.js";
+import { GOAL_TEMPLATES, GOAL_TYPE_LABELS, TIME_ZONE, describeGoal, describeGoalValue, newGoalId } from "../lib/progress.js";
+import BarChart from "./BarChart.jsx";
+
+// Numeric fields of each goal type, with their input labels.
+const GOAL_FIELDS = {
+  goodPosture: [
+    ["percent", "% good"],
+    ["hours", "hours"],
+  ],
+  cleanReps: [["count", "reps"]],
+  score: [
+    ["score", "score"],
+    ["minutes", "minutes"],
+  ],
+};
+
+function GoalEditor({ backendUrl, token, goals: savedGoals, exercises, onSaved }) {
+  const [goals, setGoals] = useState(savedGoals);
+  const [error, setError] = useState(null);
+
+  const update = (index, changes) => {
+    setError(null);
+    setGoals((prev) => prev.map((goal, i) => (i === index ? { ...goal, ...changes } : goal)));
+  };
+
+  const add = (type) => {
+    setGoals((prev) => [...prev, { id: newGoalId(prev, type), ...GOAL_TEMPLATES[type] }]);
+  };
+
+  const remove = (index) => {
+    setGoals((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const save = async (event) => {
+    event.preventDefault();
+    try {
+      await saveProfile(backendUrl, token, { goals });
+      onSaved();
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  return (
+    <form onSubmit={save} className="bg-gray-50 p-4 rounded-xl flex flex-col gap-3 text-gray-700">
+      {goals.map((goal, index) => (
+        <div key={goal.id} className="flex flex-wrap items-center gap-2">
+          <span className="font-semibold w-40">{GOAL_TYPE_LABELS[goal.type]}</span>
+          {goal.type !== "score" && (
+            <select
+              value={goal.postureType}
+              onChange={(e) => update(index, { postureType: e.target.value })}
+              className="border border-gray-300 rounded-lg py-1 px-2"
+            >
+              {exercises.map((exercise) => (
+                <option key={exercise.id} value={exercise.id}>
+                  {exercise.label}
+                </option>
+              ))}
+            </select>
+          )}
+          {GOAL_FIELDS[goal.type].map(([key, label]) => (
+            <label key={key} className="flex items-center gap-1">
+              <input
+                type="number"
+                step="any"
+                value={goal[key]}
+                onChange={(e) => update(index, { [key]: Number(e.target.value) })}
+                className="w-20 border border-gray-300 rounded-lg py-1 px-2"
+              />
+              <span>{label}</span>
+            </label>
+          ))}
+          <button type="button" onClick={() => remove(index)} className="text-gray-600 hover:underline">
+            Remove
+          </button>
+        </div>
+      ))}
+      <div className="flex flex-wrap items-center gap-3">
+        {Object.keys(GOAL_TEMPLATES).map((type) => (
+          <button key={type} type="button" onClick={() => add(type)} className="text-purple-700 hover:underline">
+            + {GOAL_TYPE_LABELS[type]}
+          </button>
+        ))}
+        <button type="submit" className="bg-gray-800 hover:bg-gray-900 text-white font-semibold py-1 px-4 rounded-lg">
+          Save goals
+        </button>
+      </div>
+      {error && <p className="text-red-600">{error}</p>}
+    </form>
+  );
+}
+
+// Daily posture score, goals, streak and badges, all computed by the backend from recorded sessions.
+function ProgressView({ backendUrl, token, exercises }) {
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [reload, setReload] = useState(0);
+
+  useEffect(() => {
+    const url = new URL("sessions/progress", backendUrl);
+    url.search = new URLSearchParams({ days: 30, tz: TIME_ZONE });
+    fetch(url, { headers: authHeaders(token) })
+      .then((res) => (res.ok ? res.json() : Promise.reject(new Error(res.statusText))))
+      .then(setProgress)
+      .catch((err) => {
+        console.error("Failed to load progress:", err);
+        setError("Could not load your progress.");
+      });
+  }, [backendUrl, token, reload]);
+
+  if (error) return <p className="text-red-600 text-lg">{error}</p>;
+  if (!progress) return <p className="text-gray-600 text-lg">Loading...</p>;
+
+  const exerciseLabel = (id) => exercises.find((exercise) => exercise.id === id)?.label || id;
+  const goalsSaved = () => {
+    setEditing(false);
+    setReload((prev) => prev + 1);
+  };
+
+  return (
+    <div className="text-gray-700">
+      <div className="flex items-center gap-2 text-xl font-semibold mb-4">
+        <FireIcon className={`h-6 w-6 ${progress.streak.current > 0 ? "text-orange-500" : "text-gray-400"}`} />
+        <span>
+          {progress.streak.current}-day streak (longest {progress.streak.longest})
+        </span>
+      </div>
+
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-lg font-semibold">Today&apos;s goals</h3>
+        {token ? (
+          <button onClick={() => setEditing((prev) => !prev)} className="text-gray-600 hover:underline">
+            {editing ? "Cancel" : "Edit goals"}
+          </button>
+        ) : (
+          <span className="text-sm text-gray-500">Log in to set your own goals.</span>
+        )}
+      </div>
+      {editing ? (
+        <GoalEditor backendUrl={backendUrl} token={token} goals={progress.goals} exercises={exercises} onSaved={goalsSaved} />
+      ) : (
+        <ul className="flex flex-col gap-2 mb-6">
+          {progress.goals.length === 0 && <li className="text-gray-500">No goals set.</li>}
+          {progress.goals.map((goal, index) => {
+            const result = progress.today.goals[index];
+            return (
+              <li key={goal.id}>
+                <div className="flex justify-between text-sm">
+                  <span className="flex items-center gap-1">
+                    {result.met && <CheckCircleIcon className="h-4 w-4 text-green-600" />}
+                    {describeGoal(goal, exerciseLabel)}
+                  </span>
+                  <span className="text-gray-500">{describeGoalValue(goal, result)}</span>
+                </div>
+                <div className="h-2 bg-gray-200 rounded">
+                  <div
+                    className={`h-2 rounded ${result.met ? "bg-green-500" : "bg-purple-500"}`}
+                    style={{ width: `${result.progress * 100}%` }}
+                  />
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {progress.days.length > 0 ? (
+        <BarChart
+          title="Posture score"
+          days={progress.days}
+          value={(day) => day.score}
+          format={(amount) => `${Math.round(amount)}`}
+          max={100}
+        />
+      ) : (
+        <p className="text-gray-600 mb-6">No recorded sessions in the last 30 days.</p>
+      )}
+
+      <h3 className="text-lg font-semibold mb-2">Badges</h3>
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+        {progress.badges.map((badge) => (
+          <div
+            key={badge.id}
+            className={`flex items-center gap-2 p-3 rounded-xl ${badge.earnedOn ? "bg-yellow-50" : "bg-gray-50 opacity-60"}`}
+            title={badge.description}
+          >
+            <TrophyIcon className={`h-6 w-6 shrink-0 ${badge.earnedOn ? "text-yellow-500" : "text-gray-400"}`} />
+            <div>
+              <p className="font-semibold">{badge.label}</p>
+              <p className="text-xs text-gray-500">{badge.earnedOn ? `Earned ${badge.earnedOn}` : badge.description}</p>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ProgressView;
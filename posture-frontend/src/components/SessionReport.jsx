@@ -0,0 +1,70 @@
+import { ArrowDownTrayIcon, PrinterIcon } from "@heroicons/react/24/solid";
+import { downloadFile, printReport, reportToCsv, reportToHtml, reportToJson } from "../lib/sessionReport.js";
+
+function formatTime(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+function SessionReport({ report, exerciseLabel, issueLabels }) {
+  const { summary, snapshots } = report;
+  const label = (code) => issueLabels[code] || code;
+  const baseName = `posture-${report.postureType}-${new Date(report.startedAt).toISOString().slice(0, 19).replace(/:/g, "-")}`;
+  const html = () => reportToHtml(report, { exerciseLabel, issueLabels });
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-xl font-semibold text-gray-700 mb-2">Last session</h3>
+      <div className="flex flex-wrap gap-4 text-lg font-semibold text-gray-700 mb-3">
+        <span>Length: {formatTime(report.endedAt - report.startedAt)}</span>
+        <span>Score: {summary.score ?? "—"}</span>
+        <span>Good posture: {summary.goodPosturePercent != null ? `${summary.goodPosturePercent}%` : "—"}</span>
+        <span>Most frequent issue: {summary.mostFrequentIssue ? label(summary.mostFrequentIssue) : "none"}</span>
+        {summary.repCount > 0 && (
+          <span>
+            Reps: {summary.repCount} ({summary.cleanRepCount} clean)
+          </span>
+        )}
+      </div>
+      {snapshots.some((snapshot) => snapshot.image) && (
+        <div className="flex gap-3 overflow-x-auto mb-3">
+          {snapshots
+            .filter((snapshot) => snapshot.image)
+            .map((snapshot) => (
+              <figure key={snapshot.code} className="w-40 shrink-0 text-sm text-gray-600">
+                <img src={snapshot.image} alt={label(snapshot.code)} className="rounded-lg" />
+                <figcaption>
+                  {snapshot.label || label(snapshot.code)} at {formatTime(snapshot.timestamp - report.startedAt)}
+                </figcaption>
+              </figure>
+            ))}
+        </div>
+      )}
+      <div className="flex flex-wrap gap-3">
+        {[
+          ["JSON", () => downloadFile(`${baseName}.json`, reportToJson(report), "application/json")],
+          ["CSV", () => downloadFile(`${baseName}.csv`, reportToCsv(report), "text/csv")],
+          ["HTML", () => downloadFile(`${baseName}.html`, html(), "text/html")],
+        ].map(([format, onClick]) => (
+          <button
+            key={format}
+            onClick={onClick}
+            className="flex items-center space-x-1 bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold py-1 px-3 rounded-lg"
+          >
+            <ArrowDownTrayIcon className="h-4 w-4" />
+            <span>{format}</span>
+          </button>
+        ))}
+        <button
+          onClick={() => printReport(html())}
+          className="flex items-center space-x-1 bg-gray-800 hover:bg-gray-900 text-white font-semibold py-1 px-3 rounded-lg"
+        >
+          <PrinterIcon className="h-4 w-4" />
+          <span>Print / PDF</span>
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SessionReport;
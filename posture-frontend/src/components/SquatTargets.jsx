@@ -0,0 +1,49 @@
+import { DEPTH_LABELS } from "../lib/squatMetrics.js";
+
+const TEMPO_PARTS = [
+  ["eccentricSeconds", "Down"],
+  ["pauseSeconds", "Pause"],
+  ["concentricSeconds", "Up"],
+];
+
+// Depth and tempo targets for squat reps; they can be changed while capturing and apply to the running session.
+function SquatTargets({ targets, onChange }) {
+  const update = (changes) => onChange({ ...targets, ...changes });
+
+  return (
+    <div className="flex flex-wrap items-center gap-4 mb-4 text-gray-700">
+      <label className="flex items-center gap-2">
+        <span className="font-semibold">Target depth</span>
+        <select
+          value={targets.targetDepth}
+          onChange={(e) => update({ targetDepth: Number(e.target.value) })}
+          className="border border-gray-300 rounded-lg py-1 px-2"
+        >
+          {Object.values(DEPTH_LABELS).map((label, index) => (
+            <option key={label} value={index}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <span className="font-semibold">Tempo (s)</span>
+      {TEMPO_PARTS.map(([key, label]) => (
+        <label key={key} className="flex items-center gap-1">
+          <span>{label}</span>
+          <input
+            type="number"
+            min="0"
+            max="10"
+            step="0.5"
+            value={targets[key]}
+            onChange={(e) => update({ [key]: Math.max(0, Number(e.target.value) || 0) })}
+            className="w-16 border border-gray-300 rounded-lg py-1 px-2"
+          />
+        </label>
+      ))}
+      <span className="text-sm text-gray-500">0 = not timed</span>
+    </div>
+  );
+}
+
+export default SquatTargets;
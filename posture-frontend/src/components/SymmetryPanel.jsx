@@ -0,0 +1,35 @@
+import { describeImbalance, symmetryLabel } from "../lib/symmetry.js";
+
+// Left/right balance of the primary person: this frame's measurements and the session averages.
+function SymmetryPanel({ symmetry }) {
+  const metrics = Object.keys(symmetry.values);
+
+  return (
+    <div className="mb-4 text-gray-700">
+      <h3 className="font-semibold mb-1">Left/right balance</h3>
+      <table className="text-sm">
+        <thead>
+          <tr className="text-gray-500 text-left">
+            <th className="pr-4"></th>
+            <th className="pr-4">Now</th>
+            <th>Session average</th>
+          </tr>
+        </thead>
+        <tbody>
+          {metrics.map((metric) => {
+            const session = symmetry.session[metric];
+            return (
+              <tr key={metric}>
+                <td className="pr-4 capitalize">{symmetryLabel(metric)}</td>
+                <td className="pr-4">{describeImbalance(metric, symmetry.values[metric])}</td>
+                <td>{session ? describeImbalance(metric, session.mean) : "—"}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default SymmetryPanel;
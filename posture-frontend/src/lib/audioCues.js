@@ -0,0 +1,82 @@
+import { DEFAULT_AUDIO_SETTINGS } from "./settings.js";
+
+const SEVERITY_RANK = { critical: 2, warning: 1 };
+const TONES = { critical: 880, warning: 660 };
+const TONE_MS = 180;
+
+export function speechSupported() {
+  return typeof window !== "undefined" && "speechSynthesis" in window;
+}
+
+/*
+ * Turns the issue stream into short audio cues: the most severe active issue
+ * is spoken (Web Speech API) or beeped, and the same issue isn't cued again
+ * until `cooldownMs` has passed. `cues` maps issue codes to the phrase to
+ * speak, from the exercises' issue types; issues without one use their label.
+ */
+export function createCuePlayer() {
+  let options = { ...DEFAULT_AUDIO_SETTINGS, cues: {} };
+  const lastCued = new Map();
+  let audioContext = null;
+
+  function speak(text) {
+    const utterance = new SpeechSynthesisUtterance(text);
+    if (options.lang) utterance.lang = options.lang;
+    const voice = window.speechSynthesis.getVoices().find((candidate) => candidate.voiceURI === options.voiceURI);
+    if (voice) utterance.voice = voice;
+    window.speechSynthesis.speak(utterance);
+  }
+
+  function beep(severity) {
+    if (!audioContext) return;
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    const start = audioContext.currentTime;
+    oscillator.frequency.value = TONES[severity] || TONES.warning;
+    gain.gain.setValueAtTime(0.2, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + TONE_MS / 1000);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(start);
+    oscillator.stop(start + TONE_MS / 1000);
+  }
+
+  return {
+    configure(next) {
+      options = { ...options, ...next };
+    },
+
+    // Browsers only allow audio after a user gesture; call this from one (e.g. Start Analysis).
+    unlock() {
+      if (!audioContext && typeof AudioContext !== "undefined") audioContext = new AudioContext();
+      audioContext?.resume();
+    },
+
+    // Cues at most one issue per call; returns its code, or null.
+    update(issues, now = Date.now()) {
+      if (options.mode === "off") return null;
+      if (options.mode === "speech" && (!speechSupported() || window.speechSynthesis.speaking)) return null;
+
+      const issue = issues
+        .filter((candidate) => SEVERITY_RANK[candidate.severity] && !options.muted.includes(candidate.code))
+        .filter((candidate) => now - (lastCued.get(candidate.code) ?? -Infinity) >= options.cooldownMs)
+        .sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity])[0];
+      if (!issue) return null;
+
+      lastCued.set(issue.code, now);
+      if (options.mode === "speech") speak(options.cues[issue.code] || issue.label);
+      else beep(issue.severity);
+      return issue.code;
+    },
+
+    // Speaks (or beeps for) a message outside the issue stream, e.g. a coach's cue.
+    announce(text) {
+      if (options.mode === "speech" && speechSupported()) speak(text);
+      else if (options.mode === "tone") beep("warning");
+    },
+
+    reset() {
+      lastCued.clear();
+      if (speechSupported()) window.speechSynthesis.cancel();
+    },
+  };
+}
@@ -0,0 +1,39 @@
+// Headers for backend requests, with the login token when there is one.
+export function authHeaders(token, headers = {}) {
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+}
+
+async function request(backendUrl, path, { method = "GET", token, body } = {}) {
+  const res = await fetch(new URL(path, backendUrl), {
+    method,
+    headers: authHeaders(token, body ? { "Content-Type": "application/json" } : {}),
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  if (res.status === 204) return null;
+  const result = await res.json();
+  if (!res.ok) throw Object.assign(new Error(result.error || res.statusText), { status: res.status });
+  return result;
+}
+
+// Both resolve with { user, token, expiresAt }.
+export function register(backendUrl, { username, password }) {
+  return request(backendUrl, "auth/register", { method: "POST", body: { username, password } });
+}
+
+export function login(backendUrl, { username, password }) {
+  return request(backendUrl, "auth/login", { method: "POST", body: { username, password } });
+}
+
+export function logout(backendUrl, token) {
+  return request(backendUrl, "auth/logout", { method: "POST", token });
+}
+
+// Resolves with { user, profile }; rejects with status 401 once the token has expired.
+export function fetchAccount(backendUrl, token) {
+  return request(backendUrl, "auth/me", { token });
+}
+
+// Saves some of { height, preferredExercises, thresholds, notifications }; resolves with all of them.
+export function saveProfile(backendUrl, token, settings) {
+  return request(backendUrl, "profiles/me", { method: "PATCH", token, body: settings });
+}
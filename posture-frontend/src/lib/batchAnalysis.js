@@ -0,0 +1,59 @@
+import { authHeaders } from "./auth.js";
+
+function seekTo(video, time) {
+  return new Promise((resolve, reject) => {
+    const onSeeked = () => {
+      video.removeEventListener("error", onError);
+      resolve();
+    };
+    const onError = () => {
+      video.removeEventListener("seeked", onSeeked);
+      reject(new Error("Video seek failed"));
+    };
+    video.addEventListener("seeked", onSeeked, { once: true });
+    video.addEventListener("error", onError, { once: true });
+    video.currentTime = time;
+  });
+}
+
+// Runs the pose detector over the whole video, one frame every `stride` seconds,
+// as fast as seeking and inference allow. Timestamps are video time in ms.
+export async function extractKeypointTrack(video, detector, { stride = 1 / 15, onProgress, signal } = {}) {
+  const duration = video.duration;
+  if (!Number.isFinite(duration) || duration <= 0) throw new Error("Video duration is unknown");
+
+  const wasPaused = video.paused;
+  const startTime = video.currentTime;
+  video.pause();
+
+  const track = [];
+  try {
+    for (let time = 0; time < duration; time += stride) {
+      if (signal?.aborted) throw new DOMException("Batch analysis cancelled", "AbortError");
+      await seekTo(video, time);
+      const poses = await detector.estimatePoses(video);
+      if (poses && poses.length > 0 && poses[0].keypoints) {
+        track.push({ timestamp: Math.round(time * 1000), keypoints: poses[0].keypoints });
+      }
+      onProgress?.(Math.min(1, (time + stride) / duration));
+    }
+  } finally {
+    await seekTo(video, startTime).catch(() => {});
+    if (!wasPaused) video.play();
+  }
+
+  return track;
+}
+
+// Logged-in users' (`token`) own thresholds apply to the analysis. Tracks are
+// sampled from recorded video, so they get the video smoothing preset.
+export async function requestBatchAnalysis(backendUrl, { postureType, track, token }) {
+  const res = await fetch(new URL("analysis/batch", backendUrl), {
+    method: "POST",
+    headers: authHeaders(token, { "Content-Type": "application/json" }),
+    body: JSON.stringify({ postureType, track, settings: { preset: "video" } }),
+  });
+  const body = await res.json();
+  if (!res.ok) throw new Error(body.error || res.statusText);
+  return body;
+}
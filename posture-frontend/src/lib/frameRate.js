@@ -0,0 +1,55 @@
+const SMOOTHING = 0.2;
+// Leave this much of each frame interval free for rendering and the UI.
+const HEADROOM = 1.25;
+
+function smooth(previous, value) {
+  return previous === null ? value : previous + SMOOTHING * (value - previous);
+}
+
+/*
+ * Adaptive capture rate: the next frame is scheduled from the measured inference
+ * time, so capture runs as fast as the device sustains, between minFps and maxFps.
+ * Also keeps the readout figures (achieved FPS, inference time, backend latency).
+ */
+export function createFrameRateController({ minFps = 2, maxFps = 30 } = {}) {
+  let inferenceMs = null;
+  let latencyMs = null;
+  let frameIntervalMs = null;
+  let lastFrameAt = null;
+
+  function targetIntervalMs() {
+    const fastest = 1000 / maxFps;
+    const slowest = 1000 / minFps;
+    if (inferenceMs === null) return fastest;
+    return Math.min(slowest, Math.max(fastest, inferenceMs * HEADROOM));
+  }
+
+  return {
+    recordInference(ms) {
+      inferenceMs = smooth(inferenceMs, ms);
+    },
+    recordLatency(ms) {
+      latencyMs = smooth(latencyMs, ms);
+    },
+    // Call once per processed frame; returns how long to wait before the next one.
+    frameDone(now, elapsedMs) {
+      if (lastFrameAt !== null) frameIntervalMs = smooth(frameIntervalMs, now - lastFrameAt);
+      lastFrameAt = now;
+      return Math.max(0, targetIntervalMs() - elapsedMs);
+    },
+    stats() {
+      return {
+        fps: frameIntervalMs ? 1000 / frameIntervalMs : null,
+        targetFps: 1000 / targetIntervalMs(),
+        inferenceMs,
+        latencyMs,
+      };
+    },
+    reset() {
+      inferenceMs = null;
+      latencyMs = null;
+      frameIntervalMs = null;
+      lastFrameAt = null;
+    },
+  };
+}
@@ -0,0 +1,48 @@
+import { adaptKeypoints, createMultiPersonPipeline, parseSessionSettings, listExercises } from "posture-core";
+
+// The exercises the browser can evaluate on its own: the ones bundled with posture-core.
+export const LOCAL_EXERCISES = listExercises();
+
+// Runs the backend's analysis pipeline in the browser, for when no backend is
+// reachable. Produces the same payloads as the `postureFeedback` and
+// `postureAlert` socket events, so the UI handles both alike.
+// `options` are handshake options, e.g. the preset and squat targets; like the
+// backend's `updateSettings`, `updateSettings(options)` changes them mid-session.
+export function createLocalAnalyzer(options = {}) {
+  const pipeline = createMultiPersonPipeline(parseSessionSettings(options));
+
+  // Frames are `keypointsData` payloads; their keypoints are converted like the backend does.
+  function analyze({ people, postureType, frameId = null, schema, coordinates, frameSize }) {
+    const timestamp = Date.now();
+    const alerts = [];
+    const canonical = people.map(({ trackId, keypoints }) => ({
+      trackId,
+      keypoints: adaptKeypoints(keypoints, { schema, coordinates, frameSize }),
+    }));
+    const feedback = pipeline
+      .processFrame({ people: canonical, postureType, timestamp })
+      .map(({ trackId, view, issues, angles, symmetry, trackerState: { alerts: personAlerts = [], ...trackerState } }) => {
+        personAlerts.forEach((alert) => alerts.push({ ...alert, trackId }));
+        return {
+          trackId,
+          issues,
+          issueMessages: issues.map((issue) => issue.message),
+          angles,
+          view,
+          symmetry,
+          ...trackerState,
+        };
+      });
+
+    return {
+      feedback: { frameId, timestamp, sessionId: null, ...feedback[0], people: feedback },
+      alerts,
+    };
+  }
+
+  function updateSettings(next) {
+    pipeline.updateSettings(parseSessionSettings(next));
+  }
+
+  return { analyze, setBaseline: pipeline.setBaseline, updateSettings };
+}
@@ -0,0 +1,21 @@
+export function notificationsSupported() {
+  return typeof window !== "undefined" && "Notification" in window;
+}
+
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return "unsupported";
+  if (Notification.permission !== "default") return Notification.permission;
+  return Notification.requestPermission();
+}
+
+// Shows a system notification for a backend posture alert. Alerts of the same
+// type replace each other instead of stacking up.
+export function showAlertNotification(alert) {
+  if (!notificationsSupported() || Notification.permission !== "granted") return;
+  new Notification("Posture reminder", {
+    body: alert.message,
+    tag: alert.type,
+    renotify: true,
+    requireInteraction: alert.severity === "critical",
+  });
+}
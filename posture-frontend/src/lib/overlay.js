@@ -0,0 +1,135 @@
+// Keypoints below this confidence aren't drawn; above it they fade in with confidence.
+const MIN_SCORE = 0.1;
+const PASS_COLOR = "#22c55e";
+const FAIL_COLOR = "#ef4444";
+const NEUTRAL_COLOR = "#e5e7eb";
+const ARC_RADIUS = 28;
+
+export const SKELETON_CONNECTIONS = [
+  ["left_shoulder", "right_shoulder"],
+  ["left_shoulder", "left_elbow"],
+  ["left_elbow", "left_wrist"],
+  ["right_shoulder", "right_elbow"],
+  ["right_elbow", "right_wrist"],
+  ["left_shoulder", "left_hip"],
+  ["right_shoulder", "right_hip"],
+  ["left_hip", "right_hip"],
+  ["left_hip", "left_knee"],
+  ["left_knee", "left_ankle"],
+  ["right_hip", "right_knee"],
+  ["right_knee", "right_ankle"],
+  ["nose", "left_eye"],
+  ["left_eye", "left_ear"],
+  ["nose", "right_eye"],
+  ["right_eye", "right_ear"],
+  ["left_shoulder", "nose"],
+  ["right_shoulder", "nose"],
+];
+
+// Joint names involved in the current form issues ('info' issues have none).
+export function issueJoints(issues) {
+  return new Set(issues.filter((issue) => issue.severity !== "info").flatMap((issue) => issue.joints || []));
+}
+
+function confidenceAlpha(score) {
+  return Math.min(1, Math.max(0.15, score));
+}
+
+function angleColor(ok) {
+  if (ok === null) return NEUTRAL_COLOR;
+  return ok ? PASS_COLOR : FAIL_COLOR;
+}
+
+// Arc between the two arms of a measured angle at its vertex, labelled in degrees.
+function drawAngle(ctx, byName, { points: [fromName, vertexName, toName], value, ok }) {
+  const vertex = byName.get(vertexName);
+  const from = byName.get(fromName);
+  // "vertical" is a point straight below the vertex (see posture-core measureAngles).
+  const to = toName === "vertical" && vertex ? { x: vertex.x, y: vertex.y + 1 } : byName.get(toName);
+  if (!vertex || !from || !to) return;
+
+  const start = Math.atan2(from.y - vertex.y, from.x - vertex.x);
+  let sweep = Math.atan2(to.y - vertex.y, to.x - vertex.x) - start;
+  if (sweep > Math.PI) sweep -= 2 * Math.PI;
+  if (sweep < -Math.PI) sweep += 2 * Math.PI;
+
+  const color = angleColor(ok);
+  ctx.globalAlpha = 1;
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.arc(vertex.x, vertex.y, ARC_RADIUS, start, start + sweep, sweep < 0);
+  ctx.stroke();
+
+  const middle = start + sweep / 2;
+  const labelX = vertex.x + Math.cos(middle) * (ARC_RADIUS + 18);
+  const labelY = vertex.y + Math.sin(middle) * (ARC_RADIUS + 18);
+  ctx.font = "bold 16px sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.lineWidth = 4;
+  ctx.strokeStyle = "rgba(0, 0, 0, 0.7)";
+  ctx.strokeText(`${value}°`, labelX, labelY);
+  ctx.fillStyle = color;
+  ctx.fillText(`${value}°`, labelX, labelY);
+}
+
+/*
+ * Draws the pose in video pixel coordinates. Bones and joints are green, or red
+ * when the joints belong to an active issue (`failing`); keypoints fade with
+ * their confidence. `angles` from the feedback get arcs and degree labels.
+ */
+export function drawSkeleton(ctx, keypoints, { failing = new Set(), angles = [] } = {}) {
+  const byName = new Map(keypoints.filter((kp) => kp.score > MIN_SCORE).map((kp) => [kp.name, kp]));
+  ctx.save();
+  ctx.lineWidth = 2;
+
+  SKELETON_CONNECTIONS.forEach(([from, to]) => {
+    const p1 = byName.get(from);
+    const p2 = byName.get(to);
+    if (!p1 || !p2) return;
+    ctx.globalAlpha = confidenceAlpha(Math.min(p1.score, p2.score));
+    ctx.strokeStyle = failing.has(from) && failing.has(to) ? FAIL_COLOR : PASS_COLOR;
+    ctx.beginPath();
+    ctx.moveTo(p1.x, p1.y);
+    ctx.lineTo(p2.x, p2.y);
+    ctx.stroke();
+  });
+
+  byName.forEach((kp, name) => {
+    const flagged = failing.has(name);
+    ctx.globalAlpha = confidenceAlpha(kp.score);
+    ctx.fillStyle = flagged ? FAIL_COLOR : PASS_COLOR;
+    ctx.beginPath();
+    ctx.arc(kp.x, kp.y, flagged ? 7 : 5, 0, 2 * Math.PI);
+    ctx.fill();
+  });
+
+  angles.forEach((angle) => drawAngle(ctx, byName, angle));
+  ctx.restore();
+}
+
+/*
+ * Names a tracked person above their head, with their top issue (or "Good form"),
+ * so each person in a group can find their own feedback.
+ */
+export function drawPersonLabel(ctx, keypoints, { name, issues = [] }) {
+  const visible = keypoints.filter((kp) => kp.score > MIN_SCORE);
+  if (visible.length === 0) return;
+
+  const top = Math.min(...visible.map((kp) => kp.y));
+  const centre = visible.reduce((sum, kp) => sum + kp.x, 0) / visible.length;
+  const issue = issues.find((candidate) => candidate.severity !== "info");
+  const text = `${name}: ${issue ? issue.label || issue.message : "Good form"}`;
+
+  ctx.save();
+  ctx.font = "bold 16px sans-serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "bottom";
+  ctx.lineWidth = 4;
+  ctx.strokeStyle = "rgba(0, 0, 0, 0.7)";
+  ctx.strokeText(text, centre, Math.max(20, top - 12));
+  ctx.fillStyle = issue ? FAIL_COLOR : PASS_COLOR;
+  ctx.fillText(text, centre, Math.max(20, top - 12));
+  ctx.restore();
+}
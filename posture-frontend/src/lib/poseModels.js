@@ -0,0 +1,67 @@
+import * as tf from "@tensorflow/tfjs";
+import { setWasmPaths } from "@tensorflow/tfjs-backend-wasm";
+import * as poseDetection from "@tensorflow-models/pose-detection";
+import wasmPath from "@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm.wasm?url";
+import wasmSimdPath from "@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-simd.wasm?url";
+import wasmThreadedSimdPath from "@tensorflow/tfjs-backend-wasm/dist/tfjs-backend-wasm-threaded-simd.wasm?url";
+
+// Serve the WASM binaries from our own bundle, so the wasm backend also works offline.
+setWasmPaths({
+  "tfjs-backend-wasm.wasm": wasmPath,
+  "tfjs-backend-wasm-simd.wasm": wasmSimdPath,
+  "tfjs-backend-wasm-threaded-simd.wasm": wasmThreadedSimdPath,
+});
+
+// `schema` tells the backend which keypoint layout the model produces.
+export const POSE_MODELS = {
+  lightning: {
+    label: "MoveNet Lightning (fast)",
+    model: poseDetection.SupportedModels.MoveNet,
+    schema: "coco17",
+    config: { modelType: poseDetection.movenet.modelType.SINGLEPOSE_LIGHTNING },
+  },
+  thunder: {
+    label: "MoveNet Thunder (accurate)",
+    model: poseDetection.SupportedModels.MoveNet,
+    schema: "coco17",
+    config: { modelType: poseDetection.movenet.modelType.SINGLEPOSE_THUNDER },
+  },
+  multipose: {
+    label: "MoveNet MultiPose",
+    model: poseDetection.SupportedModels.MoveNet,
+    schema: "coco17",
+    config: { modelType: poseDetection.movenet.modelType.MULTIPOSE_LIGHTNING, enableTracking: true },
+  },
+  blazepose: {
+    label: "BlazePose (33 keypoints)",
+    model: poseDetection.SupportedModels.BlazePose,
+    schema: "blazepose33",
+    config: { runtime: "tfjs", modelType: "full" },
+  },
+};
+
+export const TF_BACKENDS = {
+  webgl: "WebGL (GPU)",
+  wasm: "WebAssembly",
+  cpu: "CPU (slowest)",
+};
+
+export const DEFAULT_POSE_MODEL = "thunder";
+export const DEFAULT_TF_BACKEND = "webgl";
+
+// Switches tfjs to `backend` and creates the detector for `modelId`.
+// Throws if the backend isn't supported on this device.
+export async function loadPoseDetector(modelId, backend) {
+  const { model, config } = POSE_MODELS[modelId] || POSE_MODELS[DEFAULT_POSE_MODEL];
+  if (!(await tf.setBackend(backend))) throw new Error(`The ${TF_BACKENDS[backend] || backend} backend isn't available on this device`);
+  await tf.ready();
+  return poseDetection.createDetector(model, config);
+}
+
+// Falls back to the defaults for saved ids that are no longer offered.
+export function resolveDetectionSettings({ poseModel, tfBackend } = {}) {
+  return {
+    poseModel: POSE_MODELS[poseModel] ? poseModel : DEFAULT_POSE_MODEL,
+    tfBackend: TF_BACKENDS[tfBackend] ? tfBackend : DEFAULT_TF_BACKEND,
+  };
+}
@@ -0,0 +1,11 @@
+const PROFILE_KEY = "postureProfileId";
+
+// Anonymous profile id kept in localStorage so calibrations follow the user across sessions.
+export function getProfileId() {
+  let id = localStorage.getItem(PROFILE_KEY);
+  if (!id) {
+    id = crypto.randomUUID();
+    localStorage.setItem(PROFILE_KEY, id);
+  }
+  return id;
+}
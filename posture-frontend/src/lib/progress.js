@@ -0,0 +1,36 @@
+// The browser's IANA time zone, sent as `tz` so the backend counts days as the user does.
+export const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Starting values for a new goal of each type (see posture-core's progress goals).
+export const GOAL_TEMPLATES = {
+  goodPosture: { type: "goodPosture", postureType: "desk", percent: 80, hours: 4 },
+  cleanReps: { type: "cleanReps", postureType: "squat", count: 50 },
+  score: { type: "score", score: 80, minutes: 30 },
+};
+
+export const GOAL_TYPE_LABELS = {
+  goodPosture: "Good posture time",
+  cleanReps: "Clean reps",
+  score: "Posture score",
+};
+
+// "80% good posture over 4 Desk hours", "50 clean Squat reps", "Score 80 over 30 minutes".
+export function describeGoal(goal, exerciseLabel = (id) => id) {
+  if (goal.type === "goodPosture") return `${goal.percent}% good posture over ${goal.hours} ${exerciseLabel(goal.postureType)} hours`;
+  if (goal.type === "cleanReps") return `${goal.count} clean ${exerciseLabel(goal.postureType)} reps`;
+  return `Score ${goal.score} over ${goal.minutes} minutes`;
+}
+
+// Where a day stands on a goal, from its `value` (see evaluateGoal).
+export function describeGoalValue(goal, result) {
+  if (goal.type === "goodPosture") return `${result.value.hours} h at ${result.value.percent}%`;
+  if (goal.type === "cleanReps") return `${result.value} of ${goal.count}`;
+  return `${result.value.score} over ${result.value.minutes} min`;
+}
+
+// A goal id not used yet in `goals`.
+export function newGoalId(goals, type) {
+  let index = 1;
+  while (goals.some((goal) => goal.id === `${type}-${index}`)) index += 1;
+  return `${type}-${index}`;
+}
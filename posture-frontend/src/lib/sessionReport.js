@@ -0,0 +1,200 @@
+import { summarizeTimeline } from "posture-core";
+import { describeImbalance, formatImbalanceSize, symmetryLabel } from "./symmetry.js";
+
+const SNAPSHOT_WIDTH = 480;
+
+// How far past its threshold an issue is, so the worst moment of each issue type can be kept.
+function issueDeviation(issue) {
+  if (typeof issue.value !== "number" || typeof issue.threshold !== "number") return 0;
+  return Math.abs(issue.value - issue.threshold);
+}
+
+// The video frame with the overlay canvas on top, scaled down, as a JPEG data URL.
+export function snapshotFrame(video, overlay) {
+  const width = video?.videoWidth;
+  const height = video?.videoHeight;
+  if (!width || !height) return null;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = SNAPSHOT_WIDTH;
+  canvas.height = Math.round((height / width) * SNAPSHOT_WIDTH);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+  if (overlay?.width) ctx.drawImage(overlay, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL("image/jpeg", 0.8);
+}
+
+/*
+ * Collects the feedback of one live session (the primary person's) for the
+ * end-of-session report. `record(feedback, snapshot)` takes a `postureFeedback`
+ * payload; `snapshot()` is only called when a frame is the worst one yet for
+ * one of its issue types.
+ */
+export function createSessionRecorder({ postureType }) {
+  const startedAt = Date.now();
+  const frames = [];
+  const worst = new Map();
+
+  function record(feedback, snapshot) {
+    const { frameId, issues = [], angles = [] } = feedback;
+    // Receive time on this clock, so elapsed times don't depend on the backend's clock.
+    const timestamp = Date.now();
+    frames.push({
+      timestamp,
+      frameId,
+      issues: issues.map(({ code, severity, label, side, value, threshold }) => ({ code, severity, label, side, value, threshold })),
+      angles: Object.fromEntries(angles.map((angle) => [angle.id, angle.value])),
+      repCount: feedback.repCount,
+      cleanRepCount: feedback.cleanRepCount,
+      phase: feedback.phase,
+      people: feedback.people ? feedback.people.length : 1,
+      symmetry: feedback.symmetry?.values,
+    });
+
+    let image;
+    issues
+      .filter((issue) => issue.severity !== "info")
+      .forEach((issue) => {
+        const deviation = issueDeviation(issue);
+        const current = worst.get(issue.code);
+        if (current && current.deviation >= deviation) return;
+        // One snapshot serves every issue this frame is the worst moment of.
+        if (image === undefined) image = snapshot ? snapshot() : null;
+        const { code, severity, label, message, side, value, threshold } = issue;
+        worst.set(code, { code, severity, label, message, side, value, threshold, deviation, timestamp, image });
+      });
+  }
+
+  function finish() {
+    return {
+      postureType,
+      startedAt,
+      endedAt: Date.now(),
+      summary: summarizeTimeline(frames),
+      frames,
+      snapshots: [...worst.values()].sort((a, b) => a.timestamp - b.timestamp),
+    };
+  }
+
+  return { record, finish, frameCount: () => frames.length };
+}
+
+function csvCell(value) {
+  if (value == null) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per frame: time, reps, every measured angle and symmetry metric, and the active issue codes.
+export function reportToCsv(report) {
+  const angleIds = [...new Set(report.frames.flatMap((frame) => Object.keys(frame.angles)))];
+  const symmetryIds = [...new Set(report.frames.flatMap((frame) => Object.keys(frame.symmetry || {})))];
+  const header = ["timestamp", "elapsed_ms", "frame_id", "people", "rep_count", "phase", ...angleIds, ...symmetryIds, "issues"];
+  const rows = report.frames.map((frame) => [
+    new Date(frame.timestamp).toISOString(),
+    frame.timestamp - report.startedAt,
+    frame.frameId,
+    frame.people,
+    frame.repCount,
+    frame.phase,
+    ...angleIds.map((id) => frame.angles[id]),
+    ...symmetryIds.map((id) => frame.symmetry?.[id]),
+    frame.issues.map((issue) => (issue.side ? `${issue.code}:${issue.side}` : issue.code)).join(";"),
+  ]);
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\n");
+}
+
+// The whole report without the snapshot images, which only the HTML report embeds.
+export function reportToJson(report) {
+  return JSON.stringify(report, (key, value) => (key === "image" ? undefined : value), 2);
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+// A standalone printable page; print it to PDF from the browser.
+export function reportToHtml(report, { exerciseLabel = report.postureType, issueLabels = {} } = {}) {
+  const { summary } = report;
+  const label = (code) => issueLabels[code] || code;
+  const issueRows = Object.entries(summary.issueCounts)
+    .sort(([, a], [, b]) => b - a)
+    .map(([code, count]) => `<tr><td>${escapeHtml(label(code))}</td><td>${count}</td></tr>`)
+    .join("");
+  const snapshots = report.snapshots
+    .map(
+      (snapshot) => `
+      <figure>
+        ${snapshot.image ? `<img src="${snapshot.image}" alt="${escapeHtml(label(snapshot.code))}">` : ""}
+        <figcaption>
+          <strong>${escapeHtml(snapshot.label || label(snapshot.code))}</strong>
+          at ${formatDuration(snapshot.timestamp - report.startedAt)}<br>
+          ${escapeHtml(snapshot.message)}
+        </figcaption>
+      </figure>`
+    )
+    .join("");
+  // Signed session mean and the per-minute trend of each left/right metric.
+  const symmetryRows = Object.entries(summary.symmetry || {})
+    .map(
+      ([metric, { mean, meanAbs, trend }]) =>
+        `<tr><td>${escapeHtml(symmetryLabel(metric))}</td><td>${escapeHtml(describeImbalance(metric, mean))}</td>` +
+        `<td>${escapeHtml(formatImbalanceSize(metric, meanAbs))}</td>` +
+        `<td>${trend.map((point) => `${formatDuration(point.elapsedMs)}: ${escapeHtml(describeImbalance(metric, point.mean))}`).join("<br>")}</td></tr>`
+    )
+    .join("");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(exerciseLabel)} session report</title>
+  <style>
+    body { font-family: sans-serif; color: #1f2937; margin: 2rem; }
+    table { border-collapse: collapse; margin-bottom: 1.5rem; }
+    td, th { border: 1px solid #d1d5db; padding: 0.25rem 0.75rem; text-align: left; }
+    .snapshots { display: flex; flex-wrap: wrap; gap: 1rem; }
+    figure { margin: 0; width: ${SNAPSHOT_WIDTH / 2}px; break-inside: avoid; }
+    img { width: 100%; border-radius: 0.5rem; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(exerciseLabel)} session report</h1>
+  <p>${escapeHtml(new Date(report.startedAt).toLocaleString())}, ${formatDuration(report.endedAt - report.startedAt)} long</p>
+  <table>
+    <tr><th>Frames analysed</th><td>${summary.frameCount}</td></tr>
+    <tr><th>Posture score</th><td>${summary.score ?? "—"}</td></tr>
+    <tr><th>Good posture</th><td>${summary.goodPosturePercent != null ? `${summary.goodPosturePercent}%` : "—"}</td></tr>
+    <tr><th>Most frequent issue</th><td>${summary.mostFrequentIssue ? escapeHtml(label(summary.mostFrequentIssue)) : "none"}</td></tr>
+    ${summary.repCount > 0 ? `<tr><th>Reps</th><td>${summary.repCount} (${summary.cleanRepCount} clean)</td></tr>` : ""}
+  </table>
+  ${issueRows ? `<h2>Issues</h2><table><tr><th>Issue</th><th>Frames</th></tr>${issueRows}</table>` : ""}
+  ${symmetryRows ? `<h2>Left/right balance</h2><table><tr><th>Measurement</th><th>Average</th><th>Average size</th><th>Per minute</th></tr>${symmetryRows}</table>` : ""}
+  ${snapshots ? `<h2>Worst moments</h2><div class="snapshots">${snapshots}</div>` : ""}
+</body>
+</html>`;
+}
+
+export function downloadFile(filename, contents, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Opens the HTML report in a new window and brings up the print dialog ("Save as PDF").
+export function printReport(html) {
+  const win = window.open("", "_blank");
+  if (!win) return false;
+  win.document.write(html);
+  win.document.close();
+  win.addEventListener("load", () => win.print());
+  return true;
+}
@@ -0,0 +1,98 @@
+const SETTINGS_KEY = "postureConnectionSettings";
+
+// Set VITE_BACKEND_URL (e.g. in .env.local) to point builds at another backend.
+export const DEFAULT_BACKEND_URL = import.meta.env.VITE_BACKEND_URL || "https://posturerepo.onrender.com/";
+
+// Ensures a trailing slash so relative paths like "exercises" resolve under the URL's path.
+export function normalizeBackendUrl(value) {
+  const url = new URL(value.trim());
+  if (url.protocol !== "http:" && url.protocol !== "https:") throw new Error("Backend URL must use http or https");
+  if (!url.pathname.endsWith("/")) url.pathname += "/";
+  return url.toString();
+}
+
+// Connection settings chosen in the settings panel, kept in localStorage.
+export function loadSettings() {
+  const defaults = { backendUrl: DEFAULT_BACKEND_URL, localOnly: false };
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    return {
+      backendUrl: saved.backendUrl ? normalizeBackendUrl(saved.backendUrl) : defaults.backendUrl,
+      localOnly: Boolean(saved.localOnly),
+    };
+  } catch {
+    return defaults;
+  }
+}
+
+export function saveSettings(settings) {
+  const next = { backendUrl: normalizeBackendUrl(settings.backendUrl), localOnly: Boolean(settings.localOnly) };
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
+  return next;
+}
+
+const DETECTION_KEY = "postureDetectionSettings";
+
+// Pose model and tfjs backend choice; the caller checks the ids are still offered.
+export function loadDetectionSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(DETECTION_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveDetectionSettings(settings) {
+  localStorage.setItem(DETECTION_KEY, JSON.stringify(settings));
+}
+
+const AUDIO_KEY = "postureAudioSettings";
+
+// Audio coaching: `mode` is "off", "speech" or "tone"; `muted` lists issue codes never cued.
+export const DEFAULT_AUDIO_SETTINGS = { mode: "off", lang: "", voiceURI: "", cooldownMs: 5000, muted: [] };
+
+export function loadAudioSettings() {
+  try {
+    return { ...DEFAULT_AUDIO_SETTINGS, ...JSON.parse(localStorage.getItem(AUDIO_KEY)) };
+  } catch {
+    return { ...DEFAULT_AUDIO_SETTINGS };
+  }
+}
+
+export function saveAudioSettings(settings) {
+  localStorage.setItem(AUDIO_KEY, JSON.stringify(settings));
+}
+
+const SQUAT_TARGETS_KEY = "postureSquatTargets";
+
+// Sent as handshake options (see posture-core repCounter); tempo parts of 0 aren't timed.
+export const DEFAULT_SQUAT_TARGETS = { targetDepth: 1, eccentricSeconds: 0, pauseSeconds: 0, concentricSeconds: 0 };
+
+export function loadSquatTargets() {
+  try {
+    return { ...DEFAULT_SQUAT_TARGETS, ...JSON.parse(localStorage.getItem(SQUAT_TARGETS_KEY)) };
+  } catch {
+    return { ...DEFAULT_SQUAT_TARGETS };
+  }
+}
+
+export function saveSquatTargets(targets) {
+  localStorage.setItem(SQUAT_TARGETS_KEY, JSON.stringify(targets));
+}
+
+const ACCOUNT_KEY = "postureAccount";
+
+// The logged-in account ({ token, user }) for this backend, kept in localStorage; null when logged out.
+export function loadAccount(backendUrl) {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ACCOUNT_KEY));
+    return saved && saved.backendUrl === backendUrl ? { token: saved.token, user: saved.user } : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveAccount(backendUrl, account) {
+  if (account) localStorage.setItem(ACCOUNT_KEY, JSON.stringify({ backendUrl, ...account }));
+  else localStorage.removeItem(ACCOUNT_KEY);
+}
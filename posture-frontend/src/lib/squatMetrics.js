@@ -0,0 +1,10 @@
+export const DEPTH_LABELS = {
+  above_parallel: "above parallel",
+  parallel: "parallel",
+  below_parallel: "below parallel",
+};
+
+// "3.0-1.0-1.0" (down-pause-up, seconds) for a rep's tempo.
+export function formatTempo({ eccentricMs, pauseMs, concentricMs }) {
+  return [eccentricMs, pauseMs, concentricMs].map((ms) => (ms / 1000).toFixed(1)).join("-");
+}
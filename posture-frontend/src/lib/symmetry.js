@@ -0,0 +1,23 @@
+import { SYMMETRY_METRICS } from "posture-core";
+
+export function symmetryLabel(metric) {
+  return SYMMETRY_METRICS[metric]?.label || metric;
+}
+
+// The size of an imbalance, without its direction.
+export function formatImbalanceSize(metric, size) {
+  if (size == null) return "—";
+  return metric === "hipShift" ? `${Math.round(size * 100)}% of hip width` : `${size.toFixed(1)}°`;
+}
+
+// A signed symmetry value in words; positive values point at the person's left.
+export function describeImbalance(metric, value) {
+  if (value == null) return "—";
+  const size = Math.abs(value);
+  const side = value > 0 ? "left" : "right";
+  if (metric === "hipShift") return size < 0.005 ? "centred" : `${Math.round(size * 100)}% of hip width to the ${side}`;
+  if (size < 0.05) return metric === "kneeDifference" ? "even" : "level";
+  if (metric === "kneeDifference") return `${size.toFixed(1)}° less bend on the ${side}`;
+  if (metric === "headTilt") return `${size.toFixed(1)}° to the ${side}`;
+  return `${size.toFixed(1)}° ${side} side lower`;
+}
@@ -4,4 +4,14 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // posture-core is a linked CommonJS package (shared with the backend), so it
+  // has to be pre-bundled in dev and converted to ESM in builds.
+  optimizeDeps: {
+    include: ['posture-core'],
+  },
+  build: {
+    commonjsOptions: {
+      include: [/posture-core/, /node_modules/],
+    },
+  },
 })